@@ -0,0 +1,240 @@
+/**
+ * assist.js — "call a helper": a WebRTC call between the user and a caregiver's browser
+ * - The user's page hosts a room on the signaling server (server/signaling-server.js) and reads
+ *   the six-digit code out; the helper enters it in caregiver.html
+ * - Camera video and microphone go peer to peer; a data channel carries JSON messages both ways
+ *   (detections to the helper, spoken hints and drawn arrows back)
+ * - The same object runs on both pages, only role decides who makes the offer
+ * - Whoever enters the code gets nothing until the user lets them in (approve); one turned away
+ *   loses the room, which gets a new code. An offer from the helper's side is never answered
+ *
+ * The signaling server only relays offers, answers and ICE candidates; it never sees the media.
+ */
+
+const ASSIST_SIGNAL_KEY = "signalUrl";        // localStorage override, like ?signal=ws://host:8080/signal
+const ASSIST_ICE_SERVERS = [{ urls: "stun:stun.l.google.com:19302" }];
+const ASSIST_CHANNEL = "assist";
+const ASSIST_CONNECT_TIMEOUT_MS = 10000;
+
+const RemoteAssist = (() => {
+  /* ?signal= beats the stored URL; otherwise the server that served this page (it serves the app too) */
+  function signalUrl() {
+    const param = new URLSearchParams(location.search).get("signal");
+    if (param) return param;
+    let stored = null;
+    try { stored = localStorage.getItem(ASSIST_SIGNAL_KEY); } catch (err) { /* private mode */ }
+    if (stored) return stored;
+    return `${location.protocol === "https:" ? "wss" : "ws"}://${location.host}/signal`;
+  }
+
+  function supported() { return "RTCPeerConnection" in window && "WebSocket" in window; }
+
+  /**
+   * create({ role, localStream, approve, onRemoteStream, onMessage, onState, signalUrl, iceServers })
+   *   role: "user" hosts a room and sends the offer, "helper" joins one
+   *   approve() -> Promise<bool>: the user's answer to "let the helper who joined see the camera?"
+   *   onState(state, detail): "connecting" | "waiting" (detail = room code) | "asking" | "connected" | "ended" | "failed"
+   * -> { host() -> Promise<code>, join(code) -> Promise, send(msg) -> bool, hangup(), connected(), replaceTrack(track) }
+   */
+  function create({
+    role, localStream = null, approve = async () => false, onRemoteStream = () => {}, onMessage = () => {}, onState = () => {},
+    signalUrl: url = signalUrl(), iceServers = ASSIST_ICE_SERVERS
+  }) {
+    let ws = null;
+    let pc = null;
+    let channel = null;
+    let room = null;
+    let pendingCandidates = [];     // ICE that arrived before the remote description
+    let over = false;
+    let asking = 0;                 // bumped per helper who joins, so a stale answer is ignored
+
+    function state(s, detail) {
+      console.log(`[assist] ${s}${detail ? ` (${detail})` : ""}`);
+      onState(s, detail);
+    }
+
+    function signal(data) {
+      if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: "signal", data }));
+    }
+
+    function wireChannel(ch) {
+      channel = ch;
+      ch.onopen = () => state("connected");
+      ch.onclose = () => {
+        if (channel !== ch) return;
+        channel = null;
+        // without the signaling socket nobody will say the other side left, so this is the end
+        if (!over && !ws) { over = true; closePeer(); state("ended"); }
+      };
+      ch.onmessage = (e) => {
+        let msg;
+        try { msg = JSON.parse(e.data); } catch (err) { console.warn("[assist] dropped a message that is not JSON"); return; }
+        onMessage(msg);
+      };
+    }
+
+    function closePeer() {
+      if (channel) channel.close();
+      if (pc) pc.close();
+      channel = null;
+      pc = null;
+      pendingCandidates = [];
+    }
+
+    function newPeer() {
+      closePeer();
+      pc = new RTCPeerConnection({ iceServers });
+      if (localStream) localStream.getTracks().forEach(track => pc.addTrack(track, localStream));
+      pc.onicecandidate = (e) => { if (e.candidate) signal({ candidate: e.candidate.toJSON() }); };
+      pc.ontrack = (e) => onRemoteStream(e.streams[0] || new MediaStream([e.track]));
+      pc.ondatachannel = (e) => wireChannel(e.channel);
+      pc.onconnectionstatechange = () => {
+        if (pc && pc.connectionState === "failed") state("failed", "the connection to the other side was lost");
+      };
+      return pc;
+    }
+
+    /* the user makes the offer once the helper who joined has been let in; one turned away takes the room with them */
+    async function admit() {
+      const ask = ++asking;
+      state("asking");
+      const ok = await approve();
+      if (ask !== asking || over || !ws) return;      // the helper left meanwhile, or the call ended
+      if (ok) await offer();
+      else ws.send(JSON.stringify({ type: "create" }));
+    }
+
+    async function offer() {
+      const peer = newPeer();
+      wireChannel(peer.createDataChannel(ASSIST_CHANNEL));
+      // the helper's voice needs an audio line even when this side has no microphone
+      if (!peer.getSenders().some(s => s.track && s.track.kind === "audio")) peer.addTransceiver("audio", { direction: "recvonly" });
+      await peer.setLocalDescription(await peer.createOffer());
+      signal({ description: peer.localDescription.toJSON() });
+    }
+
+    async function onSignal(data) {
+      if (data.description) {
+        const { type } = data.description;
+        // only the user offers: an offer from a helper would get the camera without asking
+        if (type === "offer" && role === "user") return;
+        if (type === "offer") newPeer();
+        if (!pc) return;
+        await pc.setRemoteDescription(data.description);
+        const queued = pendingCandidates;
+        pendingCandidates = [];
+        for (const c of queued) await pc.addIceCandidate(c);
+        if (type === "offer") {
+          await pc.setLocalDescription(await pc.createAnswer());
+          signal({ description: pc.localDescription.toJSON() });
+        }
+      } else if (data.candidate) {
+        if (pc && pc.remoteDescription) await pc.addIceCandidate(data.candidate);
+        else pendingCandidates.push(data.candidate);
+      }
+    }
+
+    /* opens the signaling socket; resolves with the server's answer to the first message */
+    function connect(first) {
+      over = false;
+      state("connecting");
+      return new Promise((resolve, reject) => {
+        let settled = false;
+        const fail = (message) => {
+          // later errors are about single relayed messages, e.g. a candidate sent as the other side left
+          if (settled) { console.warn("[assist] signaling:", message); return; }
+          settled = true;
+          over = true;
+          if (ws) ws.close();
+          reject(new Error(message));
+        };
+        const timer = setTimeout(() => fail(`no answer from ${url}`), ASSIST_CONNECT_TIMEOUT_MS);
+        try {
+          ws = new WebSocket(url);
+        } catch (err) {
+          clearTimeout(timer);
+          fail(`bad signaling address ${url}`);
+          return;
+        }
+        ws.onopen = () => ws.send(JSON.stringify(first));
+        ws.onerror = () => { clearTimeout(timer); if (!settled) fail(`cannot reach the signaling server at ${url}`); };
+        ws.onclose = () => {
+          clearTimeout(timer);
+          ws = null;
+          if (!settled) fail(`the signaling server at ${url} closed the connection`);
+          // an established call carries on peer to peer; before that there is nothing to wait for
+          else if (!over && !channel) { over = true; closePeer(); state("ended"); }
+        };
+        ws.onmessage = (e) => {
+          let msg;
+          try { msg = JSON.parse(e.data); } catch (err) { return; }
+          if (msg.type === "created" || msg.type === "joined") {
+            clearTimeout(timer);
+            room = msg.room;
+            // a new room after a helper was turned away
+            if (settled) { state("waiting", room); return; }
+            settled = true;
+            resolve(room);
+          } else if (msg.type === "error") {
+            clearTimeout(timer);
+            fail(msg.message);
+          } else if (msg.type === "peer-joined") {
+            if (role === "user") admit().catch(err => state("failed", err.message));
+          } else if (msg.type === "peer-left") {
+            asking++;
+            closePeer();
+            // the user's room stays open for the helper to come back; the helper's call is over
+            if (role === "user") state("waiting", room);
+            else { over = true; state("ended"); }
+          } else if (msg.type === "signal") {
+            onSignal(msg.data || {}).catch(err => state("failed", err.message));
+          }
+        };
+      });
+    }
+
+    async function host() {
+      const code = await connect({ type: "create" });
+      state("waiting", code);
+      return code;
+    }
+
+    async function join(code) {
+      await connect({ type: "join", room: String(code).replace(/\D/g, "") });
+      state("waiting", room);
+    }
+
+    function send(msg) {
+      if (!channel || channel.readyState !== "open") return false;
+      channel.send(JSON.stringify(msg));
+      return true;
+    }
+
+    /* a reacquired camera (camera.js) takes the dead track's place without a new offer */
+    async function replaceTrack(next) {
+      if (localStream) {
+        localStream.getTracks().filter(tr => tr.kind === next.kind).forEach(tr => localStream.removeTrack(tr));
+        localStream.addTrack(next);
+      }
+      const sender = pc && pc.getSenders().find(s => s.track && s.track.kind === next.kind);
+      if (sender) await sender.replaceTrack(next);
+    }
+
+    function hangup() {
+      if (over) return;
+      over = true;
+      closePeer();
+      if (ws) {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: "leave" }));
+        ws.close();
+      }
+      ws = null;
+      room = null;
+      state("ended");
+    }
+
+    return { host, join, send, hangup, replaceTrack, connected: () => !!channel && channel.readyState === "open" };
+  }
+
+  return { create, supported, signalUrl };
+})();
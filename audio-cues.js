@@ -0,0 +1,143 @@
+/**
+ * audio-cues.js — non-verbal guidance channel
+ * - One stereo-panned beep voice per tracked hazard (Web Audio API)
+ * - Pan follows the direction, pitch and beep rate follow the distance (parking-sensor style)
+ * - Vibration patterns via navigator.vibrate where available
+ * - Ducks the tones while a speech utterance is playing
+ *
+ * The AudioContext is created on the first user gesture (Start button), as browsers require.
+ */
+
+const CUE_PAN = { left: -0.8, center: 0, right: 0.8 };
+const CUE_PROFILE = {                       // beep every `interval` ms at `freq` Hz
+  far: { interval: 900, freq: 440 },
+  close: { interval: 450, freq: 660 },
+  veryClose: { interval: 160, freq: 880 }
+};
+const CUE_MAX_VOICES = 3;
+const CUE_BEEP_MS = 70;
+const CUE_VOLUME = 0.25;
+const CUE_DUCKED = 0.06;
+const CUE_STALE_MS = 1200;                  // a hazard not refreshed for this long goes quiet
+const VIBRATE_GAP_MS = 1500;
+const VIBRATE_PATTERNS = {
+  approaching: [60, 40, 60, 40, 60],
+  veryClose: [200, 100, 200],
+  close: [90]
+};
+
+const AudioCues = (() => {
+  let actx = null;
+  let master = null;
+  let timer = null;
+  let muted = false;
+  let ducked = false;
+  let voices = new Map();     // id -> { dir, dist, nextAt, seenAt }
+  let lastVibrate = 0;
+  let lastVibrateKey = "";
+
+  function supported() { return !!(window.AudioContext || window.webkitAudioContext); }
+
+  /* must run inside a user gesture the first time */
+  function init() {
+    if (!supported()) return false;
+    if (!actx) {
+      const AC = window.AudioContext || window.webkitAudioContext;
+      actx = new AC();
+      master = actx.createGain();
+      master.gain.value = CUE_VOLUME;
+      master.connect(actx.destination);
+    }
+    if (actx.state === "suspended") actx.resume().catch(err => console.warn("[cues] resume failed:", err));
+    if (!timer) timer = setInterval(tick, 40);
+    return true;
+  }
+
+  function beep(dir, dist) {
+    const prof = CUE_PROFILE[dist] || CUE_PROFILE.far;
+    const t0 = actx.currentTime;
+    const osc = actx.createOscillator();
+    const env = actx.createGain();
+    osc.type = "sine";
+    osc.frequency.value = prof.freq;
+    env.gain.setValueAtTime(0.0001, t0);
+    env.gain.exponentialRampToValueAtTime(1, t0 + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, t0 + CUE_BEEP_MS / 1000);
+    let out = env;
+    if (actx.createStereoPanner) {
+      const pan = actx.createStereoPanner();
+      pan.pan.value = CUE_PAN[dir] || 0;
+      env.connect(pan);
+      out = pan;
+    }
+    osc.connect(env);
+    out.connect(master);
+    osc.start(t0);
+    osc.stop(t0 + CUE_BEEP_MS / 1000 + 0.02);
+  }
+
+  function tick() {
+    if (!actx || muted) return;
+    const now = performance.now();
+    // safety net in case an utterance ended without firing onend
+    if (ducked && window.speechSynthesis && !window.speechSynthesis.speaking) setDucked(false);
+    for (const [id, v] of voices) {
+      if (now - v.seenAt > CUE_STALE_MS) { voices.delete(id); continue; }
+      if (now >= v.nextAt) {
+        beep(v.dir, v.dist);
+        v.nextAt = now + (CUE_PROFILE[v.dist] || CUE_PROFILE.far).interval;
+      }
+    }
+  }
+
+  /**
+   * update(hazards) — hazards: [{ id, dir, dist, motion, hazard }] for the current frame.
+   * Only the CUE_MAX_VOICES most dangerous ones sound at once.
+   */
+  function update(hazards) {
+    if (!actx) return;
+    const now = performance.now();
+    const top = hazards.slice().sort((a, b) => b.hazard - a.hazard).slice(0, CUE_MAX_VOICES);
+    const keep = new Set(top.map(h => h.id));
+    for (const id of voices.keys()) if (!keep.has(id)) voices.delete(id);
+    for (const h of top) {
+      const v = voices.get(h.id);
+      if (v) { v.dir = h.dir; v.dist = h.dist; v.seenAt = now; }
+      else voices.set(h.id, { dir: h.dir, dist: h.dist, seenAt: now, nextAt: now });
+    }
+    vibrateFor(top[0]);
+  }
+
+  function vibrateFor(h) {
+    if (!h || muted || !navigator.vibrate) return;
+    const kind = h.motion === "approaching" ? "approaching" : VIBRATE_PATTERNS[h.dist] ? h.dist : null;
+    if (!kind) return;
+    const now = performance.now();
+    const key = `${h.id}:${kind}`;
+    // buzz when the most urgent hazard changes, otherwise only as a slow reminder
+    if (key === lastVibrateKey && now - lastVibrate < VIBRATE_GAP_MS * 2) return;
+    if (now - lastVibrate < VIBRATE_GAP_MS) return;
+    try { navigator.vibrate(VIBRATE_PATTERNS[kind]); } catch (e) { console.warn("[cues] vibrate failed", e); }
+    lastVibrate = now;
+    lastVibrateKey = key;
+  }
+
+  function setDucked(on) {
+    ducked = on;
+    if (!master) return;
+    master.gain.setTargetAtTime(on ? CUE_DUCKED : CUE_VOLUME, actx.currentTime, 0.05);
+  }
+
+  function setMuted(on) {
+    muted = on;
+    if (on) { voices.clear(); if (navigator.vibrate) navigator.vibrate(0); }
+  }
+
+  function stop() {
+    voices.clear();
+    if (timer) { clearInterval(timer); timer = null; }
+    if (navigator.vibrate) navigator.vibrate(0);
+  }
+
+  return { supported, init, update, setDucked, setMuted, stop };
+})();
@@ -0,0 +1,379 @@
+/**
+ * camera.js — the camera: which one, how sharp, and keeping it alive
+ * - open() starts the saved camera (chosen from enumerateDevices) or the back one, at a
+ *   resolution / frame-rate preset; it always returns the same <video> element
+ * - release() keeps the stream for CAMERA_KEEP_MS, so Start right after Stop neither asks for
+ *   permission again nor waits for the camera to wake up
+ * - A track that ends or goes silent (another app took the camera, the phone was locked) is
+ *   reacquired on the same element; onState("lost" | "restored" | "failed", detail) reports it
+ * - Torch on cameras that have one (Chrome on Android)
+ * - selfTest() runs the checks camera_test.html used to, and looks at the picture itself
+ *
+ * Error details are codes ("denied", "busy", ...); wording is left to script.js.
+ */
+
+const CAMERA_DEVICE_KEY = "cameraDevice";       // localStorage: deviceId of the chosen camera
+const CAMERA_PRESETS = {
+  low: { width: 640, height: 480, frameRate: 15 },          // saves battery
+  standard: { width: 640, height: 480, frameRate: 30 },
+  high: { width: 1280, height: 720, frameRate: 30 }         // small print for reading
+};
+const CAMERA_DEFAULT_PRESET = "standard";
+const CAMERA_KEEP_MS = 60000;                   // a released camera stays open this long
+const CAMERA_RETRY_MS = [500, 1500, 3000, 6000];   // waits before each reacquire attempt
+const CAMERA_CHECK_MS = 1000;                   // watchdog period while the camera is in use
+const CAMERA_STALL_MS = 3000;                   // a muted track this long counts as lost
+const CAMERA_FRAME_WAIT_MS = 3000;              // self-test: time for the first frame
+const CAMERA_DARK_LUMA = 12;                    // self-test: mean brightness (0-255) of a covered lens
+
+const CameraManager = (() => {
+  let video = null;
+  let stream = null;
+  let preset = CAMERA_DEFAULT_PRESET;
+  let torch = false;
+  let wanted = false;              // the app is using the camera: keep it alive
+  let lost = false;                // "lost" was reported and not yet "restored" / "failed"
+  let recovering = false;
+  let opening = null;              // getUserMedia in flight
+  let keepTimer = null;
+  let retryTimer = null;
+  let watchdog = null;
+  let mutedSince = 0;
+  let onState = () => {};
+
+  function supported() { return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia); }
+
+  function element() {
+    if (!video) {
+      video = document.createElement("video");
+      video.setAttribute("playsinline", "");
+      video.muted = true;
+    }
+    return video;
+  }
+
+  function track() { return stream ? stream.getVideoTracks()[0] || null : null; }
+
+  function live() { const tr = track(); return !!tr && tr.readyState === "live"; }
+
+  function stopTracks(s) { s.getTracks().forEach(tr => tr.stop()); }
+
+  /* getUserMedia error -> code for the spoken diagnosis */
+  function reason(err) {
+    const name = err && err.name;
+    if (!window.isSecureContext) return "insecure";
+    if (!supported()) return "unsupported";
+    if (name === "NotAllowedError" || name === "SecurityError") return "denied";
+    if (name === "NotFoundError") return "notFound";
+    // Chrome says NotReadable, older Firefox Abort, when another app holds the camera
+    if (name === "NotReadableError" || name === "AbortError") return "busy";
+    if (name === "OverconstrainedError") return "overconstrained";
+    return "error";
+  }
+
+  function constraints(deviceId) {
+    const p = CAMERA_PRESETS[preset];
+    const v = { width: { ideal: p.width }, height: { ideal: p.height }, frameRate: { ideal: p.frameRate } };
+    if (deviceId) v.deviceId = { exact: deviceId };
+    else v.facingMode = { ideal: "environment" };
+    return { video: v, audio: false };
+  }
+
+  async function acquire() {
+    if (!supported()) throw Object.assign(new Error("Camera access is not available here."), { name: "NotSupportedError" });
+    const id = localStorage.getItem(CAMERA_DEVICE_KEY);
+    try {
+      return await navigator.mediaDevices.getUserMedia(constraints(id));
+    } catch (err) {
+      // the saved camera is gone (unplugged, profile moved to another phone): take the back one
+      if (!id || (err.name !== "OverconstrainedError" && err.name !== "NotFoundError")) throw err;
+      console.warn("[camera] saved camera not available, using the default one:", err);
+      localStorage.removeItem(CAMERA_DEVICE_KEY);
+      return navigator.mediaDevices.getUserMedia(constraints(null));
+    }
+  }
+
+  async function attach(next) {
+    if (stream && stream !== next) stopTracks(stream);
+    stream = next;
+    const tr = track();
+    if (tr) tr.addEventListener("ended", () => { if (stream === next) reportLost("ended"); });
+    mutedSince = 0;
+    element().srcObject = next;
+    await video.play();
+    if (torch) setTorch(true).catch(err => console.warn("[camera] torch not restored:", err));
+    console.log("[camera] stream started:", tr ? tr.label : "(no video track)", info());
+  }
+
+  /* one getUserMedia at a time; open(), a switch and a reacquire may overlap */
+  function start() {
+    if (!opening) opening = acquire().then(attach).finally(() => { opening = null; });
+    return opening;
+  }
+
+  /* --- Keeping it alive --- */
+
+  function reportLost(why) {
+    if (!wanted || recovering) return;
+    recovering = true;
+    if (!lost) {
+      lost = true;
+      console.warn(`[camera] stream lost (${why})`);
+      onState("lost", why);
+    }
+    reacquire(0);
+  }
+
+  function reacquire(attempt) {
+    retryTimer = setTimeout(async () => {
+      retryTimer = null;
+      // a hidden page often may not have the camera; visibilitychange tries again
+      if (!wanted || document.hidden) { recovering = false; return; }
+      try {
+        await start();
+        recovering = false;
+        lost = false;
+        onState("restored", track());
+      } catch (err) {
+        console.warn(`[camera] reacquire attempt ${attempt + 1} failed:`, err);
+        if (attempt + 1 < CAMERA_RETRY_MS.length) { reacquire(attempt + 1); return; }
+        recovering = false;
+        lost = false;
+        stopWatchdog();
+        onState("failed", reason(err));
+      }
+    }, CAMERA_RETRY_MS[attempt]);
+  }
+
+  function check() {
+    if (!wanted || recovering || opening) return;
+    const tr = track();
+    if (!tr || tr.readyState !== "live") { reportLost("ended"); return; }
+    // a muted track delivers no frames: the picture on screen is the last one it had
+    if (tr.muted) {
+      if (!mutedSince) mutedSince = performance.now();
+      else if (performance.now() - mutedSince > CAMERA_STALL_MS) { reportLost("stalled"); return; }
+    } else {
+      mutedSince = 0;
+    }
+    // iOS pauses video elements in the background and does not resume them
+    if (video.paused) video.play().catch(() => {});
+  }
+
+  function startWatchdog() { if (!watchdog) watchdog = setInterval(check, CAMERA_CHECK_MS); }
+
+  function stopWatchdog() { clearInterval(watchdog); watchdog = null; }
+
+  function onVisibility() {
+    if (document.hidden || !wanted) return;
+    startWatchdog();
+    check();
+  }
+
+  /* --- Public --- */
+
+  function init({ onState: handler = () => {} } = {}) {
+    onState = handler;
+    document.addEventListener("visibilitychange", onVisibility);
+  }
+
+  /* -> the <video> showing the camera; throws the getUserMedia error (see reason()) */
+  async function open() {
+    wanted = true;
+    clearTimeout(keepTimer);
+    try {
+      if (!live()) await start();
+    } catch (err) {
+      wanted = false;
+      throw err;
+    }
+    startWatchdog();
+    return video;
+  }
+
+  /* the app is done with the camera; it closes after CAMERA_KEEP_MS unless opened again */
+  function release({ now = false } = {}) {
+    wanted = false;
+    stopWatchdog();
+    clearTimeout(retryTimer);
+    clearTimeout(keepTimer);
+    recovering = false;
+    lost = false;
+    // a torch left on for the whole keep time would drain the battery
+    if (torch) setTorch(false).catch(() => {});
+    if (now) close();
+    else keepTimer = setTimeout(close, CAMERA_KEEP_MS);
+  }
+
+  function close() {
+    clearTimeout(keepTimer);
+    if (stream) stopTracks(stream);
+    stream = null;
+    torch = false;
+    if (video) video.srcObject = null;
+    console.log("[camera] closed");
+  }
+
+  /* -> [{ deviceId, label, index }]; labels stay empty until camera permission was given */
+  async function devices() {
+    if (!supported() || !navigator.mediaDevices.enumerateDevices) return [];
+    const all = await navigator.mediaDevices.enumerateDevices();
+    return all.filter(d => d.kind === "videoinput").map((d, index) => ({ deviceId: d.deviceId, label: d.label, index }));
+  }
+
+  function current() {
+    const tr = track();
+    const settings = tr && tr.getSettings ? tr.getSettings() : {};
+    return settings.deviceId || localStorage.getItem(CAMERA_DEVICE_KEY);
+  }
+
+  /* deviceId null = the back camera; remembered on this device, and applied now when open */
+  async function use(deviceId) {
+    const before = localStorage.getItem(CAMERA_DEVICE_KEY);
+    if (deviceId) localStorage.setItem(CAMERA_DEVICE_KEY, deviceId);
+    else localStorage.removeItem(CAMERA_DEVICE_KEY);
+    if (!stream) return;
+    // phones rarely run two cameras at once, so the old one goes first
+    stopTracks(stream);
+    stream = null;
+    try {
+      await start();
+    } catch (err) {
+      if (before) localStorage.setItem(CAMERA_DEVICE_KEY, before);
+      else localStorage.removeItem(CAMERA_DEVICE_KEY);
+      await start();
+      throw err;
+    }
+  }
+
+  /* applied to the running track when it can be, by reopening the camera otherwise */
+  async function setPreset(name) {
+    if (!CAMERA_PRESETS[name] || name === preset) return;
+    preset = name;
+    const tr = track();
+    if (!tr || tr.readyState !== "live") return;
+    // the camera in use stays: the chosen one, or the one "environment" picked
+    const settings = tr.getSettings ? tr.getSettings() : {};
+    const deviceId = localStorage.getItem(CAMERA_DEVICE_KEY) || settings.deviceId || null;
+    try {
+      await tr.applyConstraints(constraints(deviceId).video);
+    } catch (err) {
+      console.warn("[camera] preset not applied to the running camera, reopening:", err);
+      stopTracks(stream);
+      stream = null;
+      await start();
+    }
+  }
+
+  function torchSupported() {
+    const tr = track();
+    return !!(tr && tr.getCapabilities && tr.getCapabilities().torch);
+  }
+
+  /* -> false when this camera has no torch */
+  async function setTorch(on) {
+    if (!torchSupported()) return false;
+    await track().applyConstraints({ advanced: [{ torch: !!on }] });
+    torch = !!on;
+    return true;
+  }
+
+  /* what the camera actually delivers, which may differ from what the preset asked for */
+  function info() {
+    const tr = track();
+    if (!tr) return null;
+    const s = tr.getSettings ? tr.getSettings() : {};
+    return {
+      label: tr.label,
+      deviceId: s.deviceId || null,
+      facing: s.facingMode || null,
+      width: s.width || (video && video.videoWidth) || null,
+      height: s.height || (video && video.videoHeight) || null,
+      frameRate: s.frameRate ? Math.round(s.frameRate) : null,
+      preset,
+      torch: torchSupported() ? torch : null
+    };
+  }
+
+  /* --- Self-test --- */
+
+  /* true once the element shows a frame, false after ms */
+  function frameArrives(ms) {
+    return new Promise(resolve => {
+      let poll = null;
+      const timer = setTimeout(() => { clearInterval(poll); resolve(false); }, ms);
+      const done = () => { clearTimeout(timer); clearInterval(poll); resolve(true); };
+      if (video.requestVideoFrameCallback) { video.requestVideoFrameCallback(done); return; }
+      const t0 = video.currentTime;
+      poll = setInterval(() => { if (video.videoWidth && video.currentTime !== t0) done(); }, 100);
+    });
+  }
+
+  function brightness() {
+    const c = document.createElement("canvas");
+    c.width = 64;
+    c.height = 48;
+    const g = c.getContext("2d", { willReadFrequently: true });
+    g.drawImage(video, 0, 0, c.width, c.height);
+    const px = g.getImageData(0, 0, c.width, c.height).data;
+    let sum = 0;
+    for (let i = 0; i < px.length; i += 4) sum += 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+    return sum / (px.length / 4);
+  }
+
+  /**
+   * selfTest() -> [{ id, ok, detail }] in the order run; it stops at the first check the rest need.
+   *   secure     page served over HTTPS or from localhost
+   *   api        getUserMedia exists
+   *   permission not blocked in the site settings (skipped where the Permissions API has no "camera")
+   *   devices    at least one camera (detail: how many)
+   *   stream     the camera opens (detail: reason() code on failure)
+   *   frames     a frame arrives within CAMERA_FRAME_WAIT_MS
+   *   picture    the frame is not black (detail: mean brightness)
+   *   torch      ok null, detail true / false: for information only
+   * A camera the test had to open is released again afterwards.
+   */
+  async function selfTest() {
+    const checks = [];
+    const add = (id, ok, detail = null) => { checks.push({ id, ok, detail }); return ok; };
+    if (!add("secure", window.isSecureContext)) return checks;
+    if (!add("api", supported())) return checks;
+    if (navigator.permissions) {
+      try {
+        const status = await navigator.permissions.query({ name: "camera" });
+        if (!add("permission", status.state !== "denied", status.state)) return checks;
+      } catch (err) {
+        // Firefox and Safari do not know the "camera" permission name
+      }
+    }
+    let cams;
+    try {
+      cams = await devices();
+    } catch (err) {
+      add("devices", false, reason(err));
+      return checks;
+    }
+    if (!add("devices", cams.length > 0, cams.length)) return checks;
+    const borrowed = !wanted;
+    try {
+      await open();
+      add("stream", true, info());
+    } catch (err) {
+      add("stream", false, reason(err));
+      if (borrowed) release({ now: true });
+      return checks;
+    }
+    if (add("frames", await frameArrives(CAMERA_FRAME_WAIT_MS))) {
+      const luma = brightness();
+      add("picture", luma >= CAMERA_DARK_LUMA, Math.round(luma));
+    }
+    add("torch", null, torchSupported());
+    if (borrowed) release();
+    return checks;
+  }
+
+  return {
+    init, open, release, devices, current, use, setPreset, setTorch, torchSupported, info, selfTest, reason,
+    supported, video: () => video, isOpen: live
+  };
+})();
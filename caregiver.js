@@ -0,0 +1,222 @@
+/**
+ * caregiver.js — the helper's side of "call a helper" (caregiver.html)
+ * - Joins the user's room with the code their app read out (assist.js) and shows their camera
+ *   with the app's current detections drawn on top
+ * - Hint buttons, or a drag on the picture, send a direction that the user's app speaks;
+ *   a dragged arrow is also drawn on the user's screen for a few seconds
+ * - The microphone is sent for talking to the user; typed messages are read out on their phone
+ */
+
+const HINT_MIN_DRAG = 0.05;          // shorter drags (share of the picture) are taken as clicks and ignored
+const ARROW_SHOW_MS = 3000;
+const DETECTIONS_STALE_MS = 1500;    // boxes vanish when the user's app stops sending them
+
+const statusEl = document.getElementById("status");
+const sceneTextEl = document.getElementById("sceneText");
+const videoEl = document.getElementById("remoteVideo");
+const audioEl = document.getElementById("remoteAudio");
+const overlay = document.getElementById("overlay");
+const octx = overlay.getContext("2d");
+const roomCodeEl = document.getElementById("roomCode");
+const joinBtn = document.getElementById("joinBtn");
+const hangupBtn = document.getElementById("hangupBtn");
+const micToggle = document.getElementById("micToggle");
+const sayText = document.getElementById("sayText");
+const sayBtn = document.getElementById("sayBtn");
+const hintBtns = [...document.querySelectorAll(".hint-btn")];
+
+let call = null;
+let mic = null;                      // our microphone stream, when allowed
+let detections = null;               // last { w, h, items, scene } from the user's app
+let detectionsAt = 0;
+let drag = null;                     // { x0, y0, x1, y1 } in 0..1 of the picture while dragging
+let arrow = null;                    // last sent arrow, shown until arrow.until
+
+function setConnected(on) {
+  hintBtns.forEach(b => { b.disabled = !on; });
+  sayBtn.disabled = !on;
+}
+
+function setInCall(on) {
+  joinBtn.disabled = on;
+  roomCodeEl.disabled = on;
+  hangupBtn.disabled = !on;
+  if (!on) setConnected(false);
+}
+
+function onState(state, detail) {
+  if (state === "connecting") statusEl.textContent = "Connecting...";
+  else if (state === "waiting") statusEl.textContent = `In room ${detail}, waiting for the user's camera...`;
+  else if (state === "connected") { statusEl.textContent = "Connected"; setConnected(true); }
+  else if (state === "failed") statusEl.textContent = `Call failed: ${detail}`;
+  else if (state === "ended") {
+    statusEl.textContent = "Call ended";
+    sceneTextEl.textContent = "Waiting for the user's camera";
+    videoEl.srcObject = null;
+    audioEl.srcObject = null;
+    detections = null;
+    setInCall(false);
+    call = null;
+  }
+}
+
+function onMessage(msg) {
+  if (msg.type === "detections") {
+    detections = msg;
+    detectionsAt = performance.now();
+    if (msg.scene) sceneTextEl.textContent = msg.scene;
+  }
+}
+
+async function join() {
+  const code = roomCodeEl.value.replace(/\D/g, "");
+  if (code.length !== 6) { statusEl.textContent = "The code has six digits."; roomCodeEl.focus(); return; }
+  setInCall(true);
+  if (!mic) {
+    try {
+      mic = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      console.warn("[helper] no microphone, hints and typed messages only:", err);
+      micToggle.checked = false;
+      micToggle.disabled = true;
+    }
+  }
+  if (mic) mic.getAudioTracks().forEach(t => { t.enabled = micToggle.checked; });
+  call = RemoteAssist.create({
+    role: "helper",
+    localStream: mic,
+    onState,
+    onMessage,
+    onRemoteStream: (stream) => {
+      if (stream.getVideoTracks().length) videoEl.srcObject = stream;
+      audioEl.srcObject = stream;
+    }
+  });
+  try {
+    await call.join(code);
+  } catch (err) {
+    statusEl.textContent = `Could not join: ${err.message}`;
+    setInCall(false);
+    call = null;
+  }
+}
+
+function hangup() {
+  if (call) call.hangup();
+}
+
+function sendHint(dir, line = null) {
+  if (!call) return;
+  call.send(line ? { type: "hint", dir, line } : { type: "hint", dir });
+}
+
+/* --- Drawing on the picture --- */
+
+function point(e) {
+  const r = overlay.getBoundingClientRect();
+  return { x: Math.min(1, Math.max(0, (e.clientX - r.left) / r.width)), y: Math.min(1, Math.max(0, (e.clientY - r.top) / r.height)) };
+}
+
+/* mostly sideways is left/right, mostly up the picture is ahead, down it is back */
+function dragDir({ x0, y0, x1, y1 }) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  if (Math.abs(dx) > Math.abs(dy)) return dx < 0 ? "left" : "right";
+  return dy < 0 ? "ahead" : "back";
+}
+
+function drawLine(line, color) {
+  const { width: w, height: h } = overlay;
+  const x0 = line.x0 * w, y0 = line.y0 * h, x1 = line.x1 * w, y1 = line.y1 * h;
+  const angle = Math.atan2(y1 - y0, x1 - x0);
+  const head = Math.max(14, w * 0.03);
+  octx.strokeStyle = octx.fillStyle = color;
+  octx.lineWidth = 6;
+  octx.lineCap = "round";
+  octx.beginPath(); octx.moveTo(x0, y0); octx.lineTo(x1, y1); octx.stroke();
+  octx.beginPath();
+  octx.moveTo(x1, y1);
+  octx.lineTo(x1 - head * Math.cos(angle - 0.5), y1 - head * Math.sin(angle - 0.5));
+  octx.lineTo(x1 - head * Math.cos(angle + 0.5), y1 - head * Math.sin(angle + 0.5));
+  octx.closePath();
+  octx.fill();
+}
+
+function render() {
+  const r = overlay.getBoundingClientRect();
+  if (overlay.width !== Math.round(r.width) || overlay.height !== Math.round(r.height)) {
+    overlay.width = Math.round(r.width);
+    overlay.height = Math.round(r.height);
+  }
+  octx.clearRect(0, 0, overlay.width, overlay.height);
+  if (detections && performance.now() - detectionsAt < DETECTIONS_STALE_MS) {
+    const sx = overlay.width / detections.w;
+    const sy = overlay.height / detections.h;
+    octx.font = "14px sans-serif";
+    octx.lineWidth = 2;
+    detections.items.forEach(({ label, bbox, dist }) => {
+      const [x, y, w, h] = bbox;
+      octx.strokeStyle = dist === "veryClose" ? "#ef4444" : dist === "close" ? "#f59e0b" : "#34d399";
+      octx.strokeRect(x * sx, y * sy, w * sx, h * sy);
+      octx.fillStyle = "rgba(0,0,0,0.6)";
+      octx.fillRect(x * sx, y * sy - 18, octx.measureText(label).width + 8, 18);
+      octx.fillStyle = "#fff";
+      octx.fillText(label, x * sx + 4, y * sy - 5);
+    });
+  }
+  if (arrow && performance.now() < arrow.until) drawLine(arrow.line, "#22d3ee");
+  if (drag) drawLine(drag, "rgba(34,211,238,0.6)");
+  requestAnimationFrame(render);
+}
+
+overlay.addEventListener("pointerdown", (e) => {
+  if (!call || !call.connected()) return;
+  const p = point(e);
+  drag = { x0: p.x, y0: p.y, x1: p.x, y1: p.y };
+  overlay.setPointerCapture(e.pointerId);
+});
+overlay.addEventListener("pointermove", (e) => {
+  if (!drag) return;
+  const p = point(e);
+  drag.x1 = p.x;
+  drag.y1 = p.y;
+});
+overlay.addEventListener("pointerup", () => {
+  if (!drag) return;
+  const line = drag;
+  drag = null;
+  if (Math.hypot(line.x1 - line.x0, line.y1 - line.y0) < HINT_MIN_DRAG) return;
+  const round = (v) => Math.round(v * 1000) / 1000;
+  const sent = { x0: round(line.x0), y0: round(line.y0), x1: round(line.x1), y1: round(line.y1) };
+  sendHint(dragDir(sent), sent);
+  arrow = { line: sent, until: performance.now() + ARROW_SHOW_MS };
+});
+overlay.addEventListener("pointercancel", () => { drag = null; });
+
+/* --- Wiring --- */
+
+joinBtn.addEventListener("click", join);
+roomCodeEl.addEventListener("keydown", (e) => { if (e.key === "Enter") join(); });
+hangupBtn.addEventListener("click", hangup);
+hintBtns.forEach(b => b.addEventListener("click", () => sendHint(b.dataset.dir)));
+micToggle.addEventListener("change", () => {
+  // the track stays in the call so turning it back on needs no renegotiation
+  if (mic) mic.getAudioTracks().forEach(t => { t.enabled = micToggle.checked; });
+});
+function sendSay() {
+  const text = sayText.value.trim();
+  if (!text || !call || !call.send({ type: "say", text })) return;
+  sayText.value = "";
+}
+sayBtn.addEventListener("click", sendSay);
+sayText.addEventListener("keydown", (e) => { if (e.key === "Enter") sendSay(); });
+window.addEventListener("beforeunload", hangup);
+
+// a link like caregiver.html?room=123456 fills in the code
+const linkedRoom = new URLSearchParams(location.search).get("room");
+if (linkedRoom) roomCodeEl.value = linkedRoom;
+if (!RemoteAssist.supported()) {
+  statusEl.textContent = "This browser cannot make WebRTC calls.";
+  joinBtn.disabled = true;
+}
+requestAnimationFrame(render);
@@ -0,0 +1,125 @@
+/**
+ * commands.js — voice command listener
+ * - One SpeechRecognition instance, language taken from the picker on every start
+ * - Push-to-talk (Voice button) or hands-free continuous listening gated by a wake word
+ * - Yes/no confirmations for destructive commands
+ *
+ * Parsing is done by I18n.matchCommand; what a command *does* is the caller's dispatch().
+ */
+
+const WAKE_WINDOW_MS = 6000;          // after a bare wake word, the next phrase is a command
+const CONFIRM_WINDOW_MS = 10000;
+const HANDS_FREE_RESTART_MS = 250;
+
+const VoiceCommands = (() => {
+  let rec = null;
+  let listening = false;
+  let handsFree = false;
+  let awaitUntil = 0;
+  let pending = null;                 // { onYes, onNo, until }
+  let opts = {
+    getLang: () => I18n.FALLBACK,
+    dispatch: () => false,            // (match) -> handled?
+    onUnknown: () => {},
+    onWake: () => {},
+    onState: () => {}                 // ("listening" | "idle" | "error", detail)
+  };
+
+  function supported() { return !!(window.SpeechRecognition || window.webkitSpeechRecognition); }
+
+  function init(o) { opts = { ...opts, ...o }; }
+
+  function ensureRecognizer() {
+    if (rec) return rec;
+    const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
+    rec = new SR();
+    rec.interimResults = false;
+    rec.maxAlternatives = 1;
+    rec.onstart = () => { listening = true; opts.onState("listening"); };
+    rec.onend = () => {
+      listening = false;
+      opts.onState("idle");
+      // Chrome ends continuous sessions after a pause; keep hands-free alive
+      if (handsFree) setTimeout(() => { if (handsFree && !listening) start(); }, HANDS_FREE_RESTART_MS);
+    };
+    rec.onerror = (e) => {
+      console.warn("[voice] recognition error:", e.error || e);
+      if (e.error === "not-allowed" || e.error === "service-not-allowed") handsFree = false;
+      if (e.error !== "no-speech" && e.error !== "aborted") opts.onState("error", e.error || "unknown");
+    };
+    rec.onresult = (ev) => {
+      const res = ev.results[ev.results.length - 1];
+      if (!res.isFinal) return;
+      handleTranscript(res[0].transcript.trim().toLowerCase());
+    };
+    return rec;
+  }
+
+  function start() {
+    if (!supported()) throw new Error("SpeechRecognition not supported in this browser.");
+    const r = ensureRecognizer();
+    if (listening) return;
+    r.lang = opts.getLang();
+    r.continuous = handsFree;
+    try { r.start(); } catch (e) { console.warn("[voice] start error", e); }
+  }
+
+  function stop() { if (rec && listening) rec.stop(); }
+
+  /* push-to-talk: the next phrase is a command, no wake word needed */
+  function listen() {
+    awaitUntil = Date.now() + WAKE_WINDOW_MS;
+    start();
+  }
+
+  function setHandsFree(on) {
+    handsFree = !!on;
+    if (rec && listening) rec.stop();        // restart so `continuous` takes effect
+    else if (handsFree) start();
+  }
+
+  /* next yes/no answer calls onYes / onNo; anything else cancels and is handled normally */
+  function confirm(onYes, onNo = () => {}) {
+    pending = { onYes, onNo, until: Date.now() + CONFIRM_WINDOW_MS };
+    awaitUntil = pending.until;
+  }
+
+  function stripWakeWord(text) {
+    for (const w of I18n.wakeWords(opts.getLang())) {
+      const i = text.indexOf(w.toLowerCase());
+      if (i !== -1 && i <= 4) return text.slice(i + w.length).replace(/^[\s,.!?]+/, "");
+    }
+    return null;
+  }
+
+  function handleTranscript(text) {
+    const now = Date.now();
+    let cmd = text;
+    if (handsFree) {
+      const rest = stripWakeWord(text);
+      if (rest === null && now > awaitUntil) return;      // background talk, ignore
+      if (rest === "") { awaitUntil = now + WAKE_WINDOW_MS; opts.onWake(); return; }
+      if (rest !== null) cmd = rest;
+    }
+    awaitUntil = 0;
+    console.log("[voice] heard:", cmd);
+
+    const match = I18n.matchCommand(opts.getLang(), cmd);
+    if (pending) {
+      const p = pending;
+      pending = null;
+      if (now <= p.until && match && (match.id === "yes" || match.id === "no")) {
+        (match.id === "yes" ? p.onYes : p.onNo)();
+        return;
+      }
+      p.onNo();
+    }
+    if (!match || !opts.dispatch(match, cmd)) opts.onUnknown(cmd);
+  }
+
+  return {
+    supported, init, listen, stop, setHandsFree, confirm,
+    isHandsFree: () => handsFree,
+    isListening: () => listening
+  };
+})();
@@ -0,0 +1,191 @@
+/**
+ * crossing.js — street-crossing mode: the traffic light and the traffic right in front of the user
+ * - classifyLight() reads a traffic light's colour from the pixels of its box: lit, saturated red,
+ *   amber or green, and where in the housing the lit part is (red on top, green below)
+ * - The walking corridor is the middle of the picture, the way the user is facing; a vehicle whose
+ *   box reaches into it is "in your path", whatever its distance, since the road is what lies ahead
+ * - safety() answers "safe to cross?" with "yes" only on strong evidence: a steady green seen just
+ *   now, no vehicle in the corridor or approaching for a while, and long enough watched to know
+ *
+ * Pure logic like search.js: update() takes the tracked items and classified lights of one frame
+ * and returns cues; wording and pixels are left to script.js. Which way a light faces cannot be
+ * seen, so the one facing the camera is taken to be the user's.
+ */
+
+const CROSSING_VEHICLES = new Set(["car", "bus", "truck", "motorcycle", "bicycle", "train"]);
+const CROSSING_CORRIDOR_HALF = 0.15;      // corridor = the middle 30% of the frame width
+const CROSSING_LIT_MIN = 0.03;            // share of the box that has to be lit and coloured
+const CROSSING_DOMINANCE = 0.6;           // share of the lit pixels the winning colour needs
+const CROSSING_LIGHT_FRAMES = 3;          // passes in a row with the same colour before it counts
+const CROSSING_LIGHT_STALE_MS = 2000;     // a light unseen this long is not known any more
+const CROSSING_GREEN_STEADY_MS = 1500;    // green this long before "safe" can be said
+const CROSSING_SAFE_CONFIDENCE = 0.6;
+const CROSSING_CLEAR_MS = 3000;           // no vehicle in the path or approaching for this long
+const CROSSING_WATCH_MS = 2000;           // looked this long before any answer
+const CROSSING_REPEAT_MS = 4000;          // a vehicle still in the path is said again after this long
+
+const StreetCrossing = (() => {
+  /* r, g, b 0-255 -> hue in degrees, or -1 when the pixel is too dark or grey to be a lit lamp */
+  function litHue(r, g, b) {
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    if (max < 115 || (max - min) / max < 0.35) return -1;
+    const d = max - min;
+    let h;
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return (h * 60 + 360) % 360;
+  }
+
+  function colourOf(hue) {
+    if (hue < 0) return null;
+    if (hue < 15 || hue >= 330) return "red";
+    if (hue < 50) return "amber";
+    // traffic greens lean towards cyan
+    if (hue >= 80 && hue < 200) return "green";
+    return null;
+  }
+
+  /**
+   * classifyLight({ data, width, height }) — RGBA pixels of a traffic light's box (ImageData)
+   * -> { state: "red" | "amber" | "green" | "unknown", confidence 0..1, lit (share of the box) }
+   */
+  function classifyLight({ data, width, height }) {
+    const count = { red: 0, amber: 0, green: 0 };
+    const rowSum = { red: 0, amber: 0, green: 0 };
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const c = colourOf(litHue(data[i], data[i + 1], data[i + 2]));
+        if (!c) continue;
+        count[c]++;
+        rowSum[c] += y / Math.max(1, height - 1);
+      }
+    }
+    const total = count.red + count.amber + count.green;
+    const lit = total / Math.max(1, width * height);
+    if (lit < CROSSING_LIT_MIN) return { state: "unknown", confidence: 0, lit };
+    const state = Object.keys(count).reduce((a, b) => (count[b] > count[a] ? b : a));
+    const share = count[state] / total;
+    if (share < CROSSING_DOMINANCE) return { state: "unknown", confidence: 0, lit };
+    let confidence = share * Math.min(1, lit / (CROSSING_LIT_MIN * 3));
+    // an upright housing lights red at the top and green at the bottom; the wrong end is doubtful
+    const row = rowSum[state] / count[state];
+    if (height > width * 1.3 && ((state === "red" && row > 0.66) || (state === "green" && row < 0.33))) confidence /= 2;
+    return { state, confidence, lit };
+  }
+
+  /* does the box [x, y, w, h] reach into the middle corridor of a frame this wide? */
+  function inCorridor(bbox, width) {
+    const left = bbox[0] / width, right = (bbox[0] + bbox[2]) / width;
+    return Math.min(right, 0.5 + CROSSING_CORRIDOR_HALF) > Math.max(left, 0.5 - CROSSING_CORRIDOR_HALF);
+  }
+
+  /**
+   * create(now)
+   *   update(items, lights, { width, now }) -> cues, most urgent first:
+   *     { kind: "blocked", item }                      anything very close in the corridor
+   *     { kind: "vehicle", item, approaching }         a vehicle came into the path (again after CROSSING_REPEAT_MS)
+   *     { kind: "approaching", item }                  a vehicle outside the path is coming closer
+   *     { kind: "light", state }                       the light's colour changed (or was first seen)
+   *     { kind: "clear" }                              the path has been free of traffic for CROSSING_CLEAR_MS
+   *   lights: [{ bbox, state, confidence }] from classifyLight(), one per traffic light box
+   *   safety(now) -> { verdict: "yes" | "no" | "unsure", why: "green" | "red" | "amber" | "vehicle" |
+   *                    "approaching" | "noLight" | "unsteady" | "tooSoon" }
+   *   light(now) -> steady colour, or "unknown"
+   */
+  function create(now0 = performance.now()) {
+    const startedAt = now0;
+    const said = new Map();         // trackId -> { time, approaching } of the last "vehicle" / "approaching" cue
+    const blocked = new Set();      // trackIds already said to be blocking
+    let vehicleAt = -Infinity;      // last time a vehicle was in the path
+    let approachAt = -Infinity;     // last time a vehicle was approaching
+    let clearSaid = true;           // nothing to call clear yet
+    let candidate = null;           // { state, frames } colour not yet steady
+    let steady = { state: "unknown", since: now0, seenAt: -Infinity, confidence: 0 };
+
+    /* the light to go by: the most confident one, larger boxes winning ties */
+    function pickLight(lights) {
+      const known = lights.filter(l => l.state !== "unknown");
+      if (!known.length) return null;
+      return known.reduce((a, b) => {
+        const ka = a.confidence * Math.sqrt(a.bbox[2] * a.bbox[3]);
+        const kb = b.confidence * Math.sqrt(b.bbox[2] * b.bbox[3]);
+        return kb > ka ? b : a;
+      });
+    }
+
+    function updateLight(lights, now) {
+      const l = pickLight(lights);
+      if (!l) return null;
+      if (l.state === steady.state) {
+        candidate = null;
+        steady.seenAt = now;
+        steady.confidence = steady.confidence * 0.7 + l.confidence * 0.3;
+        return null;
+      }
+      candidate = candidate && candidate.state === l.state ? { ...candidate, frames: candidate.frames + 1 } : { state: l.state, frames: 1, confidence: l.confidence };
+      if (candidate.frames < CROSSING_LIGHT_FRAMES) return null;
+      steady = { state: l.state, since: now, seenAt: now, confidence: candidate.confidence };
+      candidate = null;
+      return { kind: "light", state: steady.state };
+    }
+
+    function update(items, lights = [], { width, now = performance.now() } = {}) {
+      const cues = [];
+      // kept while they still hold something back; a track missed for a pass is not news again
+      said.forEach((s, id) => { if (now - s.time > CROSSING_REPEAT_MS) said.delete(id); });
+
+      for (const it of items) {
+        const path = inCorridor(it.bbox, width);
+        if (!CROSSING_VEHICLES.has(it.cls)) {
+          if (path && it.dist === "veryClose" && !blocked.has(it.trackId)) {
+            blocked.add(it.trackId);
+            cues.push({ kind: "blocked", item: it });
+          }
+          continue;
+        }
+        const approaching = it.motion === "approaching";
+        if (approaching) approachAt = now;
+        if (path) vehicleAt = now;
+        const last = said.get(it.trackId);
+        const news = !last || (approaching && !last.approaching) || now - last.time > CROSSING_REPEAT_MS;
+        if (!news || (!path && !approaching)) continue;
+        said.set(it.trackId, { time: now, approaching });
+        cues.push(path ? { kind: "vehicle", item: it, approaching } : { kind: "approaching", item: it });
+        clearSaid = false;
+      }
+
+      const light = updateLight(lights, now);
+      if (light) cues.push(light);
+      if (!clearSaid && now - Math.max(vehicleAt, approachAt) >= CROSSING_CLEAR_MS) {
+        clearSaid = true;
+        cues.push({ kind: "clear" });
+      }
+      const rank = { blocked: 0, vehicle: 1, approaching: 2, light: 3, clear: 4 };
+      return cues.sort((a, b) => rank[a.kind] - rank[b.kind]);
+    }
+
+    function light(now = performance.now()) {
+      return now - steady.seenAt <= CROSSING_LIGHT_STALE_MS ? steady.state : "unknown";
+    }
+
+    /* every "no" reason is checked before any "unsure" one: a red light is worth saying even when unsteady */
+    function safety(now = performance.now()) {
+      const colour = light(now);
+      if (now - vehicleAt < CROSSING_CLEAR_MS) return { verdict: "no", why: "vehicle" };
+      if (now - approachAt < CROSSING_CLEAR_MS) return { verdict: "no", why: "approaching" };
+      if (colour === "red" || colour === "amber") return { verdict: "no", why: colour };
+      if (now - startedAt < CROSSING_WATCH_MS) return { verdict: "unsure", why: "tooSoon" };
+      if (colour === "unknown") return { verdict: "unsure", why: "noLight" };
+      if (candidate || now - steady.since < CROSSING_GREEN_STEADY_MS || steady.confidence < CROSSING_SAFE_CONFIDENCE) {
+        return { verdict: "unsure", why: "unsteady" };
+      }
+      return { verdict: "yes", why: "green" };
+    }
+
+    return { update, safety, light };
+  }
+
+  return { create, classifyLight, inCorridor, VEHICLES: CROSSING_VEHICLES };
+})();
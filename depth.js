@@ -0,0 +1,163 @@
+/**
+ * depth.js — monocular depth for distances in metres
+ * - Runs MiDaS v2.1 small (TF.js graph model) for relative inverse depth over the whole frame
+ * - Scales it to metres with objects of known height (a person is about 1.7 m) and, before any
+ *   such object was seen, with the floor in front of the camera
+ * - annotate() adds `metres` to every prediction and appends a class-agnostic "obstacle" when
+ *   the walking corridor in the middle of the frame is blocked
+ *
+ * Loaded by the page and by inference-worker.js: no DOM, tfjs via `self.tf`. Metres are
+ * estimates for a phone held upright at chest height; script.js falls back to box area
+ * whenever this model is off. Converting the weights is described in models/README.md.
+ */
+
+const DEPTH_MODEL_CANDIDATES = ["vendor/midas/model.json", "models/midas-small/model.json"];
+const DEPTH_INPUT = 256;                          // MiDaS small: 1x3x256x256 in, 1x256x256 out
+const DEPTH_MEAN = [0.485, 0.456, 0.406];
+const DEPTH_STD = [0.229, 0.224, 0.225];
+const CAMERA_HFOV_DEG = 65;                       // typical phone main camera
+const CAMERA_HEIGHT_M = 1.3;
+const DEPTH_SCALE_ALPHA = 0.2;                    // smoothing of the metres-per-unit scale
+const OBSTACLE_CLASS = "obstacle";
+const OBSTACLE_M = 1.5;                           // corridor pixels nearer than this count as blocked
+const OBSTACLE_MIN_FRACTION = 0.2;
+const CORRIDOR = { x0: 0.35, x1: 0.65, y0: 0.35, y1: 0.8 };   // frame fractions
+
+/* typical full heights in metres; only boxes that don't touch the top/bottom edge are used */
+const KNOWN_HEIGHT_M = {
+  person: 1.7, car: 1.5, bus: 3.2, truck: 3.0, bicycle: 1.0, motorcycle: 1.1,
+  chair: 0.9, bench: 0.85, "dining table": 0.75, toilet: 0.75, "fire hydrant": 0.75,
+  refrigerator: 1.8, "potted plant": 0.8, "parking meter": 1.3
+};
+
+const DepthEstimator = (() => {
+  function median(values) {
+    if (!values.length) return NaN;
+    const s = Float32Array.from(values).sort();
+    return s[s.length >> 1];
+  }
+
+  function percentile(values, q) {
+    if (!values.length) return NaN;
+    const s = Float32Array.from(values).sort();
+    return s[Math.min(s.length - 1, Math.floor(q * s.length))];
+  }
+
+  /* disparity samples inside a frame rectangle, mapped onto the depth grid */
+  function samples(map, x0, y0, x1, y1) {
+    const out = [];
+    const gx0 = Math.max(0, Math.floor(x0 * DEPTH_INPUT)), gx1 = Math.min(DEPTH_INPUT, Math.ceil(x1 * DEPTH_INPUT));
+    const gy0 = Math.max(0, Math.floor(y0 * DEPTH_INPUT)), gy1 = Math.min(DEPTH_INPUT, Math.ceil(y1 * DEPTH_INPUT));
+    for (let y = gy0; y < gy1; y++) {
+      for (let x = gx0; x < gx1; x++) out.push(map[y * DEPTH_INPUT + x]);
+    }
+    return out;
+  }
+
+  /* middle half of a box, so background around the object doesn't pull the value */
+  function boxDisparity(map, [x, y, w, h], W, H) {
+    return median(samples(map, (x + w / 4) / W, (y + h / 4) / H, (x + 3 * w / 4) / W, (y + 3 * h / 4) / H));
+  }
+
+  function create() {
+    let graph = null;
+    let scale = 0;       // metres = scale / disparity
+
+    async function load() {
+      const errors = [];
+      for (const url of DEPTH_MODEL_CANDIDATES) {
+        try {
+          graph = await self.tf.loadGraphModel(url);
+          console.log("[depth] model loaded from", url);
+          return;
+        } catch (err) {
+          errors.push(`${url}: ${err.message || err}`);
+        }
+      }
+      throw new Error("depth model load failed: " + errors.join(" | "));
+    }
+
+    async function estimate(source) {
+      const tf = self.tf;
+      const input = tf.tidy(() => {
+        const img = tf.image.resizeBilinear(tf.browser.fromPixels(source), [DEPTH_INPUT, DEPTH_INPUT]).toFloat().div(255);
+        return img.sub(DEPTH_MEAN).div(DEPTH_STD).transpose([2, 0, 1]).expandDims(0);
+      });
+      let out;
+      try {
+        out = await graph.executeAsync(input);
+      } finally {
+        input.dispose();
+      }
+      const map = await out.data();
+      out.dispose();
+      return map;
+    }
+
+    /* fit metres = scale / disparity to this frame's anchors and smooth it over time */
+    function calibrate(map, preds, W, H) {
+      const focal = (W / 2) / Math.tan(CAMERA_HFOV_DEG * Math.PI / 360);
+      const fits = [];
+      for (const p of preds) {
+        const known = KNOWN_HEIGHT_M[p.class];
+        const [, y, , h] = p.bbox;
+        if (!known || y < 0.02 * H || y + h > 0.98 * H) continue;
+        const d = boxDisparity(map, p.bbox, W, H);
+        if (d > 0) fits.push((known * focal / h) * d);
+      }
+      if (!fits.length && !scale) {
+        // floor at 90% of the frame height, camera level: distance = camera height x focal / rows below centre
+        const d = median(samples(map, CORRIDOR.x0, 0.88, CORRIDOR.x1, 0.92));
+        if (d > 0) fits.push((CAMERA_HEIGHT_M * focal / (0.4 * H)) * d);
+      }
+      if (!fits.length) return;
+      const s = median(fits);
+      scale = scale ? scale * (1 - DEPTH_SCALE_ALPHA) + s * DEPTH_SCALE_ALPHA : s;
+    }
+
+    /* the walking corridor is blocked when enough of it is nearer than OBSTACLE_M */
+    function corridorObstacle(map, W, H, preds) {
+      const values = samples(map, CORRIDOR.x0, CORRIDOR.y0, CORRIDOR.x1, CORRIDOR.y1);
+      const limit = scale / OBSTACLE_M;
+      const blocked = values.filter(d => d > limit).length / (values.length || 1);
+      if (blocked < OBSTACLE_MIN_FRACTION) return null;
+      const metres = round(scale / percentile(values, 0.9));
+      // a detected object already in the corridor at that distance says it better
+      const explained = preds.some(p => {
+        const cx = (p.bbox[0] + p.bbox[2] / 2) / W;
+        return cx >= CORRIDOR.x0 && cx <= CORRIDOR.x1 && p.metres != null && p.metres <= metres + 0.5;
+      });
+      if (explained) return null;
+      const bbox = [CORRIDOR.x0 * W, CORRIDOR.y0 * H, (CORRIDOR.x1 - CORRIDOR.x0) * W, (CORRIDOR.y1 - CORRIDOR.y0) * H];
+      // no classifier behind it: the score is how much of the corridor is blocked
+      return { class: OBSTACLE_CLASS, score: Math.min(1, 0.5 + blocked), bbox, metres };
+    }
+
+    function round(m) { return m < 10 ? Math.round(m * 10) / 10 : Math.round(m); }
+
+    /**
+     * annotate(source, preds) -> preds with `metres` (plus an "obstacle" entry when blocked).
+     * Until the scale is known the predictions come back unchanged.
+     */
+    async function annotate(source, preds) {
+      const W = source.videoWidth || source.width;
+      const H = source.videoHeight || source.height;
+      const map = await estimate(source);
+      calibrate(map, preds, W, H);
+      if (!scale) return preds;
+      const out = preds.map(p => {
+        const d = boxDisparity(map, p.bbox, W, H);
+        return d > 0 ? { ...p, metres: round(scale / d) } : p;
+      });
+      const obstacle = corridorObstacle(map, W, H, out);
+      if (obstacle) out.push(obstacle);
+      return out;
+    }
+
+    function dispose() { if (graph) graph.dispose(); graph = null; scale = 0; }
+
+    return { load, annotate, dispose };
+  }
+
+  return { create, OBSTACLE_CLASS };
+})();
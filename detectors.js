@@ -0,0 +1,338 @@
+/**
+ * detectors.js — pluggable object detector backends
+ *
+ * Every backend implements the same small interface:
+ *   load()          -> Promise, downloads weights (tfjs itself is loaded with ensureTfjs() first)
+ *   detect(source)  -> Promise<[{ class, score, bbox: [x, y, w, h] }]> in source pixels
+ *   labels()        -> every class name the detector can return
+ *   hazards         -> { class: priority } merged into the scene ranking (optional)
+ *   translations    -> { langCode: { class: name } } for classes the locales don't know (optional)
+ *   dispose()
+ *
+ * Built in: COCO-SSD (standard / lite), using weights under vendor/ when present.
+ * Custom same-origin TF.js graph models are listed in models/manifest.json (format in
+ * models/README.md) and show up in the model picker.
+ *
+ * This file is loaded both by the page and by inference-worker.js, so it only touches `self`,
+ * fetch and the host's loadScriptUrl() — never the DOM. createInWorker() wraps any backend in
+ * that worker behind the same interface.
+ */
+
+const MODELS_MANIFEST_URL = "models/manifest.json";
+const INFERENCE_WORKER_URL = "inference-worker.js";
+
+/* local copies first (tools/fetch-offline-assets.sh), then CDNs */
+const TFJS_CANDIDATES = [
+  "vendor/tfjs/tf.min.js",
+  "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.9.0/dist/tf.min.js",
+  "https://unpkg.com/@tensorflow/tfjs@3.9.0/dist/tf.min.js"
+];
+const COCO_CANDIDATES = [
+  "vendor/coco-ssd/coco-ssd.min.js",
+  "https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd",
+  "https://unpkg.com/@tensorflow-models/coco-ssd@2.2.2"
+];
+
+const COCO_LABELS = [
+  "person", "bicycle", "car", "motorcycle", "airplane", "bus", "train", "truck", "boat", "traffic light",
+  "fire hydrant", "stop sign", "parking meter", "bench", "bird", "cat", "dog", "horse", "sheep", "cow",
+  "elephant", "bear", "zebra", "giraffe", "backpack", "umbrella", "handbag", "tie", "suitcase", "frisbee",
+  "skis", "snowboard", "sports ball", "kite", "baseball bat", "baseball glove", "skateboard", "surfboard",
+  "tennis racket", "bottle", "wine glass", "cup", "fork", "knife", "spoon", "bowl", "banana", "apple",
+  "sandwich", "orange", "broccoli", "carrot", "hot dog", "pizza", "donut", "cake", "chair", "couch",
+  "potted plant", "bed", "dining table", "toilet", "tv", "laptop", "mouse", "remote", "keyboard",
+  "cell phone", "microwave", "oven", "toaster", "sink", "refrigerator", "book", "clock", "vase", "scissors",
+  "teddy bear", "hair drier", "toothbrush"
+];
+
+/* --- Runtime loading: loadScriptUrl() is a <script> tag on the page, importScripts() in the worker --- */
+let tfLoaded = false;
+let cocoLoaded = false;
+
+/* true when a same-origin asset is reachable (network or service-worker cache) */
+async function localAssetExists(url) {
+  try {
+    const res = await fetch(url, { cache: "no-cache" });
+    return res.ok;
+  } catch (err) {
+    return false;
+  }
+}
+
+/* Try load TFJS from candidates one by one */
+async function ensureTfjs() {
+  if (tfLoaded) { console.log("[loader] tf already loaded"); return; }
+  const errors = [];
+  for (const u of TFJS_CANDIDATES) {
+    try {
+      await loadScriptUrl(u);
+      // quick presence test
+      if (self.tf) {
+        tfLoaded = true;
+        console.log("[loader] tf present after loading", u);
+        return;
+      } else {
+        console.warn("[loader] script loaded but self.tf not present for", u);
+        errors.push(`No self.tf after loading ${u}`);
+      }
+    } catch (err) {
+      console.warn("[loader] tf attempt failed:", u, err);
+      errors.push(err.message || String(err));
+    }
+  }
+  throw new Error("tfjs load failed: " + errors.join(" | "));
+}
+
+/* Try load coco-ssd (note: coco-ssd is a module that registers itself when loaded) */
+async function ensureCoco() {
+  if (cocoLoaded && self.cocoSsd) { console.log("[loader] coco present"); return; }
+  const errors = [];
+  for (const u of COCO_CANDIDATES) {
+    try {
+      await loadScriptUrl(u);
+      // Wait a tick for the module to register
+      await new Promise(r => setTimeout(r, 300));
+      if (self.cocoSsd && typeof self.cocoSsd.load === "function") {
+        cocoLoaded = true;
+        console.log("[loader] coco-ssd present after loading", u);
+        return;
+      } else {
+        console.warn("[loader] script loaded but self.cocoSsd not present for", u);
+        errors.push(`No self.cocoSsd after loading ${u}`);
+      }
+    } catch (err) {
+      console.warn("[loader] coco attempt failed:", u, err);
+      errors.push(err.message || String(err));
+    }
+  }
+  throw new Error("coco-ssd load failed: " + errors.join(" | "));
+}
+
+const Detectors = (() => {
+  const builtins = [
+    { id: "standard", name: "Standard (accurate)", type: "coco-ssd", base: "mobilenet_v2", localUrl: "vendor/coco-ssd/ssd_mobilenet_v2/model.json" },
+    { id: "lite", name: "Lite (faster)", type: "coco-ssd", base: "lite_mobilenet_v2", localUrl: "vendor/coco-ssd/ssdlite_mobilenet_v2/model.json" }
+  ];
+  let custom = [];
+  let manifestLoaded = null;
+
+  /* COCO-SSD via the cocoSsd global (ensureCoco() injects the script) */
+  function createCocoSsd(entry) {
+    let net = null;
+    return {
+      id: entry.id,
+      name: entry.name,
+      hazards: {},
+      translations: {},
+      async load() {
+        await ensureCoco();
+        // self-hosted weights (tools/fetch-offline-assets.sh) win over the Google Storage default
+        const local = entry.localUrl && await localAssetExists(entry.localUrl);
+        const config = local ? { base: entry.base, modelUrl: entry.localUrl } : { base: entry.base };
+        console.log("[detector] cocoSsd.load", config);
+        net = await self.cocoSsd.load(config);
+      },
+      detect(source) { return net.detect(source); },
+      labels() { return COCO_LABELS.slice(); },
+      dispose() { if (net && net.dispose) net.dispose(); net = null; }
+    };
+  }
+
+  /**
+   * Generic TF.js graph model exported from the TF Object Detection API (or anything with the
+   * same outputs): normalised [ymin, xmin, ymax, xmax] boxes, scores and class ids.
+   */
+  function createGraphModel(entry) {
+    let graph = null;
+    let labelList = Array.isArray(entry.labels) ? entry.labels.slice() : [];
+    const outputs = {
+      boxes: "detection_boxes", scores: "detection_scores", classes: "detection_classes",
+      ...(entry.outputs || {})
+    };
+    const classOffset = entry.classOffset != null ? entry.classOffset : 1;   // TF OD API ids start at 1
+    const minScore = entry.minScore != null ? entry.minScore : 0.3;
+    const maxDetections = entry.maxDetections || 20;
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      hazards: entry.hazards || {},
+      translations: entry.translations || {},
+      async load() {
+        if (!labelList.length && entry.labelsUrl) {
+          const res = await fetch(entry.labelsUrl);
+          if (!res.ok) throw new Error(`Label map ${entry.labelsUrl}: HTTP ${res.status}`);
+          labelList = await res.json();
+        }
+        console.log("[detector] tf.loadGraphModel", entry.url);
+        graph = await self.tf.loadGraphModel(entry.url);
+      },
+      async detect(source) {
+        const tf = self.tf;
+        const w = source.videoWidth || source.width;
+        const h = source.videoHeight || source.height;
+        const input = tf.tidy(() => {
+          let img = tf.browser.fromPixels(source);
+          if (entry.inputSize) img = tf.image.resizeBilinear(img, [entry.inputSize, entry.inputSize]);
+          img = entry.inputDtype === "float32" ? img.toFloat().div(255) : img.toInt();
+          return img.expandDims(0);
+        });
+        let result;
+        try {
+          result = await graph.executeAsync(input, [outputs.boxes, outputs.scores, outputs.classes]);
+        } finally {
+          input.dispose();
+        }
+        const [boxes, scores, classes] = await Promise.all(result.map(r => r.array()));
+        result.forEach(r => r.dispose());
+        const preds = [];
+        for (let i = 0; i < scores[0].length && preds.length < maxDetections; i++) {
+          const score = scores[0][i];
+          if (score < minScore) continue;
+          const [ymin, xmin, ymax, xmax] = boxes[0][i];
+          const cls = labelList[Math.round(classes[0][i]) - classOffset];
+          if (!cls) continue;
+          preds.push({ class: cls, score, bbox: [xmin * w, ymin * h, (xmax - xmin) * w, (ymax - ymin) * h] });
+        }
+        return preds;
+      },
+      labels() { return labelList.slice(); },
+      dispose() { if (graph) graph.dispose(); graph = null; }
+    };
+  }
+
+  const FACTORIES = { "coco-ssd": createCocoSsd, "tfjs-graph": createGraphModel };
+
+  /* a worker needs a transferable frame source and a 2D OffscreenCanvas to unpack it */
+  const workerSupported = typeof Worker === "function"
+    && typeof OffscreenCanvas === "function"
+    && typeof createImageBitmap === "function";
+
+  /**
+   * Same interface, but load() and detect() run in inference-worker.js. detect() snapshots the
+   * source into an ImageBitmap and transfers it, so the caller can draw the next frame at once.
+   * id/name/hazards/translations are filled in once the worker has loaded the model.
+   * setDepth(on) runs depth.js in the worker too; predictions then carry `metres`.
+   * If the worker dies after loading, `crashed` holds the error and every detect() rejects with it.
+   */
+  function createInWorker(id) {
+    let worker = null;
+    let seq = 0;
+    let labelList = [];
+    const pending = new Map();   // seq -> { resolve, reject }
+    let loaded = false;
+    let depthWaiter = null;      // { resolve, reject } while a depth toggle is in flight
+
+    const backend = {
+      id,
+      name: id,
+      hazards: {},
+      translations: {},
+      inWorker: true,
+      crashed: null,
+      load() {
+        worker = new Worker(INFERENCE_WORKER_URL);
+        return new Promise((resolve, reject) => {
+          worker.onmessage = (evt) => {
+            const msg = evt.data;
+            if (msg.type === "loaded") {
+              Object.assign(backend, { id: msg.id, name: msg.name, hazards: msg.hazards, translations: msg.translations });
+              labelList = msg.labels;
+              loaded = true;
+              console.log("[detector] worker ready:", msg.id, "tf backend:", msg.backend);
+              resolve();
+            } else if (msg.type === "loadFailed") {
+              backend.dispose();
+              reject(new Error(msg.message));
+            } else if (msg.type === "depthReady" || msg.type === "depthFailed") {
+              const waiter = depthWaiter;
+              depthWaiter = null;
+              if (!waiter) return;
+              if (msg.type === "depthReady") waiter.resolve(msg.on);
+              else waiter.reject(new Error(msg.message));
+            } else if (msg.type === "result") {
+              const done = pending.get(msg.seq);
+              pending.delete(msg.seq);
+              if (done) done.resolve(msg.preds);
+            } else if (msg.type === "error") {
+              console.warn("[detector] worker detect failed:", msg.message);
+              const done = pending.get(msg.seq);
+              pending.delete(msg.seq);
+              if (done) done.resolve([]);
+            }
+          };
+          worker.onerror = (evt) => {
+            evt.preventDefault();
+            const err = new Error(`Inference worker failed: ${evt.message || "script error"}`);
+            // before "loaded" the caller falls back to the page; after it, the frame loop has to hear of it
+            if (loaded) backend.crashed = err;
+            backend.dispose();
+            reject(err);
+          };
+          worker.postMessage({ type: "load", id });
+        });
+      },
+      async detect(source) {
+        if (backend.crashed) throw backend.crashed;
+        if (!worker) return [];
+        const frame = await createImageBitmap(source);
+        return new Promise((resolve, reject) => {
+          const n = ++seq;
+          pending.set(n, { resolve, reject });
+          worker.postMessage({ type: "detect", seq: n, frame }, [frame]);
+        });
+      },
+      setDepth(on) {
+        if (!worker) return Promise.reject(new Error("Detector not loaded"));
+        if (depthWaiter) depthWaiter.reject(new Error("Superseded"));
+        return new Promise((resolve, reject) => {
+          depthWaiter = { resolve, reject };
+          worker.postMessage({ type: "depth", on: !!on });
+        });
+      },
+      labels() { return labelList.slice(); },
+      // a detect() still in flight resolves empty rather than failing the caller's loop, unless the worker crashed
+      dispose() {
+        if (worker) worker.terminate();
+        worker = null;
+        pending.forEach(done => (backend.crashed ? done.reject(backend.crashed) : done.resolve([])));
+        pending.clear();
+        if (depthWaiter) depthWaiter.reject(new Error("Detector disposed"));
+        depthWaiter = null;
+      }
+    };
+    return backend;
+  }
+
+  /* read models/manifest.json once; a missing manifest just means "no custom models" */
+  function loadManifest() {
+    if (!manifestLoaded) {
+      manifestLoaded = fetch(MODELS_MANIFEST_URL, { cache: "no-cache" })
+        .then(res => (res.ok ? res.json() : { models: [] }))
+        .then(json => {
+          const base = new URL(MODELS_MANIFEST_URL, location.href);
+          custom = (json.models || [])
+            .filter(m => m.id && m.url && FACTORIES[m.type || "tfjs-graph"])
+            .map(m => ({
+              ...m,
+              type: m.type || "tfjs-graph",
+              url: new URL(m.url, base).href,
+              labelsUrl: m.labelsUrl ? new URL(m.labelsUrl, base).href : undefined
+            }));
+          console.log("[detector] custom models:", custom.map(m => m.id));
+          return list();
+        })
+        .catch(err => { console.warn("[detector] no models manifest:", err); return list(); });
+    }
+    return manifestLoaded;
+  }
+
+  function list() { return [...builtins, ...custom].map(({ id, name }) => ({ id, name })); }
+
+  function create(id) {
+    const entry = [...builtins, ...custom].find(m => m.id === id) || builtins[0];
+    return FACTORIES[entry.type](entry);
+  }
+
+  return { list, loadManifest, create, createInWorker, workerSupported, COCO_LABELS };
+})();
@@ -0,0 +1,195 @@
+/**
+ * face-id.js — on-device identity verification
+ * - Loads face-api (tiny face detector + landmarks + 128-d descriptors) on demand
+ * - Enrolls a person from a few camera frames and keeps descriptors in IndexedDB ("faces" store)
+ * - Matches faces in the live video against enrolled people by euclidean distance
+ *
+ * Nothing leaves the device: frames are only used to compute descriptors.
+ */
+
+const FACEAPI_CANDIDATES = [
+  "vendor/face-api/face-api.js",
+  "https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.12/dist/face-api.js",
+  "https://unpkg.com/@vladmandic/face-api@1.7.12/dist/face-api.js"
+];
+const FACE_WEIGHTS_CANDIDATES = [
+  "vendor/face-api/model/",
+  "https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.12/model/",
+  "https://unpkg.com/@vladmandic/face-api@1.7.12/model/"
+];
+
+const FACE_STORE = "faces";
+const FACE_THRESHOLD_KEY = "faceThreshold";
+const FACE_DEFAULT_THRESHOLD = 0.5;   // face-api distances: < 0.6 is usually the same person
+const ENROLL_FRAMES = 5;
+const ENROLL_MIN_FRAMES = 3;
+const ENROLL_GAP_MS = 350;
+
+const FaceId = (() => {
+  let loaded = false;
+  let loading = null;
+  let people = [];          // [{ id, name, descriptors: Float32Array[], createdAt }]
+
+  function detectorOptions() {
+    return new window.faceapi.TinyFaceDetectorOptions({ inputSize: 320, scoreThreshold: 0.5 });
+  }
+
+  async function loadScriptAndWeights() {
+    const errors = [];
+    if (!window.faceapi) {
+      for (const u of FACEAPI_CANDIDATES) {
+        try {
+          await loadScriptUrl(u);
+          if (window.faceapi) break;
+          errors.push(`No window.faceapi after loading ${u}`);
+        } catch (err) {
+          errors.push(err.message || String(err));
+        }
+      }
+      if (!window.faceapi) throw new Error("face-api load failed: " + errors.join(" | "));
+    }
+    for (const base of FACE_WEIGHTS_CANDIDATES) {
+      try {
+        await Promise.all([
+          window.faceapi.nets.tinyFaceDetector.loadFromUri(base),
+          window.faceapi.nets.faceLandmark68Net.loadFromUri(base),
+          window.faceapi.nets.faceRecognitionNet.loadFromUri(base)
+        ]);
+        console.log("[face] weights loaded from", base);
+        return;
+      } catch (err) {
+        console.warn("[face] weights attempt failed:", base, err);
+        errors.push(err.message || String(err));
+      }
+    }
+    throw new Error("face weights load failed: " + errors.join(" | "));
+  }
+
+  /* load face-api + weights + enrolled people (safe to call repeatedly) */
+  function ensureLoaded() {
+    if (loaded) return Promise.resolve();
+    if (!loading) {
+      loading = (async () => {
+        await loadScriptAndWeights();
+        await refresh();
+        loaded = true;
+      })();
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  async function refresh() {
+    const rows = await idbGetAll(FACE_STORE);
+    people = rows
+      .map(r => ({ ...r, descriptors: r.descriptors.map(d => new Float32Array(d)) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return people;
+  }
+
+  function list() { return people.map(p => ({ id: p.id, name: p.name, samples: p.descriptors.length, createdAt: p.createdAt })); }
+
+  function findByName(name) {
+    const n = String(name || "").trim().toLowerCase();
+    return people.find(p => p.name.toLowerCase() === n) || null;
+  }
+
+  function getThreshold() {
+    const v = parseFloat(localStorage.getItem(FACE_THRESHOLD_KEY));
+    return Number.isFinite(v) ? v : FACE_DEFAULT_THRESHOLD;
+  }
+  function setThreshold(v) {
+    const n = Math.min(0.9, Math.max(0.2, parseFloat(v)));
+    if (Number.isFinite(n)) localStorage.setItem(FACE_THRESHOLD_KEY, String(n));
+    return getThreshold();
+  }
+
+  function distance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) { const d = a[i] - b[i]; sum += d * d; }
+    return Math.sqrt(sum);
+  }
+
+  /* best enrolled match for one descriptor, or null when nobody is under the threshold */
+  function match(descriptor) {
+    const threshold = getThreshold();
+    let best = null;
+    for (const p of people) {
+      for (const d of p.descriptors) {
+        const dist = distance(descriptor, d);
+        if (dist < threshold && (!best || dist < best.distance)) best = { id: p.id, name: p.name, distance: dist };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Capture a few frames of the person in front of the camera and store them under `name`.
+   * Re-enrolling an existing name adds samples to that person.
+   * onProgress(captured, total) is called after each attempted frame.
+   */
+  async function enroll(name, source, onProgress) {
+    const label = String(name || "").trim();
+    if (!label) throw new Error("A name is required to enroll a face.");
+    await ensureLoaded();
+    const descriptors = [];
+    for (let i = 0; i < ENROLL_FRAMES; i++) {
+      const res = await window.faceapi
+        .detectSingleFace(source, detectorOptions())
+        .withFaceLandmarks()
+        .withFaceDescriptor();
+      if (res) descriptors.push(Array.from(res.descriptor));
+      if (onProgress) onProgress(descriptors.length, ENROLL_FRAMES);
+      await new Promise(r => setTimeout(r, ENROLL_GAP_MS));
+    }
+    if (descriptors.length < ENROLL_MIN_FRAMES) {
+      throw new Error(`Only ${descriptors.length} of ${ENROLL_FRAMES} frames had a clear face.`);
+    }
+    const existing = findByName(label);
+    const record = existing
+      ? { id: existing.id, name: existing.name, createdAt: existing.createdAt, descriptors: existing.descriptors.map(d => Array.from(d)).concat(descriptors) }
+      : { id: `face-${Date.now()}`, name: label, createdAt: Date.now(), descriptors };
+    await idbPut(FACE_STORE, record);
+    await refresh();
+    console.log("[face] enrolled", record.name, "samples:", record.descriptors.length);
+    return findByName(label);
+  }
+
+  async function rename(id, newName) {
+    const label = String(newName || "").trim();
+    if (!label) throw new Error("New name is empty.");
+    const rec = await idbGet(FACE_STORE, id);
+    if (!rec) throw new Error("Enrollment not found.");
+    rec.name = label;
+    await idbPut(FACE_STORE, rec);
+    await refresh();
+  }
+
+  async function remove(id) {
+    await idbDelete(FACE_STORE, id);
+    await refresh();
+  }
+
+  /**
+   * Detect and identify every face in `source`.
+   * Returns [{ name|null, distance, box: [x,y,w,h] }] in source pixel coordinates.
+   */
+  async function recognize(source) {
+    if (!loaded) return [];
+    const results = await window.faceapi
+      .detectAllFaces(source, detectorOptions())
+      .withFaceLandmarks()
+      .withFaceDescriptors();
+    return results.map(r => {
+      const b = r.detection.box;
+      const m = match(r.descriptor);
+      return { name: m ? m.name : null, distance: m ? m.distance : null, box: [b.x, b.y, b.width, b.height] };
+    });
+  }
+
+  return {
+    ensureLoaded, refresh, list, findByName, enroll, rename, remove, recognize,
+    getThreshold, setThreshold,
+    isLoaded: () => loaded
+  };
+})();
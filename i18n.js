@@ -0,0 +1,119 @@
+/**
+ * i18n.js — localization registry
+ * - Each language lives in one file under locales/ and calls I18n.register(code, locale)
+ * - A locale provides: name, strings, labels (all COCO classes + "obstacle"), numbers, phrase() and commands
+ * - Missing strings / labels fall back to en-US so a partial locale still speaks
+ *
+ * To add a language: copy locales/en-US.js, translate it, and add its <script> tag in index.html.
+ */
+
+const I18n = (() => {
+  const FALLBACK = "en-US";
+  const locales = {};
+
+  function register(code, locale) { locales[code] = locale; }
+  function get(code) { return locales[code] || locales[FALLBACK]; }
+  function has(code) { return !!locales[code]; }
+  function languages() { return Object.keys(locales).map(code => ({ code, name: locales[code].name })); }
+
+  /* UI / speech string with {placeholder} substitution */
+  function t(code, key, vars = {}) {
+    const loc = get(code);
+    const raw = (loc.strings && loc.strings[key]) || locales[FALLBACK].strings[key] || key;
+    return raw.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m));
+  }
+
+  /* labels entries are either "word" or ["singular", "plural"] */
+  function noun(code, cls, count = 1) {
+    const loc = get(code);
+    const entry = (loc.labels && loc.labels[cls]) || cls;
+    if (Array.isArray(entry)) return count > 1 ? entry[1] : entry[0];
+    if (count > 1 && loc.plural) return loc.plural(entry);
+    return entry;
+  }
+
+  function number(code, n) {
+    const loc = get(code);
+    return (loc.numbers && loc.numbers[n]) || String(n);
+  }
+
+  /* "two chairs" / "दो कुर्सियाँ"; named people keep their name */
+  function subject(code, g) {
+    if (g.named) return g.label;
+    return g.count > 1 ? `${number(code, g.count)} ${noun(code, g.label, g.count)}` : noun(code, g.label, 1);
+  }
+
+  /* "1.5 metres" when the depth pass measured it, otherwise the distance word ("close") */
+  function distance(code, dist, metres) {
+    return metres != null ? t(code, "metres", { n: metres }) : t(code, dist);
+  }
+
+  /**
+   * One spoken sentence for a scene group { label, named, count, dir, dist, metres, approaching }.
+   * Word order lives in the locale's phrase(); this only adds the subject, distance and full stop.
+   */
+  function phrase(code, g) {
+    const loc = has(code) && get(code).phrase ? get(code) : locales[FALLBACK];
+    const text = loc.phrase({ ...g, subject: subject(code, g), distance: distance(code, g.dist, g.metres) }, (k, v) => t(code, k, v));
+    return text.charAt(0).toUpperCase() + text.slice(1) + (loc.fullStop || ".");
+  }
+
+  /**
+   * Match a recognised transcript against the locale's command vocabulary, then English.
+   * Returns { id, args } or null. Vocabulary order matters: specific commands come first.
+   */
+  function matchCommand(code, text) {
+    const tries = code === FALLBACK ? [get(FALLBACK)] : [get(code), locales[FALLBACK]];
+    for (const loc of tries) {
+      for (const [id, patterns] of Object.entries(loc.commands || {})) {
+        for (const re of patterns) {
+          const m = text.match(re);
+          if (m) return { id, args: m.slice(1).map(a => (a || "").trim()) };
+        }
+      }
+    }
+    return null;
+  }
+
+  /* extra class names from a custom detector; entries use the same shape as locale labels */
+  function addLabels(code, names) {
+    const loc = locales[code];
+    if (!loc) return;
+    loc.labels = { ...(loc.labels || {}), ...names };
+  }
+
+  /* "hindi", "हिंदी", "Marathi" -> "hi-IN" / "mr-IN"; null when no locale claims the name */
+  function findLanguage(spoken) {
+    const s = String(spoken || "").trim().toLowerCase();
+    if (!s) return null;
+    for (const [code, loc] of Object.entries(locales)) {
+      const names = [code, loc.name, ...(loc.aliases || [])].map(n => n.toLowerCase());
+      if (names.some(n => n === s || n.startsWith(s + " ") || s.includes(n))) return code;
+    }
+    return null;
+  }
+
+  /* spoken object name ("the cups", "कुर्सी") -> COCO class, looking in this locale then English */
+  function findClass(code, spoken) {
+    const s = String(spoken || "").trim().toLowerCase().replace(/^(?:the|a|an|my)\s+/, "");
+    if (!s) return null;
+    for (const loc of [get(code), locales[FALLBACK]]) {
+      for (const [cls, entry] of Object.entries(loc.labels || {})) {
+        const forms = [cls, ...(Array.isArray(entry) ? entry : [entry, loc.plural ? loc.plural(entry) : entry])];
+        if (forms.some(f => f.toLowerCase() === s)) return cls;
+      }
+    }
+    return null;
+  }
+
+  /* wake words for hands-free listening: the locale's own plus English */
+  function wakeWords(code) {
+    const own = get(code).wakeWords || [];
+    return [...new Set([...own, ...(locales[FALLBACK].wakeWords || [])])];
+  }
+
+  return {
+    register, get, has, languages, t, noun, number, distance, phrase, matchCommand, addLabels,
+    findLanguage, findClass, wakeWords, FALLBACK
+  };
+})();
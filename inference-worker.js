@@ -0,0 +1,93 @@
+/**
+ * inference-worker.js — object detection off the main thread
+ * - Loads tfjs and one detectors.js backend inside a dedicated worker
+ * - Unpacks each transferred ImageBitmap on an OffscreenCanvas and runs detect() on it
+ * - Optionally runs the depth pass (depth.js) on the same frame
+ * - Only one frame is in flight at a time: the page decides which frames to drop
+ *
+ * In:  { type: "load", id } | { type: "depth", on } | { type: "detect", seq, frame: ImageBitmap }
+ * Out: { type: "loaded", id, name, hazards, translations, labels, backend } | { type: "loadFailed", message }
+ *      { type: "depthReady", on } | { type: "depthFailed", message }
+ *      { type: "result", seq, preds } | { type: "error", seq, message }
+ */
+
+/* detectors.js calls the host's loader; in a worker that is importScripts (synchronous) */
+function loadScriptUrl(url) {
+  return new Promise((resolve) => {
+    console.log("[worker] importing", url);
+    importScripts(url);
+    resolve(url);
+  });
+}
+
+importScripts("detectors.js", "depth.js");
+
+let detector = null;
+let depth = null;
+let canvas = null;
+let ctx2d = null;
+
+async function load(id) {
+  await ensureTfjs();
+  await self.tf.ready();
+  // without WebGL on an OffscreenCanvas tfjs drops to the CPU backend, which is slower than the page
+  const backend = self.tf.getBackend();
+  if (backend === "cpu") throw new Error("No WebGL in this worker (tf backend: cpu)");
+  await Detectors.loadManifest();
+  const next = Detectors.create(id);
+  await next.load();
+  detector = next;
+  return backend;
+}
+
+/* frames arrive as ImageBitmaps; both detector types accept ImageData in frame pixels */
+function toImageData(frame) {
+  if (!canvas || canvas.width !== frame.width || canvas.height !== frame.height) {
+    canvas = new OffscreenCanvas(frame.width, frame.height);
+    ctx2d = canvas.getContext("2d", { willReadFrequently: true });
+  }
+  ctx2d.drawImage(frame, 0, 0);
+  frame.close();
+  return ctx2d.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+self.onmessage = async (evt) => {
+  const msg = evt.data;
+  if (msg.type === "load") {
+    try {
+      const backend = await load(msg.id);
+      self.postMessage({
+        type: "loaded", id: detector.id, name: detector.name, hazards: detector.hazards,
+        translations: detector.translations, labels: detector.labels(), backend
+      });
+    } catch (err) {
+      console.error("[worker] load failed:", err);
+      self.postMessage({ type: "loadFailed", message: err.message || String(err) });
+    }
+  } else if (msg.type === "depth") {
+    try {
+      if (msg.on && !depth) {
+        const next = DepthEstimator.create();
+        await next.load();
+        depth = next;
+      } else if (!msg.on && depth) {
+        depth.dispose();
+        depth = null;
+      }
+      self.postMessage({ type: "depthReady", on: !!depth });
+    } catch (err) {
+      console.error("[worker] depth load failed:", err);
+      self.postMessage({ type: "depthFailed", message: err.message || String(err) });
+    }
+  } else if (msg.type === "detect") {
+    if (!detector) { msg.frame.close(); self.postMessage({ type: "result", seq: msg.seq, preds: [] }); return; }
+    try {
+      const image = toImageData(msg.frame);
+      let preds = await detector.detect(image);
+      if (depth) preds = await depth.annotate(image, preds);
+      self.postMessage({ type: "result", seq: msg.seq, preds });
+    } catch (err) {
+      self.postMessage({ type: "error", seq: msg.seq, message: err.message || String(err) });
+    }
+  }
+};
@@ -0,0 +1,351 @@
+/**
+ * English (en-US) — reference locale; every other locale falls back to it.
+ *
+ * Locale shape:
+ *   name      label shown in the language picker
+ *   aliases   other ways a user may say the language name ("switch to hindi")
+ *   wakeWords words that start a hands-free command ("navigator, scene")
+ *   ocrLang   Tesseract language(s) for reading text, e.g. "hin+eng" (ocr.js)
+ *   strings   UI / speech strings, "{name}" style placeholders
+ *   labels    all COCO-SSD classes plus "obstacle" (depth.js): "word" or ["singular", "plural"]
+ *   plural    optional rule used when a label has no explicit plural
+ *   numbers   number words, index = value
+ *   fullStop  optional sentence terminator (default ".")
+ *   phrase    (g, t) => sentence without the full stop; g has subject, dir, dist, distance
+ *             (spoken distance: "close" or "1.5 metres"), approaching, named
+ *   commands  { commandId: [RegExp, ...] } matched in order; capture groups become args
+ */
+
+I18n.register("en-US", {
+  name: "English",
+  aliases: ["english", "angrezi"],
+  wakeWords: ["navigator", "assistant"],
+  ocrLang: "eng",
+  strings: {
+    started: "Started detection.",
+    stopped: "Stopped detection.",
+    seeNone: "I don't see any recognizable objects right now.",
+    onYour: "on your",
+    left: "left",
+    right: "right",
+    center: "center",
+    veryClose: "very close",
+    close: "close",
+    far: "far",
+    metres: "{n} metres",
+    approaching: "approaching",
+    andMore: "And {n} more.",
+    notRecognized: "Command not recognized.",
+    help: "Say: start, stop, scene, what's on my left, find the cup, repeat, mute, unmute, language Hindi, lite model, pitch up, faster, slower, who is this, read this, street profile, record route kitchen, take me to the kitchen, call a helper, help me cross, safe to cross, help me, torch on, test the camera, high contrast on, hands free on, help.",
+    muted: "Muted.",
+    unmuted: "Sound on.",
+    languageSet: "Language set to {name}.",
+    unknownLanguage: "I don't have the language {name}.",
+    modelLoading: "Loading the {name} model.",
+    modelSet: "{name} model ready.",
+    modelFailed: "Could not load the {name} model.",
+    detectorCrashed: "The object detector stopped working. Switching to a slower backup.",
+    pitchSet: "Pitch {value}.",
+    rateSet: "Speech rate {value}.",
+    nothingRepeat: "Nothing to repeat yet.",
+    nothingOn: "Nothing {where}.",
+    whereLeft: "on your left",
+    whereRight: "on your right",
+    whereCenter: "ahead",
+    unknownThing: "I can't recognize {thing} yet.",
+    notSeen: "I don't see {thing} right now.",
+    handsFreeOn: "Hands-free listening on. Say {wake} before a command.",
+    handsFreeOff: "Hands-free listening off.",
+    wakeHeard: "Yes?",
+    confirmDelete: "Delete {name}? Say yes to confirm.",
+    cancelled: "Cancelled.",
+    voiceUnsupported: "Voice commands are not supported in this browser.",
+    searchStart: "Looking for the {thing}. Pan slowly.",
+    steerLeft: "{thing} on your left, {dist}. Turn left.",
+    steerRight: "{thing} on your right, {dist}. Turn right.",
+    steerAhead: "{thing} ahead, {dist}. Keep going.",
+    found: "Found the {thing}. It is right in front of you.",
+    panSlowly: "No {thing} in view. Pan slowly left and right.",
+    searchStopped: "Search ended.",
+    depthLoading: "Loading depth sensing...",
+    depthReady: "Depth sensing on. Distances in metres.",
+    depthOff: "Depth sensing off.",
+    depthFailed: "Could not load the depth model.",
+    readingStart: "Reading mode. Point the camera at the text.",
+    readingLoading: "Loading the text reader...",
+    readingFailed: "Could not load the text reader.",
+    readingNow: "Reading, hold still.",
+    noText: "No text in view. Move the camera slowly.",
+    textAt: "Text at the {where}.",
+    textWhere: "{v} {h}",
+    textCentre: "centre",
+    textTop: "top",
+    textMiddle: "middle",
+    textBottom: "bottom",
+    textLeft: "left",
+    textRight: "right",
+    textCenter: "centre",
+    moveCloser: "Move closer.",
+    holdStill: "Hold still.",
+    nothingRead: "I couldn't read any text. Try closer, with more light.",
+    nothingReadYet: "Nothing has been read yet.",
+    readingStopped: "Stopped reading.",
+    updateAvailable: "An app update is ready. Press reload or say update when convenient.",
+    noUpdate: "The app is up to date.",
+    verbositySilent: "Silent mode. Tones only.",
+    verbosityAlerts: "Alerts only.",
+    verbosityNormal: "Normal verbosity.",
+    verbosityChatty: "Chatty mode. I will describe more.",
+    voiceSet: "This is {name}.",
+    noVoices: "No other voice is available for this language.",
+    profileSet: "{name} profile on.",
+    profileList: "Profiles: {names}. In use: {name}.",
+    profileUnknown: "There is no profile called {name}.",
+    profileSaved: "Settings saved as the {name} profile.",
+    profileDeleted: "{name} profile deleted.",
+    profileReset: "{name} profile reset to its original settings.",
+    profileImported: "Imported profiles: {names}.",
+    profileImportFailed: "Could not import the profiles. {reason}",
+    profileDefault: "Default",
+    profileIndoor: "Indoor",
+    profileStreet: "Street",
+    profileShopping: "Shopping",
+    recordingOn: "Recording the session.",
+    recordingSaved: "Recording saved to downloads.",
+    replayStart: "Replaying {name}.",
+    replayEnded: "Replay finished.",
+    assistWaiting: "Helper call open. Give your helper the code {code}.",
+    assistConnected: "Helper connected.",
+    assistHelperLeft: "Your helper left the call. The code is still {code}.",
+    assistAsk: "Someone entered your code. Share your camera with them? Say yes or no.",
+    assistNewCode: "They were not let in. Your new code is {code}.",
+    assistEnded: "Call ended.",
+    assistFailed: "Could not call a helper. {reason}",
+    assistUnsupported: "This browser cannot make calls.",
+    assistLeft: "Go left.",
+    assistRight: "Go right.",
+    assistAhead: "Go straight ahead.",
+    assistBack: "Turn around.",
+    assistStop: "Stop!",
+    assistSays: "Helper says: {text}",
+    routeRecording: "Recording the route {name}. Walk it slowly; landmarks are added as they come close.",
+    routeLandmark: "Landmark {n}: {where}.",
+    routeNothingToMark: "No landmark in view. Point the camera at it.",
+    routeNoteAdded: "Note added.",
+    routeSaved: "Route {name} saved with {n} landmarks.",
+    routeEmpty: "No landmarks were found, so the route was not saved.",
+    routeNotRecording: "No route is being recorded.",
+    routeList: "Routes: {names}.",
+    routeNone: "No routes saved yet.",
+    routeUnknown: "There is no route called {name}.",
+    routeGuideStart: "Guiding you along {name}.",
+    routeNext: "Next: {where}.",
+    routeNextSteps: "Next: {where}, about {steps} steps.",
+    routeReached: "{thing} reached.",
+    routePassed: "You may have passed the {thing}. Say next landmark to skip it.",
+    routeArrived: "You have arrived. {name} finished.",
+    routeStopped: "Route guidance stopped.",
+    routeDeleted: "Route {name} deleted.",
+    routeLeft: "{thing} on your left",
+    routeRight: "{thing} on your right",
+    routeAhead: "{thing} ahead",
+    camLost: "Camera lost. Reconnecting.",
+    camRestored: "Camera back.",
+    camFailed: "The camera stopped. {reason} Say start to try again.",
+    camInsecure: "The camera needs a secure page. Open the app over https or on localhost.",
+    camUnsupported: "This browser cannot use the camera.",
+    camDenied: "Camera access is blocked. Allow the camera in the site settings.",
+    camNotFound: "No camera found.",
+    camBusy: "Another app is using the camera. Close it and try again.",
+    camOverconstrained: "The camera cannot give this picture quality. Choose a lower one.",
+    camError: "The camera could not start.",
+    camUsing: "Using {name}.",
+    camNumber: "camera {n}",
+    camOnlyOne: "This device has only one camera.",
+    camPresetLow: "Camera quality low, saves battery.",
+    camPresetStandard: "Camera quality standard.",
+    camPresetHigh: "Camera quality high.",
+    camTorchOn: "Torch on.",
+    camTorchOff: "Torch off.",
+    camNoTorch: "This camera has no torch.",
+    camTestRunning: "Testing the camera.",
+    camTestPassed: "Camera test passed: {name}, {width} by {height}.",
+    camFps: "{fps} frames per second.",
+    camTestFailed: "Camera test failed. {problem}",
+    camCheckFrames: "The camera sends no picture.",
+    camCheckPicture: "The picture is black. Is the lens covered?",
+    contrastOn: "High contrast on.",
+    contrastOff: "High contrast off.",
+    keysHelp: "Keys: S start or stop, D scene, R repeat, M mute, V voice command, T read text, arrow keys left, right and ahead, plus and minus speech rate, C high contrast, Escape quiet, H this list. On the camera view: double tap to start or stop, swipe up for the scene, down to repeat, left or right for that side, two-finger tap for a voice command, a long press for SOS.",
+    sosCountdown: "Sending an SOS alert in {n} seconds. Say I'm OK, or press Escape, to cancel.",
+    sosFall: "It looks like you fell. Sending an SOS alert in {n} seconds. Say I'm OK, or press Escape, to cancel.",
+    sosTestCountdown: "Test alert in {n} seconds.",
+    sosSending: "Sending the alert.",
+    sosTap: "Tap the screen or press a key to send the alert.",
+    sosSent: "Alert sent.",
+    sosCancelled: "Alert cancelled.",
+    sosTooLate: "The alert is already being sent; it cannot be called off now.",
+    sosFailed: "The alert could not be sent.",
+    sosNotSet: "No way to send an alert is set up. Add a webhook or a phone number in the Emergency panel.",
+    sosMessage: "SOS: I need help.",
+    sosMessageFall: "SOS: I may have fallen and need help.",
+    sosMessageTest: "SOS test, no need to act.",
+    sosWhere: "My location: {map} (within {m} metres).",
+    sosNoPosition: "My location is not known.",
+    fallOn: "Fall detection on.",
+    fallOff: "Fall detection off.",
+    fallUnsupported: "This phone does not report motion, so falls cannot be detected.",
+    crossingOn: "Street crossing mode. Face the road; I'll watch the light and the traffic.",
+    crossingOff: "Street crossing mode off.",
+    crossingAskAgain: "Ask again in a moment, once I've had a look.",
+    crossingLight: "The light is {colour}.",
+    lightRed: "red",
+    lightAmber: "amber",
+    lightGreen: "green",
+    crossingNoLight: "I can't see a traffic light.",
+    crossingVehicle: "Careful: {thing} in your path, {dist}.",
+    crossingVehicleComing: "Stop: {thing} coming at you, {dist}.",
+    crossingComingLeft: "Traffic from the left: {thing} coming closer.",
+    crossingComingRight: "Traffic from the right: {thing} coming closer.",
+    crossingBlocked: "Stop: {thing} right in front of you.",
+    crossingClear: "No traffic in your path.",
+    crossingSafeYes: "The light is green and I see no traffic coming. Listen too before you step out.",
+    crossingSafeRed: "No, the light is red.",
+    crossingSafeAmber: "No, the light is amber.",
+    crossingSafeVehicle: "No, there is traffic in your path.",
+    crossingSafeApproaching: "No, traffic is coming.",
+    crossingSafeNoLight: "I can't tell: I see no traffic light. Listen to the traffic.",
+    crossingSafeUnsteady: "I can't tell yet: the light is not clear. Ask again in a moment.",
+    crossingSafeTooSoon: "Still looking. Ask again in a moment.",
+    offline: "Offline. Using saved models.",
+    online: "Back online.",
+    faceLoading: "Loading face recognition...",
+    faceReady: "Face recognition on.",
+    faceOff: "Face recognition off.",
+    faceFailed: "Face recognition could not load.",
+    enrolling: "Enrolling {name}. Please look at the camera.",
+    enrolled: "{name} enrolled.",
+    enrollFailed: "Enrollment failed. {reason}",
+    noPeople: "Nobody is enrolled yet.",
+    peopleList: "Enrolled: {names}.",
+    renamed: "{name} renamed to {newName}.",
+    deleted: "{name} deleted.",
+    notFound: "{name} is not enrolled.",
+    nobodyKnown: "I don't recognize anyone right now.",
+    youSee: "I see {names}."
+  },
+  labels: {
+    person: ["person", "people"], bicycle: "bicycle", car: "car", motorcycle: "motorcycle", airplane: "airplane",
+    bus: ["bus", "buses"], train: "train", truck: "truck", boat: "boat", "traffic light": "traffic light",
+    "fire hydrant": "fire hydrant", "stop sign": "stop sign", "parking meter": "parking meter", bench: ["bench", "benches"],
+    bird: "bird", cat: "cat", dog: "dog", horse: "horse", sheep: ["sheep", "sheep"], cow: "cow",
+    elephant: "elephant", bear: "bear", zebra: "zebra", giraffe: "giraffe", backpack: "backpack",
+    umbrella: "umbrella", handbag: "handbag", tie: "tie", suitcase: "suitcase", frisbee: "frisbee",
+    skis: ["pair of skis", "pairs of skis"], snowboard: "snowboard", "sports ball": "ball", kite: "kite",
+    "baseball bat": "baseball bat", "baseball glove": "baseball glove", skateboard: "skateboard",
+    surfboard: "surfboard", "tennis racket": "tennis racket", bottle: "bottle", "wine glass": ["wine glass", "wine glasses"],
+    cup: "cup", fork: "fork", knife: ["knife", "knives"], spoon: "spoon", bowl: "bowl", banana: "banana",
+    apple: "apple", sandwich: ["sandwich", "sandwiches"], orange: "orange", broccoli: ["broccoli", "broccoli"],
+    carrot: "carrot", "hot dog": "hot dog", pizza: "pizza", donut: "donut", cake: "cake", chair: "chair",
+    couch: ["couch", "couches"], "potted plant": "potted plant", bed: "bed", "dining table": "dining table",
+    toilet: "toilet", tv: ["TV", "TVs"], laptop: "laptop", mouse: ["mouse", "mice"], remote: "remote",
+    keyboard: "keyboard", "cell phone": "phone", microwave: "microwave", oven: "oven", toaster: "toaster",
+    sink: "sink", refrigerator: "fridge", book: "book", clock: "clock", vase: "vase",
+    scissors: ["pair of scissors", "pairs of scissors"], "teddy bear": "teddy bear", "hair drier": "hair dryer",
+    toothbrush: ["toothbrush", "toothbrushes"],
+    obstacle: ["obstacle", "obstacles"]
+  },
+  plural: (w) => w + "s",
+  numbers: ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten"],
+  phrase(g, t) {
+    const dist = g.distance;
+    // "car approaching from the right, close"
+    if (g.approaching) return `${g.subject} approaching ${g.dir === "center" ? "straight ahead" : `from the ${g.dir}`}, ${dist}`;
+    const where = g.dir === "center" ? "ahead" : `on your ${g.dir}`;
+    return g.named ? `${g.subject}, ${where}, ${dist}` : `${g.subject} ${where}, ${dist}`;
+  },
+  commands: {
+    yes: [/^(?:yes|yeah|yep|confirm|ok(?:ay)?|sure)\b/i],
+    no: [/^(?:no|nope|cancel|don'?t)\b/i],
+    verbositySilent: [/^(?:silent mode|verbosity silent)\b/i],
+    verbosityAlerts: [/^(?:alerts? only|only (?:alerts|warnings)|verbosity alerts?)\b/i],
+    verbosityNormal: [/^(?:normal (?:mode|verbosity)|verbosity normal)\b/i],
+    verbosityChatty: [/^(?:chatty(?: mode)?|talk more|more detail|verbosity chatty)\b/i],
+    voiceNext: [/^(?:next|change|another|other) voice\b/i],
+    torchOn: [/^(?:torch|flash ?light|light) on\b/i, /^(?:turn|switch) on (?:the )?(?:torch|flash ?light|light)\b/i, /^(?:turn|switch) (?:the )?(?:torch|flash ?light|light) on\b/i],
+    torchOff: [/^(?:torch|flash ?light|light) off\b/i, /^(?:turn|switch) off (?:the )?(?:torch|flash ?light|light)\b/i, /^(?:turn|switch) (?:the )?(?:torch|flash ?light|light) off\b/i],
+    cameraNext: [/^(?:switch|change|flip|next|other) (?:the )?camera\b/i],
+    cameraTest: [/^(?:test|check) (?:the )?camera\b|^camera (?:test|check|status)\b|^which camera\b/i],
+    cameraLow: [/^(?:camera|picture) (?:quality )?low\b|^low (?:camera |picture )?quality\b/i],
+    cameraStandard: [/^(?:camera|picture) (?:quality )?(?:standard|normal)\b|^(?:standard|normal) (?:camera|picture) quality\b/i],
+    cameraHigh: [/^(?:camera|picture) (?:quality )?high\b|^high (?:camera |picture )?quality\b/i],
+    contrastOn: [/^(?:high contrast|large text|big text)(?: on)?$/i, /^(?:turn|switch) on (?:high contrast|large text)\b/i],
+    contrastOff: [/^(?:high contrast|large text|big text) off\b/i, /^(?:normal|low) contrast\b/i, /^(?:turn|switch) off (?:high contrast|large text)\b/i],
+    sosCancel: [/^(?:i'?m (?:ok|okay|fine|alright|all right)|false alarm|cancel (?:the )?(?:sos|alert|alarm|emergency))\b/i],
+    sosTest: [/^(?:test (?:the )?(?:sos|alert|emergency)|(?:sos|alert) test)\b/i],
+    fallOn: [/^fall detection on\b|^(?:turn|switch) on fall detection\b/i],
+    fallOff: [/^fall detection off\b|^(?:turn|switch) off fall detection\b/i],
+    crossingOff: [/^(?:street )?crossing (?:mode )?off\b|^(?:stop|end) (?:street )?crossing\b|^(?:turn|switch) off (?:street )?crossing\b/i],
+    crossingSafe: [/^(?:is it )?safe to cross\b|^can i (?:cross|go) now\b/i],
+    crossingLight: [/^(?:what(?:'s| is) the (?:traffic )?light|what colou?r is the (?:traffic )?light|which light is (?:on|lit))\b/i],
+    crossingOn: [/^(?:street )?crossing (?:mode )?on\b|^(?:turn|switch) on (?:street )?crossing\b|^(?:help me|i want to) cross\b|^cross (?:the )?(?:street|road)\b/i],
+    sos: [/^(?:please )?(?:help me|sos|s o s|emergency|i need help|call (?:for )?help)(?: please)?$/i],
+    profileList: [/^(?:list|which|what) profiles\b/i],
+    profileSave: [/^save (?:the )?(?:settings|profile) as (.+)/i],
+    profileUse: [/^(?:use |switch to |load |change to )?(?:the )?(.+?) (?:profile|settings)$/i, /^profile (.+)/i],
+    routeSave: [/^(?:save|finish|end|stop recording) (?:the )?route\b/i, /^route (?:done|finished)\b/i],
+    routeRecord: [/^(?:record|new|start recording)(?: a| the)? route (?:to |called |named |for )?(?:the )?(.+)/i],
+    routeDelete: [/^(?:delete|forget|remove) (?:the )?route (?:to )?(.+)/i],
+    routeStop: [/^(?:stop|cancel|end) (?:the )?(?:route|guidance|guiding)\b/i],
+    routeMark: [/^(?:mark (?:a |this |the )?landmark|landmark here|add (?:a )?landmark)\b/i],
+    routeNote: [/^(?:add (?:a )?)?note (.+)/i],
+    routeList: [/^(?:list|which|what) routes\b/i],
+    routeNext: [/^(?:next|skip(?: the)?) landmark\b/i],
+    routeRepeat: [/^(?:what'?s next|where (?:to )?next)\b/i],
+    routeGuide: [/^(?:guide|take|lead|walk) me (?:to |along )?(?:the )?(.+)/i, /^(?:start|follow) (?:the )?route (?:to )?(.+)/i],
+    assistEnd: [/^(?:hang up|(?:end|stop) (?:the )?(?:helper )?call)\b/i],
+    assistCall: [/^(?:call|ask|get) (?:a |my |the )?(?:helper|caregiver|carer)\b/i, /^(?:start (?:a )?)?helper call\b/i],
+    recordStop: [/^(?:stop|end) (?:the )?recording\b/i],
+    recordStart: [/^(?:start )?record(?:ing)?(?: (?:the |this )?session)?$/i],
+    readStop: [/^(?:stop|cancel|end) reading\b/i],
+    readAgain: [/^read (?:it |that |this )?again\b/i],
+    readNow: [/^(?:read now|capture(?: text)?|take (?:a |the )?picture)\b/i],
+    readText: [/^read(?: (?:this|that|it|text|the (?:sign|label|text|page)))?$/i, /^what does (?:this|it|the sign) say\b/i],
+    update: [/^(?:update|reload) (?:the )?app\b|^install update\b/i],
+    handsFreeOn: [/^(?:hands[- ]?free|wake word|continuous listening) on\b/i],
+    handsFreeOff: [/^(?:hands[- ]?free|wake word|continuous listening) off\b/i],
+    unmute: [/^(?:unmute|sound on|speak again)\b/i],
+    mute: [/^(?:mute|quiet|silence|be quiet)\b/i],
+    help: [/^(?:help|what can i say|commands)\b/i],
+    repeat: [/^(?:repeat|say (?:that|it) again|again|pardon)\b/i],
+    rateSet: [/^(?:set )?(?:speech )?(?:rate|speed) (?:to )?(\d+(?:\.\d+)?)/i],
+    rateUp: [/^(?:faster|speak faster|speed up|rate up)\b/i],
+    rateDown: [/^(?:slower|speak slower|slow down|rate down)\b/i],
+    modelLite: [/^(?:lite|light|fast(?:er)?) model\b|^(?:use|switch to) (?:the )?(?:lite|light|fast)\b/i],
+    modelStandard: [/^(?:standard|accurate|full) model\b|^(?:use|switch to) (?:the )?(?:standard|accurate)\b/i],
+    pitchSet: [/^(?:set )?pitch (?:to )?(\d+(?:\.\d+)?)/i],
+    pitchUp: [/^(?:pitch up|higher(?: pitch| voice)?|raise (?:the )?pitch)\b/i],
+    pitchDown: [/^(?:pitch down|lower(?: pitch| voice)?|reduce (?:the )?pitch)\b/i],
+    language: [/^(?:switch (?:language )?to|change language to|language|speak) (.+)/i],
+    sideLeft: [/^what(?:'s| is) (?:on )?(?:my |the )?left\b/i],
+    sideRight: [/^what(?:'s| is) (?:on )?(?:my |the )?right\b/i],
+    sideAhead: [/^what(?:'s| is) (?:ahead|in front)\b/i],
+    searchStop: [/^(?:stop|cancel|end) (?:the )?(?:search|searching|looking)\b/i],
+    find: [/^(?:find|where(?:'s| is)|look for|search for) (.+)/i],
+    depthOn: [/^(?:depth|distance) (?:sensing |mode )?on\b/i, /^(?:use |show )?met(?:re|er)s\b/i],
+    depthOff: [/^(?:depth|distance) (?:sensing |mode )?off\b/i],
+    faceOn: [/^(?:face|identity) recognition on\b/i],
+    faceOff: [/^(?:face|identity) recognition off\b/i],
+    speechOnly: [/^(?:speech|voice) only\b/i],
+    tonesOnly: [/^(?:tones?|beeps?|sounds?) only\b/i],
+    both: [/^(?:speech and tones|tones and speech|both)\b/i],
+    whoIs: [/^(?:who is (?:this|that|there)|who'?s (?:this|that|there)|identify)\b/i],
+    listPeople: [/^(?:list|show) (?:people|faces|enrolled)\b/i],
+    enroll: [/^(?:enroll|enrol|remember) (.+)/i],
+    rename: [/^rename (.+?) (?:to|as) (.+)/i],
+    forget: [/^(?:delete|remove|forget) (.+)/i],
+    start: [/^(?:start|go|begin)\b/i],
+    stop: [/^(?:stop|pause|halt)\b/i],
+    scene: [/^(?:scene|describe|summary|summarize|what do you see)\b/i]
+  }
+});
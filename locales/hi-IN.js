@@ -0,0 +1,342 @@
+/**
+ * Hindi (hi-IN). Shape documented in locales/en-US.js.
+ * Sentences are subject-first: "दो कुर्सियाँ आपके बाएँ, दूर".
+ */
+
+I18n.register("hi-IN", {
+  name: "हिन्दी (Hindi)",
+  aliases: ["hindi", "हिंदी", "हिन्दी"],
+  wakeWords: ["नेविगेटर", "सहायक"],
+  fullStop: "।",
+  ocrLang: "hin+eng",
+  strings: {
+    started: "डिटेक्शन शुरू हुआ।",
+    stopped: "डिटेक्शन बंद।",
+    seeNone: "अभी कोई पहचानने योग्य वस्तु नहीं दिख रही।",
+    onYour: "आपके",
+    left: "बाएँ",
+    right: "दाएँ",
+    center: "बीच में",
+    veryClose: "बहुत पास",
+    close: "पास",
+    far: "दूर",
+    metres: "{n} मीटर",
+    approaching: "पास आ रहा है",
+    andMore: "और {n} चीज़ें।",
+    notRecognized: "आदेश समझ नहीं आया।",
+    help: "कहें: शुरू, रुको, दृश्य, बाएँ क्या है, कप ढूँढो, दोबारा बोलो, चुप, आवाज़ चालू, भाषा अंग्रेज़ी, तेज़ बोलो, धीरे बोलो, यह कौन है, इसे पढ़ो, सड़क प्रोफ़ाइल, रसोई तक ले चलो, सहायक को बुलाओ, सड़क पार कराओ, पार करना सुरक्षित है, मदद करो, टॉर्च चालू, कैमरा जाँचो, हाई कॉन्ट्रास्ट चालू, मदद।",
+    muted: "आवाज़ बंद।",
+    unmuted: "आवाज़ चालू।",
+    languageSet: "भाषा {name} चुनी गई।",
+    unknownLanguage: "भाषा {name} उपलब्ध नहीं है।",
+    modelLoading: "{name} मॉडल लोड हो रहा है।",
+    modelSet: "{name} मॉडल तैयार।",
+    modelFailed: "{name} मॉडल लोड नहीं हो सका।",
+    detectorCrashed: "वस्तु पहचान बंद हो गई। धीमे विकल्प पर जा रहे हैं।",
+    pitchSet: "पिच {value}।",
+    rateSet: "बोलने की गति {value}।",
+    nothingRepeat: "दोहराने के लिए अभी कुछ नहीं है।",
+    nothingOn: "{where} कुछ नहीं है।",
+    whereLeft: "आपके बाएँ",
+    whereRight: "आपके दाएँ",
+    whereCenter: "सामने",
+    unknownThing: "मैं अभी {thing} नहीं पहचान सकता।",
+    notSeen: "अभी {thing} नहीं दिख रहा।",
+    handsFreeOn: "बिना हाथ के सुनना चालू। आदेश से पहले {wake} कहें।",
+    handsFreeOff: "बिना हाथ के सुनना बंद।",
+    wakeHeard: "जी?",
+    confirmDelete: "{name} को हटाएँ? पक्का करने के लिए हाँ कहें।",
+    cancelled: "रद्द किया।",
+    voiceUnsupported: "इस ब्राउज़र में आवाज़ आदेश उपलब्ध नहीं हैं।",
+    searchStart: "{thing} ढूँढ रहे हैं। कैमरा धीरे घुमाएँ।",
+    steerLeft: "{thing} आपके बाएँ है, {dist}। बाएँ मुड़ें।",
+    steerRight: "{thing} आपके दाएँ है, {dist}। दाएँ मुड़ें।",
+    steerAhead: "{thing} सामने है, {dist}। आगे बढ़ते रहें।",
+    found: "{thing} मिल गया। ठीक आपके सामने है।",
+    panSlowly: "{thing} नहीं दिख रहा। कैमरा धीरे-धीरे दाएँ-बाएँ घुमाएँ।",
+    searchStopped: "खोज बंद।",
+    depthLoading: "गहराई माप लोड हो रहा है...",
+    depthReady: "गहराई माप चालू। दूरी मीटर में।",
+    depthOff: "गहराई माप बंद।",
+    depthFailed: "गहराई का मॉडल लोड नहीं हो सका।",
+    readingStart: "पढ़ने का मोड। कैमरा लिखावट की ओर करें।",
+    readingLoading: "टेक्स्ट रीडर लोड हो रहा है...",
+    readingFailed: "टेक्स्ट रीडर लोड नहीं हो सका।",
+    readingNow: "पढ़ रहा हूँ, स्थिर रखें।",
+    noText: "कोई लिखावट नहीं दिख रही। कैमरा धीरे घुमाएँ।",
+    textAt: "लिखावट {where} है।",
+    textWhere: "{v} {h}",
+    textCentre: "बीच में",
+    textTop: "ऊपर",
+    textMiddle: "बीच में",
+    textBottom: "नीचे",
+    textLeft: "बाईं ओर",
+    textRight: "दाईं ओर",
+    textCenter: "बीच में",
+    moveCloser: "पास जाएँ।",
+    holdStill: "स्थिर रखें।",
+    nothingRead: "कुछ पढ़ा नहीं जा सका। पास से, अधिक रोशनी में फिर कोशिश करें।",
+    nothingReadYet: "अभी तक कुछ नहीं पढ़ा।",
+    readingStopped: "पढ़ना बंद।",
+    updateAvailable: "ऐप का नया संस्करण तैयार है। सुविधा हो तब रीलोड दबाएँ या अपडेट कहें।",
+    noUpdate: "ऐप अप टू डेट है।",
+    verbositySilent: "मौन मोड। सिर्फ़ टोन।",
+    verbosityAlerts: "सिर्फ़ चेतावनियाँ।",
+    verbosityNormal: "सामान्य मोड।",
+    verbosityChatty: "विस्तार मोड। अब ज़्यादा जानकारी दी जाएगी।",
+    voiceSet: "यह {name} है।",
+    noVoices: "इस भाषा के लिए कोई और आवाज़ नहीं है।",
+    profileSet: "{name} प्रोफ़ाइल चालू।",
+    profileList: "प्रोफ़ाइलें: {names}। अभी: {name}।",
+    profileUnknown: "{name} नाम की कोई प्रोफ़ाइल नहीं है।",
+    profileSaved: "सेटिंग {name} प्रोफ़ाइल के रूप में सहेजी गईं।",
+    profileDeleted: "{name} प्रोफ़ाइल हटाई गई।",
+    profileReset: "{name} प्रोफ़ाइल मूल सेटिंग पर लौटाई गई।",
+    profileImported: "प्रोफ़ाइलें जोड़ी गईं: {names}।",
+    profileImportFailed: "प्रोफ़ाइलें नहीं जोड़ी जा सकीं। {reason}",
+    profileDefault: "सामान्य",
+    profileIndoor: "घर के अंदर",
+    profileStreet: "सड़क",
+    profileShopping: "खरीदारी",
+    recordingOn: "सत्र रिकॉर्ड हो रहा है।",
+    recordingSaved: "रिकॉर्डिंग डाउनलोड में सहेजी गई।",
+    replayStart: "{name} दोबारा चलाया जा रहा है।",
+    replayEnded: "रीप्ले पूरा हुआ।",
+    assistWaiting: "सहायक के लिए कॉल खुली है। अपने सहायक को कोड {code} बताएँ।",
+    assistConnected: "सहायक जुड़ गए।",
+    assistHelperLeft: "सहायक कॉल से चले गए। कोड अब भी {code} है।",
+    assistAsk: "किसी ने आपका कोड डाला है। क्या उन्हें अपना कैमरा दिखाना है? हाँ या नहीं बोलें।",
+    assistNewCode: "उन्हें अंदर नहीं आने दिया। आपका नया कोड {code} है।",
+    assistEnded: "कॉल ख़त्म।",
+    assistFailed: "सहायक को कॉल नहीं हो सकी। {reason}",
+    assistUnsupported: "यह ब्राउज़र कॉल नहीं कर सकता।",
+    assistLeft: "बाएँ जाएँ।",
+    assistRight: "दाएँ जाएँ।",
+    assistAhead: "सीधे आगे जाएँ।",
+    assistBack: "पीछे मुड़ें।",
+    assistStop: "रुकिए!",
+    assistSays: "सहायक कहते हैं: {text}",
+    routeRecording: "{name} का रास्ता रिकॉर्ड हो रहा है। धीरे चलें; पास आने वाली चीज़ें निशान बनेंगी।",
+    routeLandmark: "निशान {n}: {where}।",
+    routeNothingToMark: "कोई निशान नहीं दिख रहा। कैमरा उसकी ओर करें।",
+    routeNoteAdded: "नोट जुड़ गया।",
+    routeSaved: "{name} का रास्ता {n} निशानों के साथ सहेजा गया।",
+    routeEmpty: "कोई निशान नहीं मिला, रास्ता नहीं सहेजा गया।",
+    routeNotRecording: "कोई रास्ता रिकॉर्ड नहीं हो रहा।",
+    routeList: "रास्ते: {names}।",
+    routeNone: "अभी कोई रास्ता सहेजा नहीं गया।",
+    routeUnknown: "{name} नाम का कोई रास्ता नहीं है।",
+    routeGuideStart: "{name} के रास्ते पर ले चल रहा हूँ।",
+    routeNext: "अगला: {where}।",
+    routeNextSteps: "अगला: {where}, लगभग {steps} कदम।",
+    routeReached: "{thing} आ गया।",
+    routePassed: "शायद {thing} पीछे छूट गया। छोड़ने के लिए अगला निशान कहें।",
+    routeArrived: "आप पहुँच गए। {name} पूरा हुआ।",
+    routeStopped: "रास्ते का मार्गदर्शन बंद।",
+    routeDeleted: "{name} का रास्ता हटाया गया।",
+    routeLeft: "{thing} बाईं ओर",
+    routeRight: "{thing} दाईं ओर",
+    routeAhead: "{thing} सामने",
+    camLost: "कैमरा बंद हो गया। फिर से जोड़ रहे हैं।",
+    camRestored: "कैमरा वापस चालू।",
+    camFailed: "कैमरा रुक गया। {reason} फिर से कोशिश के लिए शुरू कहें।",
+    camInsecure: "कैमरे के लिए सुरक्षित पेज चाहिए। ऐप को https या localhost पर खोलें।",
+    camUnsupported: "यह ब्राउज़र कैमरा इस्तेमाल नहीं कर सकता।",
+    camDenied: "कैमरे की अनुमति बंद है। साइट सेटिंग में कैमरा चालू करें।",
+    camNotFound: "कोई कैमरा नहीं मिला।",
+    camBusy: "कोई दूसरा ऐप कैमरा इस्तेमाल कर रहा है। उसे बंद करके फिर कोशिश करें।",
+    camOverconstrained: "कैमरा यह क्वालिटी नहीं दे सकता। कम क्वालिटी चुनें।",
+    camError: "कैमरा शुरू नहीं हो सका।",
+    camUsing: "{name} इस्तेमाल हो रहा है।",
+    camNumber: "कैमरा {n}",
+    camOnlyOne: "इस डिवाइस में एक ही कैमरा है।",
+    camPresetLow: "कैमरा क्वालिटी कम, बैटरी बचेगी।",
+    camPresetStandard: "कैमरा क्वालिटी सामान्य।",
+    camPresetHigh: "कैमरा क्वालिटी ऊँची।",
+    camTorchOn: "टॉर्च चालू।",
+    camTorchOff: "टॉर्च बंद।",
+    camNoTorch: "इस कैमरे में टॉर्च नहीं है।",
+    camTestRunning: "कैमरे की जाँच हो रही है।",
+    camTestPassed: "कैमरा ठीक है: {name}, {width} गुणा {height}।",
+    camFps: "{fps} फ्रेम प्रति सेकंड।",
+    camTestFailed: "कैमरे में गड़बड़। {problem}",
+    camCheckFrames: "कैमरा कोई तस्वीर नहीं भेज रहा।",
+    camCheckPicture: "तस्वीर काली है। क्या लेंस ढका है?",
+    contrastOn: "हाई कॉन्ट्रास्ट चालू।",
+    contrastOff: "हाई कॉन्ट्रास्ट बंद।",
+    keysHelp: "कुंजियाँ: S शुरू या बंद, D दृश्य, R दोबारा, M चुप, V आवाज़ से आदेश, T पढ़ना, तीर की कुंजियाँ बाएँ, दाएँ और सामने, प्लस और माइनस बोलने की गति, C हाई कॉन्ट्रास्ट, Escape शांत, H यह सूची। कैमरे पर: शुरू या बंद के लिए दो बार टैप, दृश्य के लिए ऊपर स्वाइप, दोहराने के लिए नीचे, उस तरफ़ के लिए बाएँ या दाएँ, आवाज़ से आदेश के लिए दो उँगलियों से टैप, एसओएस के लिए देर तक दबाएँ।",
+    sosCountdown: "{n} सेकंड में एसओएस अलर्ट जाएगा। रोकने के लिए कहें मैं ठीक हूँ, या Escape दबाएँ।",
+    sosFall: "लगता है आप गिर गए। {n} सेकंड में एसओएस अलर्ट जाएगा। रोकने के लिए कहें मैं ठीक हूँ, या Escape दबाएँ।",
+    sosTestCountdown: "{n} सेकंड में टेस्ट अलर्ट।",
+    sosSending: "अलर्ट भेज रहे हैं।",
+    sosTap: "अलर्ट भेजने के लिए स्क्रीन छुएँ या कोई कुंजी दबाएँ।",
+    sosSent: "अलर्ट भेज दिया।",
+    sosCancelled: "अलर्ट रद्द।",
+    sosTooLate: "अलर्ट भेजा जा रहा है; अब रद्द नहीं हो सकता।",
+    sosFailed: "अलर्ट नहीं भेजा जा सका।",
+    sosNotSet: "अलर्ट भेजने का कोई तरीका सेट नहीं है। आपातकाल पैनल में वेबहुक या फ़ोन नंबर जोड़ें।",
+    sosMessage: "एसओएस: मुझे मदद चाहिए।",
+    sosMessageFall: "एसओएस: शायद मैं गिर गया हूँ, मुझे मदद चाहिए।",
+    sosMessageTest: "एसओएस टेस्ट, कुछ करने की ज़रूरत नहीं।",
+    sosWhere: "मेरी जगह: {map} ({m} मीटर के भीतर)।",
+    sosNoPosition: "मेरी जगह पता नहीं है।",
+    fallOn: "गिरने की पहचान चालू।",
+    fallOff: "गिरने की पहचान बंद।",
+    fallUnsupported: "यह फ़ोन हलचल नहीं बताता, इसलिए गिरना पहचाना नहीं जा सकता।",
+    crossingOn: "सड़क पार मोड। सड़क की ओर मुँह करें; बत्ती और ट्रैफ़िक पर नज़र रखी जा रही है।",
+    crossingOff: "सड़क पार मोड बंद।",
+    crossingAskAgain: "थोड़ा देखने दें, फिर से पूछें।",
+    crossingLight: "बत्ती {colour} है।",
+    lightRed: "लाल",
+    lightAmber: "पीली",
+    lightGreen: "हरी",
+    crossingNoLight: "कोई ट्रैफ़िक बत्ती नहीं दिख रही।",
+    crossingVehicle: "सावधान: आपके रास्ते में {thing}, {dist}।",
+    crossingVehicleComing: "रुकें: {thing} आपकी ओर आ रही है, {dist}।",
+    crossingComingLeft: "बाएँ से ट्रैफ़िक: {thing} पास आ रही है।",
+    crossingComingRight: "दाएँ से ट्रैफ़िक: {thing} पास आ रही है।",
+    crossingBlocked: "रुकें: {thing} ठीक आपके सामने।",
+    crossingClear: "आपके रास्ते में कोई ट्रैफ़िक नहीं।",
+    crossingSafeYes: "बत्ती हरी है और कोई ट्रैफ़िक आता नहीं दिख रहा। कदम रखने से पहले सुन भी लें।",
+    crossingSafeRed: "नहीं, बत्ती लाल है।",
+    crossingSafeAmber: "नहीं, बत्ती पीली है।",
+    crossingSafeVehicle: "नहीं, आपके रास्ते में ट्रैफ़िक है।",
+    crossingSafeApproaching: "नहीं, ट्रैफ़िक आ रहा है।",
+    crossingSafeNoLight: "कहा नहीं जा सकता: कोई ट्रैफ़िक बत्ती नहीं दिख रही। ट्रैफ़िक की आवाज़ सुनें।",
+    crossingSafeUnsteady: "अभी कहा नहीं जा सकता: बत्ती साफ़ नहीं दिख रही। थोड़ी देर में फिर पूछें।",
+    crossingSafeTooSoon: "अभी देख रहे हैं। थोड़ी देर में फिर पूछें।",
+    offline: "इंटरनेट नहीं है। सहेजे गए मॉडल इस्तेमाल हो रहे हैं।",
+    online: "इंटरनेट वापस आ गया।",
+    faceLoading: "चेहरा पहचान लोड हो रही है...",
+    faceReady: "चेहरा पहचान चालू।",
+    faceOff: "चेहरा पहचान बंद।",
+    faceFailed: "चेहरा पहचान लोड नहीं हो सकी।",
+    enrolling: "{name} को जोड़ा जा रहा है। कृपया कैमरे की ओर देखें।",
+    enrolled: "{name} जोड़ा गया।",
+    enrollFailed: "जोड़ना विफल। {reason}",
+    noPeople: "अभी कोई व्यक्ति जोड़ा नहीं गया है।",
+    peopleList: "जोड़े गए लोग: {names}।",
+    renamed: "{name} का नाम बदलकर {newName} किया गया।",
+    deleted: "{name} हटाया गया।",
+    notFound: "{name} जोड़ा नहीं गया है।",
+    nobodyKnown: "अभी मैं किसी को नहीं पहचान रहा।",
+    youSee: "सामने {names} हैं।"
+  },
+  labels: {
+    person: ["व्यक्ति", "लोग"], bicycle: ["साइकिल", "साइकिलें"], car: ["कार", "कारें"],
+    motorcycle: ["मोटरसाइकिल", "मोटरसाइकिलें"], airplane: "हवाई जहाज़", bus: ["बस", "बसें"],
+    train: ["ट्रेन", "ट्रेनें"], truck: "ट्रक", boat: ["नाव", "नावें"], "traffic light": "ट्रैफ़िक लाइट",
+    "fire hydrant": "फ़ायर हाइड्रेंट", "stop sign": "स्टॉप साइन", "parking meter": "पार्किंग मीटर", bench: "बेंच",
+    bird: "पक्षी", cat: ["बिल्ली", "बिल्लियाँ"], dog: ["कुत्ता", "कुत्ते"], horse: ["घोड़ा", "घोड़े"],
+    sheep: ["भेड़", "भेड़ें"], cow: ["गाय", "गायें"], elephant: "हाथी", bear: "भालू", zebra: "ज़ेबरा",
+    giraffe: "जिराफ़", backpack: "बैकपैक", umbrella: ["छाता", "छाते"], handbag: "हैंडबैग", tie: "टाई",
+    suitcase: "सूटकेस", frisbee: "फ़्रिसबी", skis: "स्की", snowboard: "स्नोबोर्ड", "sports ball": ["गेंद", "गेंदें"],
+    kite: ["पतंग", "पतंगें"], "baseball bat": "बेसबॉल बैट", "baseball glove": ["बेसबॉल दस्ताना", "बेसबॉल दस्ताने"],
+    skateboard: "स्केटबोर्ड", surfboard: "सर्फ़बोर्ड", "tennis racket": "टेनिस रैकेट", bottle: ["बोतल", "बोतलें"],
+    "wine glass": "वाइन गिलास", cup: "कप", fork: ["काँटा", "काँटे"], knife: "चाकू", spoon: "चम्मच",
+    bowl: ["कटोरा", "कटोरे"], banana: ["केला", "केले"], apple: "सेब", sandwich: "सैंडविच",
+    orange: ["संतरा", "संतरे"], broccoli: "ब्रोकली", carrot: "गाजर", "hot dog": "हॉट डॉग", pizza: "पिज़्ज़ा",
+    donut: "डोनट", cake: "केक", chair: ["कुर्सी", "कुर्सियाँ"], couch: ["सोफ़ा", "सोफ़े"],
+    "potted plant": ["गमले का पौधा", "गमले के पौधे"], bed: "बिस्तर", "dining table": ["खाने की मेज़", "खाने की मेज़ें"],
+    toilet: "शौचालय", tv: "टीवी", laptop: "लैपटॉप", mouse: "माउस", remote: "रिमोट", keyboard: "कीबोर्ड",
+    "cell phone": "मोबाइल फ़ोन", microwave: "माइक्रोवेव", oven: "ओवन", toaster: "टोस्टर", sink: "सिंक",
+    refrigerator: "फ़्रिज", book: ["किताब", "किताबें"], clock: ["घड़ी", "घड़ियाँ"], vase: "फूलदान",
+    scissors: "कैंची", "teddy bear": "टेडी बियर", "hair drier": "हेयर ड्रायर", toothbrush: "टूथब्रश",
+    obstacle: "रुकावट"
+  },
+  numbers: ["शून्य", "एक", "दो", "तीन", "चार", "पाँच", "छह", "सात", "आठ", "नौ", "दस"],
+  phrase(g, t) {
+    const where = g.dir === "center" ? "सामने" : `आपके ${t(g.dir)}`;
+    if (g.approaching) {
+      const from = g.dir === "center" ? "सामने से" : g.dir === "left" ? "बाईं ओर से" : "दाईं ओर से";
+      return `${g.subject} ${from} ${t("approaching")}, ${g.distance}`;
+    }
+    return `${g.subject} ${where}, ${g.distance}`;
+  },
+  commands: {
+    // (?!\S) ends a word: \b only knows ASCII letters, so "ना" would match the start of "नाम"
+    yes: [/^(?:हाँ|हां|जी हाँ|ठीक है|पक्का)(?!\S)/],
+    no: [/^(?:नहीं|ना|रद्द|रहने दो)(?!\S)/],
+    verbositySilent: [/(?:मौन|खामोश) मोड(?!\S)/],
+    verbosityAlerts: [/(?:सिर्फ़?|केवल) चेतावनी(?!\S)/],
+    verbosityNormal: [/सामान्य मोड(?!\S)/],
+    verbosityChatty: [/(?:ज़्यादा|ज्यादा) (?:बोलो|बताओ|जानकारी)(?!\S)|विस्तार मोड(?!\S)/],
+    voiceNext: [/(?:दूसरी|अगली) आवाज़?(?!\S)/],
+    torchOn: [/(?:टॉर्च|लाइट|फ़?्लैश) (?:चालू|जलाओ|ऑन)(?!\S)/],
+    torchOff: [/(?:टॉर्च|लाइट|फ़?्लैश) (?:बंद|बुझाओ|ऑफ़?)(?!\S)/],
+    cameraNext: [/(?:दूसरा|अगला) कैमरा(?!\S)|कैमरा बदलो(?!\S)/],
+    cameraTest: [/कैमरा (?:जा[ँं]चो|टेस्ट|चेक)(?!\S)|कैमरे की जा[ँं]च(?!\S)|कौन सा कैमरा(?!\S)/],
+    cameraLow: [/कैमरा (?:क्वालिटी )?(?:कम|लो)(?!\S)/],
+    cameraStandard: [/कैमरा (?:क्वालिटी )?(?:सामान्य|स्टैंडर्ड)(?!\S)/],
+    cameraHigh: [/कैमरा (?:क्वालिटी )?(?:ऊ[ँं]ची|हाई|ज़?्यादा)(?!\S)/],
+    contrastOn: [/(?:हाई कॉन्ट्रास्ट|बड़े अक्षर) (?:चालू|ऑन)(?!\S)/],
+    contrastOff: [/(?:हाई कॉन्ट्रास्ट|बड़े अक्षर) (?:बंद|ऑफ़?)(?!\S)/],
+    sosCancel: [/^(?:मैं )?ठीक हू[ँं](?!\S)|^(?:अलर्ट|एसओएस) (?:रद्द|रोको)(?!\S)/],
+    sosTest: [/^(?:एसओएस|अलर्ट) (?:टेस्ट|परीक्षण)(?!\S)/],
+    fallOn: [/गिरने की पहचान (?:चालू|ऑन)(?!\S)/],
+    fallOff: [/गिरने की पहचान (?:बंद|ऑफ़?)(?!\S)/],
+    // before help, which is "मदद" on its own
+    crossingOff: [/(?:सड़क पार|क्रॉसिंग) (?:मोड )?(?:बंद|ऑफ़?)(?!\S)/],
+    crossingSafe: [/पार करना सुरक्षित(?!\S)|क्या (?:मैं )?(?:सड़क )?पार कर (?:सकता|सकती) (?:हूँ|हूं)(?!\S)/],
+    crossingLight: [/(?:ट्रैफ़िक|ट्रैफिक) (?:लाइट|बत्ती)(?!\S)|बत्ती (?:का )?(?:कौन सा )?रंग(?!\S)|बत्ती कौन सी है(?!\S)/],
+    crossingOn: [/(?:सड़क पार|क्रॉसिंग) (?:मोड )?(?:चालू|शुरू|ऑन)(?!\S)|^सड़क पार (?:करवाओ|कराओ|करनी है)(?!\S)/],
+    sos: [/^(?:मदद करो|बचाओ|मुझे मदद चाहिए|एसओएस|इमरजेंसी)$/],
+    profileList: [/प्रोफ़?ाइल(?:ें|ों)? (?:बताओ|की सूची)(?!\S)/],
+    profileSave: [/(?:सेटिंग|प्रोफ़?ाइल) (.+) (?:के )?नाम से सहेजो(?!\S)/],
+    profileUse: [/^(.+) प्रोफ़?ाइल(?: (?:लगाओ|चालू करो|चुनो))?$/, /^प्रोफ़?ाइल (.+)/],
+    routeSave: [/रास्ता (?:सेव करो|सहेजो|पूरा)(?!\S)/],
+    routeRecord: [/^(.+?) (?:का|तक का) रास्ता (?:रिकॉर्ड करो|बनाओ)(?!\S)/, /^नया रास्ता (.+)/],
+    routeDelete: [/^(.+?) (?:का )?रास्ता (?:हटाओ|मिटाओ)(?!\S)/],
+    routeStop: [/रास्ता (?:बंद|रोको)(?!\S)|मार्गदर्शन बंद(?!\S)/],
+    routeMark: [/(?:निशान|लैंडमार्क) (?:लगाओ|जोड़ो)(?!\S)/],
+    routeNote: [/^नोट (.+)/],
+    routeList: [/(?:रास्ते|रास्तों की) (?:बताओ|सूची)(?!\S)/],
+    routeNext: [/अगला (?:निशान|लैंडमार्क)(?!\S)/],
+    routeRepeat: [/अगला क्या है(?!\S)/],
+    routeGuide: [/^(.+?) (?:तक )?ले चलो(?!\S)/, /^(.+?) (?:का )?रास्ता (?:चलाओ|शुरू करो)(?!\S)/],
+    assistEnd: [/कॉल (?:बंद|काटो|ख़?त्म)(?!\S)/],
+    assistCall: [/(?:सहायक|हेल्पर|मददगार) को (?:कॉल करो|बुलाओ)(?!\S)/],
+    recordStop: [/रिकॉर्डिंग (?:बंद|रोको)(?!\S)/],
+    recordStart: [/रिकॉर्डिंग (?:शुरू|चालू)(?!\S)|रिकॉर्ड करो(?!\S)/],
+    readStop: [/पढ़ना (?:बंद|रोको)(?!\S)/],
+    readAgain: [/(?:फिर से|दोबारा) पढ़ो(?!\S)/],
+    readNow: [/अभी पढ़ो(?!\S)/],
+    readText: [/^(?:यह |इसे )?पढ़ो(?!\S)/, /क्या लिखा है(?!\S)/],
+    update: [/(?:ऐप )?अपडेट करो(?!\S)/],
+    handsFreeOn: [/(?:हैंड्स फ्री|बिना हाथ) (?:चालू|शुरू)(?!\S)/],
+    handsFreeOff: [/(?:हैंड्स फ्री|बिना हाथ) बंद(?!\S)/],
+    unmute: [/आवाज़? (?:चालू|वापस)(?!\S)/],
+    mute: [/^(?:चुप|आवाज़? बंद|शांत)(?!\S)/],
+    help: [/^(?:मदद|सहायता)(?!\S)/],
+    repeat: [/(?:दोबारा|फिर से) (?:बोलो|कहो)(?!\S)/],
+    language: [/^भाषा (.+?)(?: करो| चुनो)?$/, /(.+?) (?:में बोलो|भाषा)$/],
+    modelLite: [/(?:हल्का|लाइट|तेज़) मॉडल(?!\S)/],
+    modelStandard: [/(?:सामान्य|स्टैंडर्ड|सटीक) मॉडल(?!\S)/],
+    pitchSet: [/पिच (\d+(?:\.\d+)?)/],
+    pitchUp: [/पिच (?:बढ़ाओ|ऊँची)(?!\S)/],
+    pitchDown: [/पिच (?:घटाओ|कम|नीची)(?!\S)/],
+    rateSet: [/गति (\d+(?:\.\d+)?)/],
+    rateUp: [/(?:तेज़|जल्दी) बोलो(?!\S)/],
+    rateDown: [/धीरे बोलो(?!\S)/],
+    sideLeft: [/(?:बाएँ|बाईं) (?:ओर )?क्या है(?!\S)/],
+    sideRight: [/(?:दाएँ|दाईं) (?:ओर )?क्या है(?!\S)/],
+    sideAhead: [/सामने क्या है(?!\S)/],
+    searchStop: [/(?:खोज|ढूँढना|ढूंढना) (?:बंद|रोको)(?!\S)/],
+    find: [/(.+?) (?:ढूँढो|ढूंढो|कहाँ है|खोजो)$/],
+    depthOn: [/(?:गहराई|दूरी) (?:माप )?(?:चालू|शुरू)(?!\S)/, /मीटर में बताओ(?!\S)/],
+    depthOff: [/(?:गहराई|दूरी) (?:माप )?बंद(?!\S)/],
+    faceOn: [/चेहरा पहचान (?:चालू|शुरू)(?!\S)/],
+    faceOff: [/चेहरा पहचान बंद(?!\S)/],
+    speechOnly: [/(?:सिर्फ़|सिर्फ|केवल) आवाज़?(?!\S)/],
+    tonesOnly: [/(?:सिर्फ़|सिर्फ|केवल) (?:बीप|टोन)(?!\S)/],
+    both: [/^दोनों(?!\S)/],
+    whoIs: [/(?:यह|ये|सामने) कौन है(?!\S)/, /^कौन है(?!\S)/],
+    listPeople: [/लोगों की (?:सूची|लिस्ट)(?!\S)/],
+    rename: [/(.+?) का नाम (.+?) (?:करो|कर दो|रखो)$/],
+    forget: [/(.+?) को (?:हटाओ|हटा दो|भूल जाओ)$/],
+    enroll: [/(.+?) को (?:याद रखो|जोड़ो|पहचानो)$/],
+    start: [/^(?:शुरू|चालू)(?!\S)/],
+    stop: [/^(?:रुको|बंद करो|रोको)(?!\S)/],
+    scene: [/(?:दृश्य|सारांश|क्या दिख रहा है|बताओ)(?!\S)/]
+  }
+});
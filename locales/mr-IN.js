@@ -0,0 +1,340 @@
+/**
+ * Marathi (mr-IN). Shape documented in locales/en-US.js.
+ * Sentences are subject-first: "दोन खुर्च्या तुमच्या डावीकडे, दूर".
+ */
+
+I18n.register("mr-IN", {
+  name: "मराठी (Marathi)",
+  aliases: ["marathi", "मराठी"],
+  wakeWords: ["नेव्हिगेटर", "सहाय्यक"],
+  ocrLang: "mar+eng",
+  strings: {
+    started: "डिटेक्शन सुरू.",
+    stopped: "डिटेक्शन बंद.",
+    seeNone: "सध्या ओळखण्यासारखी वस्तू दिसत नाही.",
+    onYour: "तुमच्या",
+    left: "डावीकडे",
+    right: "उजवीकडे",
+    center: "मध्यभागी",
+    veryClose: "खूप जवळ",
+    close: "जवळ",
+    far: "दूर",
+    metres: "{n} मीटर",
+    approaching: "जवळ येत आहे",
+    andMore: "आणखी {n} वस्तू.",
+    notRecognized: "आज्ञा समजली नाही.",
+    help: "कृपया म्हणा: सुरू करा, थांबा, दृश्य, डावीकडे काय आहे, कप शोधा, पुन्हा सांगा, शांत, आवाज सुरू, भाषा इंग्रजी, जलद बोला, हळू बोला, हे कोण आहे, हे वाचा, रस्ता प्रोफाइल, स्वयंपाकघर मार्ग सुरू करा, मदतनीसाला बोलवा, रस्ता ओलांडायला मदत करा, ओलांडणे सुरक्षित आहे का, मदत करा, टॉर्च सुरू, कॅमेरा तपासा, हाय कॉन्ट्रास्ट सुरू, मदत.",
+    muted: "आवाज बंद.",
+    unmuted: "आवाज सुरू.",
+    languageSet: "भाषा {name} निवडली.",
+    unknownLanguage: "भाषा {name} उपलब्ध नाही.",
+    modelLoading: "{name} मॉडेल लोड होत आहे.",
+    modelSet: "{name} मॉडेल तयार.",
+    modelFailed: "{name} मॉडेल लोड होऊ शकले नाही.",
+    detectorCrashed: "वस्तू ओळख बंद पडली. हळू पर्यायावर जात आहे.",
+    pitchSet: "पिच {value}.",
+    rateSet: "बोलण्याचा वेग {value}.",
+    nothingRepeat: "पुन्हा सांगण्यासारखे अजून काही नाही.",
+    nothingOn: "{where} काही नाही.",
+    whereLeft: "तुमच्या डावीकडे",
+    whereRight: "तुमच्या उजवीकडे",
+    whereCenter: "समोर",
+    unknownThing: "मी अजून {thing} ओळखू शकत नाही.",
+    notSeen: "सध्या {thing} दिसत नाही.",
+    handsFreeOn: "हँड्स-फ्री ऐकणे सुरू. आज्ञेआधी {wake} म्हणा.",
+    handsFreeOff: "हँड्स-फ्री ऐकणे बंद.",
+    wakeHeard: "हं?",
+    confirmDelete: "{name} हटवायचे? खात्रीसाठी हो म्हणा.",
+    cancelled: "रद्द केले.",
+    voiceUnsupported: "या ब्राउझरमध्ये आवाज आज्ञा उपलब्ध नाहीत.",
+    searchStart: "{thing} शोधत आहे. कॅमेरा हळू फिरवा.",
+    steerLeft: "{thing} तुमच्या डावीकडे आहे, {dist}. डावीकडे वळा.",
+    steerRight: "{thing} तुमच्या उजवीकडे आहे, {dist}. उजवीकडे वळा.",
+    steerAhead: "{thing} समोर आहे, {dist}. पुढे चला.",
+    found: "{thing} सापडले. अगदी तुमच्या समोर आहे.",
+    panSlowly: "{thing} दिसत नाही. कॅमेरा हळूहळू डावीकडे-उजवीकडे फिरवा.",
+    searchStopped: "शोध थांबवला.",
+    depthLoading: "खोली मापन लोड होत आहे...",
+    depthReady: "खोली मापन सुरू. अंतर मीटरमध्ये.",
+    depthOff: "खोली मापन बंद.",
+    depthFailed: "खोली मापनाचे मॉडेल लोड होऊ शकले नाही.",
+    readingStart: "वाचन मोड. कॅमेरा मजकुराकडे धरा.",
+    readingLoading: "मजकूर वाचक लोड होत आहे...",
+    readingFailed: "मजकूर वाचक लोड होऊ शकला नाही.",
+    readingNow: "वाचत आहे, स्थिर धरा.",
+    noText: "मजकूर दिसत नाही. कॅमेरा हळू फिरवा.",
+    textAt: "मजकूर {where} आहे.",
+    textWhere: "{v} {h}",
+    textCentre: "मध्यभागी",
+    textTop: "वर",
+    textMiddle: "मधे",
+    textBottom: "खाली",
+    textLeft: "डावीकडे",
+    textRight: "उजवीकडे",
+    textCenter: "मध्यभागी",
+    moveCloser: "जवळ जा.",
+    holdStill: "स्थिर धरा.",
+    nothingRead: "काहीही वाचता आले नाही. जवळून, जास्त प्रकाशात पुन्हा प्रयत्न करा.",
+    nothingReadYet: "अजून काहीही वाचलेले नाही.",
+    readingStopped: "वाचन थांबवले.",
+    updateAvailable: "अ‍ॅपची नवीन आवृत्ती तयार आहे. सोयीचे असेल तेव्हा रीलोड दाबा किंवा अपडेट म्हणा.",
+    noUpdate: "अ‍ॅप अद्ययावत आहे.",
+    verbositySilent: "मौन मोड. फक्त टोन.",
+    verbosityAlerts: "फक्त इशारे.",
+    verbosityNormal: "सामान्य मोड.",
+    verbosityChatty: "सविस्तर मोड. मी जास्त सांगेन.",
+    voiceSet: "हा {name} आवाज आहे.",
+    noVoices: "या भाषेसाठी दुसरा आवाज उपलब्ध नाही.",
+    profileSet: "{name} प्रोफाइल सुरू.",
+    profileList: "प्रोफाइल: {names}. सध्या: {name}.",
+    profileUnknown: "{name} नावाचे प्रोफाइल नाही.",
+    profileSaved: "सेटिंग {name} प्रोफाइल म्हणून जतन केल्या.",
+    profileDeleted: "{name} प्रोफाइल काढले.",
+    profileReset: "{name} प्रोफाइल मूळ सेटिंगवर परत आणले.",
+    profileImported: "प्रोफाइल आयात केले: {names}.",
+    profileImportFailed: "प्रोफाइल आयात करता आले नाहीत. {reason}",
+    profileDefault: "सामान्य",
+    profileIndoor: "घरात",
+    profileStreet: "रस्ता",
+    profileShopping: "खरेदी",
+    recordingOn: "सत्र रेकॉर्ड होत आहे.",
+    recordingSaved: "रेकॉर्डिंग डाउनलोडमध्ये जतन केले.",
+    replayStart: "{name} पुन्हा चालवत आहे.",
+    replayEnded: "रीप्ले पूर्ण झाला.",
+    assistWaiting: "मदतनीसासाठी कॉल सुरू आहे. तुमच्या मदतनीसाला कोड {code} सांगा.",
+    assistConnected: "मदतनीस जोडले गेले.",
+    assistHelperLeft: "मदतनीस कॉलमधून गेले. कोड अजूनही {code} आहे.",
+    assistAsk: "कोणीतरी तुमचा कोड टाकला आहे. त्यांना तुमचा कॅमेरा दाखवायचा का? हो किंवा नाही म्हणा.",
+    assistNewCode: "त्यांना आत येऊ दिले नाही. तुमचा नवीन कोड {code} आहे.",
+    assistEnded: "कॉल संपला.",
+    assistFailed: "मदतनीसाला कॉल करता आला नाही. {reason}",
+    assistUnsupported: "हा ब्राउझर कॉल करू शकत नाही.",
+    assistLeft: "डावीकडे जा.",
+    assistRight: "उजवीकडे जा.",
+    assistAhead: "सरळ पुढे जा.",
+    assistBack: "मागे वळा.",
+    assistStop: "थांबा!",
+    assistSays: "मदतनीस म्हणतात: {text}",
+    routeRecording: "{name} मार्ग रेकॉर्ड होत आहे. हळू चाला; जवळ येणाऱ्या वस्तू खुणा बनतील.",
+    routeLandmark: "खूण {n}: {where}.",
+    routeNothingToMark: "कोणतीही खूण दिसत नाही. कॅमेरा तिच्याकडे धरा.",
+    routeNoteAdded: "नोंद जोडली.",
+    routeSaved: "{name} मार्ग {n} खुणांसह जतन केला.",
+    routeEmpty: "एकही खूण मिळाली नाही, मार्ग जतन केला नाही.",
+    routeNotRecording: "कोणताही मार्ग रेकॉर्ड होत नाही.",
+    routeList: "मार्ग: {names}.",
+    routeNone: "अजून कोणताही मार्ग जतन केलेला नाही.",
+    routeUnknown: "{name} नावाचा मार्ग नाही.",
+    routeGuideStart: "{name} मार्गावर घेऊन चलतो.",
+    routeNext: "पुढे: {where}.",
+    routeNextSteps: "पुढे: {where}, सुमारे {steps} पावले.",
+    routeReached: "{thing} आले.",
+    routePassed: "कदाचित {thing} मागे राहिले. वगळण्यासाठी पुढची खूण म्हणा.",
+    routeArrived: "तुम्ही पोहोचलात. {name} पूर्ण.",
+    routeStopped: "मार्गदर्शन थांबवले.",
+    routeDeleted: "{name} मार्ग हटवला.",
+    routeLeft: "{thing} डावीकडे",
+    routeRight: "{thing} उजवीकडे",
+    routeAhead: "{thing} समोर",
+    camLost: "कॅमेरा बंद पडला. पुन्हा जोडत आहे.",
+    camRestored: "कॅमेरा पुन्हा सुरू.",
+    camFailed: "कॅमेरा थांबला. {reason} पुन्हा प्रयत्नासाठी सुरू करा म्हणा.",
+    camInsecure: "कॅमेऱ्यासाठी सुरक्षित पान हवे. ॲप https किंवा localhost वर उघडा.",
+    camUnsupported: "हा ब्राउझर कॅमेरा वापरू शकत नाही.",
+    camDenied: "कॅमेऱ्याची परवानगी बंद आहे. साइट सेटिंगमध्ये कॅमेरा सुरू करा.",
+    camNotFound: "कॅमेरा सापडला नाही.",
+    camBusy: "दुसरे ॲप कॅमेरा वापरत आहे. ते बंद करून पुन्हा प्रयत्न करा.",
+    camOverconstrained: "कॅमेरा ही गुणवत्ता देऊ शकत नाही. कमी गुणवत्ता निवडा.",
+    camError: "कॅमेरा सुरू होऊ शकला नाही.",
+    camUsing: "{name} वापरत आहे.",
+    camNumber: "कॅमेरा {n}",
+    camOnlyOne: "या उपकरणात एकच कॅमेरा आहे.",
+    camPresetLow: "कॅमेरा गुणवत्ता कमी, बॅटरी वाचेल.",
+    camPresetStandard: "कॅमेरा गुणवत्ता सामान्य.",
+    camPresetHigh: "कॅमेरा गुणवत्ता उच्च.",
+    camTorchOn: "टॉर्च सुरू.",
+    camTorchOff: "टॉर्च बंद.",
+    camNoTorch: "या कॅमेऱ्याला टॉर्च नाही.",
+    camTestRunning: "कॅमेऱ्याची तपासणी करत आहे.",
+    camTestPassed: "कॅमेरा ठीक आहे: {name}, {width} गुणिले {height}.",
+    camFps: "प्रति सेकंद {fps} फ्रेम.",
+    camTestFailed: "कॅमेऱ्यात अडचण. {problem}",
+    camCheckFrames: "कॅमेरा कोणतेही चित्र पाठवत नाही.",
+    camCheckPicture: "चित्र काळे आहे. लेन्स झाकली आहे का?",
+    contrastOn: "हाय कॉन्ट्रास्ट सुरू.",
+    contrastOff: "हाय कॉन्ट्रास्ट बंद.",
+    keysHelp: "कळा: S सुरू किंवा बंद, D दृश्य, R पुन्हा, M शांत, V आवाजी आदेश, T वाचन, बाण कळा डावीकडे, उजवीकडे आणि समोर, प्लस आणि मायनस बोलण्याचा वेग, C हाय कॉन्ट्रास्ट, Escape शांत, H ही यादी. कॅमेऱ्यावर: सुरू किंवा बंदसाठी दोनदा टॅप, दृश्यासाठी वर स्वाइप, पुन्हा ऐकण्यासाठी खाली, त्या बाजूसाठी डावीकडे किंवा उजवीकडे, आवाजी आदेशासाठी दोन बोटांनी टॅप, एसओएससाठी जास्त वेळ दाबा.",
+    sosCountdown: "{n} सेकंदांत एसओएस सूचना जाईल. थांबवण्यासाठी म्हणा मी ठीक आहे, किंवा Escape दाबा.",
+    sosFall: "तुम्ही पडलात असे दिसते. {n} सेकंदांत एसओएस सूचना जाईल. थांबवण्यासाठी म्हणा मी ठीक आहे, किंवा Escape दाबा.",
+    sosTestCountdown: "{n} सेकंदांत चाचणी सूचना.",
+    sosSending: "सूचना पाठवत आहे.",
+    sosTap: "सूचना पाठवण्यासाठी स्क्रीनला स्पर्श करा किंवा कोणतीही कळ दाबा.",
+    sosSent: "सूचना पाठवली.",
+    sosCancelled: "सूचना रद्द.",
+    sosTooLate: "सूचना पाठवली जात आहे; आता रद्द करता येणार नाही.",
+    sosFailed: "सूचना पाठवता आली नाही.",
+    sosNotSet: "सूचना पाठवण्याचा कोणताही मार्ग सेट केलेला नाही. आणीबाणी पॅनेलमध्ये वेबहुक किंवा फोन नंबर जोडा.",
+    sosMessage: "एसओएस: मला मदत हवी आहे.",
+    sosMessageFall: "एसओएस: मी कदाचित पडलो आहे, मला मदत हवी आहे.",
+    sosMessageTest: "एसओएस चाचणी, काही करण्याची गरज नाही.",
+    sosWhere: "माझे ठिकाण: {map} ({m} मीटरच्या आत).",
+    sosNoPosition: "माझे ठिकाण माहीत नाही.",
+    fallOn: "पडणे ओळख सुरू.",
+    fallOff: "पडणे ओळख बंद.",
+    fallUnsupported: "हा फोन हालचाल सांगत नाही, त्यामुळे पडणे ओळखता येत नाही.",
+    crossingOn: "रस्ता ओलांडणे मोड. रस्त्याकडे तोंड करा; दिवा आणि वाहतूक पाहिली जात आहे.",
+    crossingOff: "रस्ता ओलांडणे मोड बंद.",
+    crossingAskAgain: "थोडे पाहू द्या, मग पुन्हा विचारा.",
+    crossingLight: "दिवा {colour} आहे.",
+    lightRed: "लाल",
+    lightAmber: "पिवळा",
+    lightGreen: "हिरवा",
+    crossingNoLight: "कोणताही सिग्नल दिवा दिसत नाही.",
+    crossingVehicle: "सावधान: तुमच्या मार्गात {thing}, {dist}.",
+    crossingVehicleComing: "थांबा: {thing} तुमच्याकडे येत आहे, {dist}.",
+    crossingComingLeft: "डावीकडून वाहतूक: {thing} जवळ येत आहे.",
+    crossingComingRight: "उजवीकडून वाहतूक: {thing} जवळ येत आहे.",
+    crossingBlocked: "थांबा: {thing} अगदी तुमच्या समोर.",
+    crossingClear: "तुमच्या मार्गात वाहतूक नाही.",
+    crossingSafeYes: "दिवा हिरवा आहे आणि कोणतीही वाहतूक येताना दिसत नाही. पाऊल टाकण्याआधी ऐकूनही घ्या.",
+    crossingSafeRed: "नाही, दिवा लाल आहे.",
+    crossingSafeAmber: "नाही, दिवा पिवळा आहे.",
+    crossingSafeVehicle: "नाही, तुमच्या मार्गात वाहतूक आहे.",
+    crossingSafeApproaching: "नाही, वाहतूक येत आहे.",
+    crossingSafeNoLight: "सांगता येत नाही: सिग्नल दिवा दिसत नाही. वाहतुकीचा आवाज ऐका.",
+    crossingSafeUnsteady: "अजून सांगता येत नाही: दिवा स्पष्ट दिसत नाही. थोड्या वेळाने पुन्हा विचारा.",
+    crossingSafeTooSoon: "अजून पाहत आहे. थोड्या वेळाने पुन्हा विचारा.",
+    offline: "इंटरनेट नाही. जतन केलेली मॉडेल वापरत आहे.",
+    online: "इंटरनेट परत आले.",
+    faceLoading: "चेहरा ओळख लोड होत आहे...",
+    faceReady: "चेहरा ओळख सुरू.",
+    faceOff: "चेहरा ओळख बंद.",
+    faceFailed: "चेहरा ओळख लोड होऊ शकली नाही.",
+    enrolling: "{name} यांची नोंद होत आहे. कृपया कॅमेऱ्याकडे पहा.",
+    enrolled: "{name} यांची नोंद झाली.",
+    enrollFailed: "नोंद अयशस्वी. {reason}",
+    noPeople: "अजून कोणाचीही नोंद नाही.",
+    peopleList: "नोंदवलेले: {names}.",
+    renamed: "{name} चे नाव बदलून {newName} केले.",
+    deleted: "{name} हटवले.",
+    notFound: "{name} यांची नोंद नाही.",
+    nobodyKnown: "सध्या मी कोणालाही ओळखत नाही.",
+    youSee: "समोर {names} आहेत."
+  },
+  labels: {
+    person: ["व्यक्ती", "लोक"], bicycle: ["सायकल", "सायकली"], car: ["गाडी", "गाड्या"],
+    motorcycle: ["मोटारसायकल", "मोटारसायकली"], airplane: ["विमान", "विमाने"], bus: "बस", train: "ट्रेन",
+    truck: "ट्रक", boat: ["होडी", "होड्या"], "traffic light": "ट्रॅफिक सिग्नल", "fire hydrant": "फायर हायड्रंट",
+    "stop sign": "थांबा फलक", "parking meter": "पार्किंग मीटर", bench: "बाक", bird: "पक्षी",
+    cat: ["मांजर", "मांजरी"], dog: ["कुत्रा", "कुत्रे"], horse: ["घोडा", "घोडे"], sheep: ["मेंढी", "मेंढ्या"],
+    cow: ["गाय", "गायी"], elephant: "हत्ती", bear: "अस्वल", zebra: "झेब्रा", giraffe: "जिराफ",
+    backpack: "बॅकपॅक", umbrella: ["छत्री", "छत्र्या"], handbag: "पर्स", tie: "टाय", suitcase: "सूटकेस",
+    frisbee: "फ्रिसबी", skis: "स्की", snowboard: "स्नोबोर्ड", "sports ball": "चेंडू", kite: "पतंग",
+    "baseball bat": "बेसबॉल बॅट", "baseball glove": ["बेसबॉल हातमोजा", "बेसबॉल हातमोजे"], skateboard: "स्केटबोर्ड",
+    surfboard: "सर्फबोर्ड", "tennis racket": "टेनिस रॅकेट", bottle: ["बाटली", "बाटल्या"], "wine glass": "वाईन ग्लास",
+    cup: "कप", fork: ["काटा", "काटे"], knife: ["सुरी", "सुऱ्या"], spoon: ["चमचा", "चमचे"], bowl: ["वाटी", "वाट्या"],
+    banana: ["केळ", "केळी"], apple: ["सफरचंद", "सफरचंदे"], sandwich: "सँडविच", orange: ["संत्रे", "संत्री"],
+    broccoli: "ब्रोकोली", carrot: ["गाजर", "गाजरे"], "hot dog": "हॉट डॉग", pizza: "पिझ्झा", donut: "डोनट",
+    cake: "केक", chair: ["खुर्ची", "खुर्च्या"], couch: "सोफा", "potted plant": ["कुंडीतले रोप", "कुंडीतली रोपे"],
+    bed: "पलंग", "dining table": "जेवणाचे टेबल", toilet: "शौचालय", tv: "टीव्ही", laptop: "लॅपटॉप",
+    mouse: "माउस", remote: "रिमोट", keyboard: "कीबोर्ड", "cell phone": "मोबाईल फोन", microwave: "मायक्रोवेव्ह",
+    oven: "ओव्हन", toaster: "टोस्टर", sink: "सिंक", refrigerator: "फ्रिज", book: ["पुस्तक", "पुस्तके"],
+    clock: ["घड्याळ", "घड्याळे"], vase: "फुलदाणी", scissors: "कात्री", "teddy bear": "टेडी बेअर",
+    "hair drier": "हेअर ड्रायर", toothbrush: "टूथब्रश", obstacle: "अडथळा"
+  },
+  numbers: ["शून्य", "एक", "दोन", "तीन", "चार", "पाच", "सहा", "सात", "आठ", "नऊ", "दहा"],
+  phrase(g, t) {
+    const where = g.dir === "center" ? "समोर" : `${t("onYour")} ${t(g.dir)}`;
+    if (g.approaching) {
+      const from = g.dir === "center" ? "समोरून" : g.dir === "left" ? "डावीकडून" : "उजवीकडून";
+      return `${g.subject} ${from} ${t("approaching")}, ${g.distance}`;
+    }
+    return `${g.subject} ${where}, ${g.distance}`;
+  },
+  commands: {
+    // (?!\S) ends a word: \b only knows ASCII letters, so "हो" would match the start of "होटल"
+    yes: [/^(?:हो|होय|ठीक आहे|नक्की)(?!\S)/],
+    no: [/^(?:नाही|नको|रद्द)(?!\S)/],
+    verbositySilent: [/मौन मोड(?!\S)/],
+    verbosityAlerts: [/फक्त (?:इशारे|सूचना)(?!\S)/],
+    verbosityNormal: [/सामान्य मोड(?!\S)/],
+    verbosityChatty: [/जास्त (?:बोला|सांगा|माहिती)(?!\S)|सविस्तर मोड(?!\S)/],
+    voiceNext: [/(?:दुसरा|पुढचा) आवाज(?!\S)/],
+    torchOn: [/(?:टॉर्च|लाइट|फ्लॅश) (?:सुरू|चालू|लावा)(?!\S)/],
+    torchOff: [/(?:टॉर्च|लाइट|फ्लॅश) बंद(?!\S)/],
+    cameraNext: [/(?:दुसरा|पुढचा) कॅमेरा(?!\S)|कॅमेरा बदला(?!\S)/],
+    cameraTest: [/कॅमेरा (?:तपासा|चाचणी|तपासणी)(?!\S)|कोणता कॅमेरा(?!\S)/],
+    cameraLow: [/कॅमेरा (?:गुणवत्ता )?कमी(?!\S)/],
+    cameraStandard: [/कॅमेरा (?:गुणवत्ता )?(?:सामान्य|साधारण)(?!\S)/],
+    cameraHigh: [/कॅमेरा (?:गुणवत्ता )?(?:उच्च|जास्त)(?!\S)/],
+    contrastOn: [/(?:हाय कॉन्ट्रास्ट|मोठी अक्षरे) (?:सुरू|चालू)(?!\S)/],
+    contrastOff: [/(?:हाय कॉन्ट्रास्ट|मोठी अक्षरे) बंद(?!\S)/],
+    sosCancel: [/^मी ठीक आहे(?!\S)|^(?:सूचना|एसओएस) (?:रद्द|थांबवा)(?!\S)/],
+    sosTest: [/^(?:एसओएस|सूचना) चाचणी(?!\S)/],
+    fallOn: [/पडणे ओळख (?:सुरू|चालू)(?!\S)/],
+    fallOff: [/पडणे ओळख बंद(?!\S)/],
+    // before help, which is "मदत" on its own
+    crossingOff: [/(?:रस्ता ओलांडणे|क्रॉसिंग) (?:मोड )?(?:बंद|थांबवा)(?!\S)/],
+    crossingSafe: [/ओलांडणे सुरक्षित(?!\S)|(?:मी )?(?:रस्ता )?ओलांडू (?:का|शकतो|शकते)(?!\S)/],
+    crossingLight: [/(?:ट्रॅफिक|सिग्नल) (?:लाइट|दिवा)(?!\S)|सिग्नलचा रंग(?!\S)|दिवा कोणत्या रंगाचा(?!\S)/],
+    crossingOn: [/(?:रस्ता ओलांडणे|क्रॉसिंग) (?:मोड )?(?:सुरू|चालू)(?!\S)|^रस्ता ओलांडायला मदत(?!\S)|^रस्ता ओलांडायचा आहे(?!\S)/],
+    sos: [/^(?:मदत करा|वाचवा|मला मदत हवी|एसओएस|इमर्जन्सी)$/],
+    profileList: [/प्रोफ़?ाइल (?:सांगा|यादी)(?!\S)/],
+    profileSave: [/(?:सेटिंग|प्रोफ़?ाइल) (.+) (?:या )?नावाने जतन करा(?!\S)/],
+    profileUse: [/^(.+) प्रोफ़?ाइल(?: (?:वापरा|लावा|सुरू करा))?$/, /^प्रोफ़?ाइल (.+)/],
+    routeSave: [/मार्ग (?:जतन करा|सेव्ह करा|पूर्ण)(?!\S)/],
+    routeRecord: [/^नवा मार्ग (.+)/, /^(.+?) मार्ग (?:रेकॉर्ड करा|बनवा)$/],
+    routeDelete: [/^(.+?) मार्ग (?:हटवा|पुसा)$/],
+    routeStop: [/मार्ग(?:दर्शन)? (?:थांबवा|बंद)(?!\S)/],
+    routeMark: [/(?:खूण|लँडमार्क) (?:लावा|जोडा)(?!\S)/],
+    routeNote: [/^नोंद (.+)/],
+    routeList: [/मार्ग(?:ांची)? यादी(?!\S)|मार्ग सांगा(?!\S)/],
+    routeNext: [/पुढची (?:खूण|लँडमार्क)(?!\S)/],
+    routeRepeat: [/पुढे काय आहे(?!\S)/],
+    routeGuide: [/^(.+?)(?:कडे|पर्यंत) (?:घेऊन चला|न्या)(?!\S)/, /^(.+?) मार्ग (?:सुरू करा|चालवा)$/],
+    assistEnd: [/कॉल (?:बंद करा|संपवा|कट करा)(?!\S)/],
+    assistCall: [/(?:मदतनीस|सहाय्यक|हेल्पर)\S* (?:कॉल करा|बोलवा)(?!\S)/],
+    recordStop: [/रेकॉर्डिंग (?:थांबवा|बंद)(?!\S)/],
+    recordStart: [/रेकॉर्डिंग सुरू(?!\S)|रेकॉर्ड करा(?!\S)/],
+    readStop: [/वाचन (?:थांबवा|बंद)(?!\S)/],
+    readAgain: [/पुन्हा वाचा(?!\S)/],
+    readNow: [/आता वाचा(?!\S)/],
+    readText: [/^(?:हे )?वाचा(?!\S)/, /काय लिहिले आहे(?!\S)/],
+    update: [/(?:अ‍ॅप )?अपडेट करा(?!\S)/],
+    handsFreeOn: [/हँड्स ?फ्री सुरू(?!\S)/],
+    handsFreeOff: [/हँड्स ?फ्री बंद(?!\S)/],
+    unmute: [/आवाज (?:सुरू|परत)(?!\S)/],
+    mute: [/^(?:शांत|आवाज बंद)(?!\S)/],
+    help: [/^(?:मदत|सहाय्य)(?!\S)/],
+    repeat: [/पुन्हा (?:सांगा|बोला)(?!\S)/],
+    language: [/^भाषा (.+?)(?: करा| निवडा)?$/, /(.+?) मध्ये बोला$/],
+    modelLite: [/(?:हलके|लाइट|जलद) मॉडेल(?!\S)/],
+    modelStandard: [/(?:सामान्य|स्टँडर्ड|अचूक) मॉडेल(?!\S)/],
+    pitchSet: [/पिच (\d+(?:\.\d+)?)/],
+    pitchUp: [/पिच (?:वाढवा|उंच)(?!\S)/],
+    pitchDown: [/पिच (?:कमी|खाली)(?!\S)/],
+    rateSet: [/वेग (\d+(?:\.\d+)?)/],
+    rateUp: [/(?:जलद|पटपट) बोला(?!\S)/],
+    rateDown: [/हळू बोला(?!\S)/],
+    sideLeft: [/डावीकडे काय आहे(?!\S)/],
+    sideRight: [/उजवीकडे काय आहे(?!\S)/],
+    sideAhead: [/समोर काय आहे(?!\S)/],
+    searchStop: [/शोध (?:थांबवा|बंद)(?!\S)/],
+    find: [/(.+?) (?:शोधा|कुठे आहे)$/],
+    depthOn: [/(?:खोली|अंतर) (?:मापन )?सुरू(?!\S)/, /मीटरमध्ये सांगा(?!\S)/],
+    depthOff: [/(?:खोली|अंतर) (?:मापन )?बंद(?!\S)/],
+    faceOn: [/चेहरा ओळख सुरू(?!\S)/],
+    faceOff: [/चेहरा ओळख बंद(?!\S)/],
+    speechOnly: [/फक्त आवाज(?!\S)/],
+    tonesOnly: [/फक्त (?:बीप|टोन)(?!\S)/],
+    both: [/^दोन्ही(?!\S)/],
+    whoIs: [/(?:हे|समोर) कोण आहे(?!\S)/, /^कोण आहे(?!\S)/],
+    listPeople: [/लोकांची यादी(?!\S)/],
+    rename: [/(.+?) (?:चे|यांचे) नाव (.+?) (?:करा|ठेवा)$/],
+    forget: [/(.+?) (?:ला हटवा|ला विसरा|हटवा|विसरा)$/],
+    enroll: [/(.+?) (?:लक्षात ठेवा|जोडा|ओळखा)$/],
+    start: [/^सुरू(?!\S)/],
+    stop: [/^(?:थांबा|बंद करा)(?!\S)/],
+    scene: [/(?:दृश्य|सारांश|काय दिसते|सांगा)(?!\S)/]
+  }
+});
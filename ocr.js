@@ -0,0 +1,133 @@
+/**
+ * ocr.js — reading signs, labels and documents
+ * - Loads Tesseract.js on demand; script, wasm core and language data come from vendor/tesseract/
+ *   when tools/fetch-offline-assets.sh has been run, from the CDN otherwise
+ * - findText() is a cheap per-frame check (edge density on a thumbnail) used to aim the camera
+ *   before the slow full recognition
+ * - recognize() returns the confident lines of a frozen frame
+ *
+ * The OCR language comes from the locale (ocrLang), so text is read in the selected language.
+ */
+
+const TESSERACT_VERSION = "5.1.1";
+const TESSERACT_LOCAL = {
+  script: "vendor/tesseract/tesseract.min.js",
+  workerPath: "vendor/tesseract/worker.min.js",
+  corePath: "vendor/tesseract/core/",
+  langPath: "vendor/tesseract/lang/"
+};
+const TESSERACT_CDN = {
+  script: `https://cdn.jsdelivr.net/npm/tesseract.js@${TESSERACT_VERSION}/dist/tesseract.min.js`,
+  workerPath: `https://cdn.jsdelivr.net/npm/tesseract.js@${TESSERACT_VERSION}/dist/worker.min.js`,
+  corePath: `https://cdn.jsdelivr.net/npm/tesseract.js-core@${TESSERACT_VERSION}/`,
+  langPath: "https://tessdata.projectnaptha.com/4.0.0_best_int"
+};
+const OCR_MIN_LINE_CONFIDENCE = 55;   // Tesseract's 0-100 per-line confidence
+
+/* findText() thumbnail and thresholds */
+const TEXT_THUMB_W = 160;
+const TEXT_THUMB_H = 120;
+const TEXT_GRID_COLS = 8;
+const TEXT_GRID_ROWS = 6;
+const TEXT_EDGE_MIN = 40;             // grey-level step that counts as a stroke edge
+const TEXT_CELL_DENSITY = 0.12;       // share of edge pixels for a cell to look like print
+const TEXT_MIN_CELLS = 2;
+
+const TextReader = (() => {
+  let worker = null;
+  let workerLang = null;
+  let loading = null;
+  let paths = null;          // TESSERACT_LOCAL or TESSERACT_CDN, whichever the script came from
+  let thumb = null;
+  let thumbCtx = null;
+
+  /* local copy when present, CDN otherwise (the language data follows the same choice) */
+  async function loadScript() {
+    if (paths) return;
+    const from = (await localAssetExists(TESSERACT_LOCAL.script)) ? TESSERACT_LOCAL : TESSERACT_CDN;
+    await loadScriptUrl(from.script);
+    if (!window.Tesseract) throw new Error(`No window.Tesseract after loading ${from.script}`);
+    paths = from;
+  }
+
+  /* one Tesseract worker for the current language; a language change re-creates it */
+  function ensureLoaded(ocrLang) {
+    if (worker && workerLang === ocrLang) return Promise.resolve();
+    if (loading) return loading.then(() => ensureLoaded(ocrLang));
+    loading = (async () => {
+      await loadScript();
+      if (worker) { await worker.terminate(); worker = null; }
+      console.log("[ocr] creating worker for", ocrLang, "from", paths.langPath);
+      worker = await window.Tesseract.createWorker(ocrLang, 1, {
+        workerPath: paths.workerPath, corePath: paths.corePath, langPath: paths.langPath
+      });
+      workerLang = ocrLang;
+    })().finally(() => { loading = null; });
+    return loading;
+  }
+
+  /**
+   * Where the camera sees something like print, from stroke edges on a small thumbnail.
+   * -> { h: "left" | "center" | "right", v: "top" | "middle" | "bottom", size } or null
+   *    size is the share of the frame covered by the text area (0-1)
+   */
+  function findText(source) {
+    if (!thumb) {
+      thumb = document.createElement("canvas");
+      thumb.width = TEXT_THUMB_W;
+      thumb.height = TEXT_THUMB_H;
+      thumbCtx = thumb.getContext("2d", { willReadFrequently: true });
+    }
+    thumbCtx.drawImage(source, 0, 0, TEXT_THUMB_W, TEXT_THUMB_H);
+    const px = thumbCtx.getImageData(0, 0, TEXT_THUMB_W, TEXT_THUMB_H).data;
+    const grey = new Uint8Array(TEXT_THUMB_W * TEXT_THUMB_H);
+    for (let i = 0; i < grey.length; i++) grey[i] = (px[4 * i] * 77 + px[4 * i + 1] * 150 + px[4 * i + 2] * 29) >> 8;
+
+    const cellW = TEXT_THUMB_W / TEXT_GRID_COLS, cellH = TEXT_THUMB_H / TEXT_GRID_ROWS;
+    const edges = new Array(TEXT_GRID_COLS * TEXT_GRID_ROWS).fill(0);
+    for (let y = 0; y < TEXT_THUMB_H - 1; y++) {
+      for (let x = 0; x < TEXT_THUMB_W - 1; x++) {
+        const i = y * TEXT_THUMB_W + x;
+        // print has sharp steps both across and along the line
+        if (Math.abs(grey[i] - grey[i + 1]) > TEXT_EDGE_MIN || Math.abs(grey[i] - grey[i + TEXT_THUMB_W]) > TEXT_EDGE_MIN) {
+          edges[Math.floor(y / cellH) * TEXT_GRID_COLS + Math.floor(x / cellW)]++;
+        }
+      }
+    }
+    let minC = TEXT_GRID_COLS, maxC = -1, minR = TEXT_GRID_ROWS, maxR = -1, cells = 0;
+    edges.forEach((n, i) => {
+      if (n / (cellW * cellH) < TEXT_CELL_DENSITY) return;
+      const c = i % TEXT_GRID_COLS, r = Math.floor(i / TEXT_GRID_COLS);
+      cells++;
+      minC = Math.min(minC, c); maxC = Math.max(maxC, c);
+      minR = Math.min(minR, r); maxR = Math.max(maxR, r);
+    });
+    if (cells < TEXT_MIN_CELLS) return null;
+    const cx = (minC + maxC + 1) / 2 / TEXT_GRID_COLS;
+    const cy = (minR + maxR + 1) / 2 / TEXT_GRID_ROWS;
+    return {
+      h: cx < 0.33 ? "left" : cx > 0.66 ? "right" : "center",
+      v: cy < 0.33 ? "top" : cy > 0.66 ? "bottom" : "middle",
+      size: cells / (TEXT_GRID_COLS * TEXT_GRID_ROWS)
+    };
+  }
+
+  /* full recognition of a still image -> { text, lines, confidence } ("" when nothing was readable) */
+  async function recognize(image) {
+    if (!worker) throw new Error("Text reader not loaded");
+    const { data } = await worker.recognize(image);
+    const lines = (data.lines || [])
+      .filter(l => l.confidence >= OCR_MIN_LINE_CONFIDENCE)
+      .map(l => l.text.replace(/\s+/g, " ").trim())
+      .filter(Boolean);
+    return { text: lines.join("\n"), lines, confidence: data.confidence };
+  }
+
+  async function dispose() {
+    if (worker) await worker.terminate();
+    worker = null;
+    workerLang = null;
+  }
+
+  return { ensureLoaded, findText, recognize, dispose, isLoaded: () => !!worker };
+})();
@@ -0,0 +1,85 @@
+/**
+ * pedometer.js — step counting from DeviceMotion, for route lengths (routes.js)
+ * - A step is a peak of the acceleration magnitude above its slow running average
+ * - Steps closer together than PEDOMETER_MIN_STEP_MS are one step (the phone bounces)
+ * - count() is null while no motion data has arrived, so callers can tell "0 steps" from "no sensor"
+ * - Each start() needs its own stop(); the sensor runs until the last user stops, so route recording
+ *   and guiding can hand over without losing it. The count then runs on: keep your own starting count
+ *
+ * iOS asks for permission first; start() must then run inside a tap, a voice command is not enough.
+ */
+
+const PEDOMETER_THRESHOLD = 1.2;        // m/s² above the running average
+const PEDOMETER_MIN_STEP_MS = 280;      // about 3.5 steps per second at most
+const PEDOMETER_FAST_ALPHA = 0.25;      // smoothing of the signal
+const PEDOMETER_SLOW_ALPHA = 0.02;      // smoothing of the baseline (gravity plus posture)
+
+/* iOS asks before it sends motion events, and only inside a tap; shared with fall detection (sos.js) */
+async function requestMotionPermission() {
+  if (!("DeviceMotionEvent" in window)) return false;
+  if (typeof DeviceMotionEvent.requestPermission !== "function") return true;
+  try {
+    return await DeviceMotionEvent.requestPermission() === "granted";
+  } catch (err) {
+    console.warn("[motion] permission not granted:", err.message || err);
+    return false;
+  }
+}
+
+const Pedometer = (() => {
+  let users = 0;
+  let running = false;
+  let steps = 0;
+  let gotData = false;
+  let fast = null;
+  let slow = null;
+  let above = false;
+  let lastStepAt = 0;
+
+  function supported() { return "DeviceMotionEvent" in window; }
+
+  function onMotion(e) {
+    const a = e.accelerationIncludingGravity;
+    if (!a || a.x == null) return;
+    const mag = Math.hypot(a.x, a.y, a.z);
+    gotData = true;
+    if (fast === null) { fast = slow = mag; return; }
+    fast += (mag - fast) * PEDOMETER_FAST_ALPHA;
+    slow += (mag - slow) * PEDOMETER_SLOW_ALPHA;
+    const now = e.timeStamp || performance.now();
+    if (!above && fast - slow > PEDOMETER_THRESHOLD) {
+      above = true;
+      if (now - lastStepAt >= PEDOMETER_MIN_STEP_MS) {
+        steps++;
+        lastStepAt = now;
+      }
+    } else if (above && fast - slow < PEDOMETER_THRESHOLD / 2) {
+      above = false;
+    }
+  }
+
+  /* -> true when motion events are coming (or may come); false when the sensor is missing or refused */
+  async function start() {
+    users++;
+    if (running) return true;
+    if (!await requestMotionPermission()) return false;
+    // everyone stopped while the prompt was up, or a start() that asked earlier got there first
+    if (!users || running) return users > 0;
+    steps = 0;
+    gotData = false;
+    fast = slow = null;
+    above = false;
+    window.addEventListener("devicemotion", onMotion);
+    running = true;
+    return true;
+  }
+
+  function stop() {
+    if (users) users--;
+    if (users) return;
+    window.removeEventListener("devicemotion", onMotion);
+    running = false;
+  }
+
+  return { supported, start, stop, count: () => (gotData ? steps : null), isRunning: () => running };
+})();
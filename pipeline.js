@@ -0,0 +1,107 @@
+/**
+ * pipeline.js — detections in, guidance and narration out
+ * - select(): score threshold, ignored classes (except those a mode must always see) and the
+ *   search-mode class filter
+ * - step(): direction / distance per box, tracking, scene ranking and the sentence to announce
+ *   for tracks that are new or changed, as much of it as the verbosity asks for
+ *
+ * Pure logic (no DOM), shared by script.js and tools/replay-check.js so a recorded session
+ * replays through exactly the code that ran live. Needs i18n.js + locales, scene.js, tracker.js
+ * and depth.js (OBSTACLE_CLASS).
+ */
+
+const PIPELINE_DEFAULTS = {
+  minScore: 0.6,
+  distThresh: { veryClose: 0.08, close: 0.02 },    // box area / frame area, without depth
+  distThreshM: { veryClose: 1.0, close: 2.5 },     // metres, with the depth pass (depth.js)
+  ignored: [],                                     // classes never announced (unless searched for)
+  verbosity: "normal"                              // one of PIPELINE_VERBOSITY
+};
+
+/* silent: tones only; alerts: very close, approaching, blocked path and close vehicles only; chatty: every group */
+const PIPELINE_VERBOSITY = ["silent", "alerts", "normal", "chatty"];
+
+/* an unchanged object is repeated after this long, by its hazard class (scene.js); vehicles soonest */
+const PIPELINE_REANNOUNCE_MS = { 5: 6000, 4: 8000, 3: 12000, 2: 15000, 1: 30000 };
+
+/* classes this dangerous (scene.js: vehicles) are a warning as soon as they are close, not only very close */
+const PIPELINE_DANGER_HAZARD = 5;
+
+const DetectionPipeline = (() => {
+  /* distance words come from metres when the depth pass measured them, from box area otherwise */
+  function guidance(bbox, width, height, metres, cfg = PIPELINE_DEFAULTS) {
+    const [x,y,w,h] = bbox;
+    const cxRatio = (x + w/2) / width;
+    let dir = "center";
+    if (cxRatio < 0.33) dir = "left"; else if (cxRatio > 0.66) dir = "right";
+    const areaRatio = (w*h) / (width * height);
+    let dist = "far";
+    if (metres != null) {
+      if (metres < cfg.distThreshM.veryClose) dist = "veryClose";
+      else if (metres < cfg.distThreshM.close) dist = "close";
+    } else if (areaRatio >= cfg.distThresh.veryClose) dist = "veryClose";
+    else if (areaRatio >= cfg.distThresh.close) dist = "close";
+    return { dir, dist, areaRatio, cxRatio };
+  }
+
+  function create(config = {}) {
+    const cfg = { ...JSON.parse(JSON.stringify(PIPELINE_DEFAULTS)), ...config };
+    const tracker = ObjectTracker.createTracker({
+      reannounceMs: cls => PIPELINE_REANNOUNCE_MS[Math.min(5, Math.round(SceneComposer.CLASS_HAZARD[cls] || 1))] || PIPELINE_REANNOUNCE_MS[1]
+    });
+
+    /* confident predictions; search mode hides every class except the target (obstacle warnings stay);
+       keep: classes that pass even when the profile ignores them (crossing mode's traffic) */
+    function select(preds, { searchTarget = null, keep = [] } = {}) {
+      const good = preds.filter(p => p.score >= cfg.minScore);
+      if (searchTarget) return good.filter(p => p.class === searchTarget || p.class === OBSTACLE_CLASS);
+      return cfg.ignored.length ? good.filter(p => !cfg.ignored.includes(p.class) || keep.includes(p.class)) : good;
+    }
+
+    function urgent(it) {
+      if (it.dist === "veryClose" || it.motion === "approaching" || it.cls === OBSTACLE_CLASS) return true;
+      return it.dist === "close" && !it.named && (SceneComposer.CLASS_HAZARD[it.cls] || 1) >= PIPELINE_DANGER_HAZARD;
+    }
+
+    /**
+     * step(good, { width, height, lang, narrate, now }) -> { items, scene, fresh, spoken, spokenIds, spokenAt, alert }
+     * Every prediction takes part in the scene, not just the largest box; a recognized person
+     * (p.identity) is announced by name. spoken is "" unless narrate is on and some track is
+     * new, moved closer, changed side or started approaching. The tracks the sentence names
+     * (spokenIds; not those folded into "and 2 more") count as announced at spokenAt, until
+     * unannounce() says the sentence was never heard.
+     * alert is true when a fresh track is very close, approaching, blocking the way or a close vehicle.
+     */
+    function step(good, { width, height, lang = I18n.FALLBACK, narrate = true, now } = {}) {
+      const items = tracker.update(good.map(p => {
+        const metres = p.metres != null ? p.metres : null;
+        const g = guidance(p.bbox, width, height, metres, cfg);
+        return {
+          cls: p.class, bbox: p.bbox, label: p.identity || p.class, named: !!p.identity,
+          dir: g.dir, dist: g.dist, metres, areaRatio: g.areaRatio, cx: g.cxRatio, score: p.score
+        };
+      }), now);
+      const sceneOpts = { phrase: g => I18n.phrase(lang, g), andMore: n => I18n.t(lang, "andMore", { n }) };
+      const scene = SceneComposer.compose(items, sceneOpts);
+      const quiet = !narrate || !scene.top || cfg.verbosity === "silent";
+      const fresh = quiet ? [] : items.filter(it => it.announce && (cfg.verbosity !== "alerts" || urgent(it)));
+      const composed = fresh.length ? SceneComposer.compose(fresh, sceneOpts) : null;
+      const spoken = !composed ? "" : cfg.verbosity === "chatty" ? composed.detailed : composed.short;
+      const named = !spoken ? [] : cfg.verbosity === "chatty" ? composed.groups : composed.shortGroups;
+      const spokenIds = named.flatMap(g => g.items.map(it => it.trackId));
+      const spokenAt = now != null ? now : performance.now();
+      if (spoken) tracker.markAnnounced(spokenIds, spokenAt);
+      return { items, scene, fresh, spoken, spokenIds, spokenAt, alert: !!spoken && fresh.some(urgent) };
+    }
+
+    return {
+      select, step,
+      unannounce: (ids, at) => tracker.unmarkAnnounced(ids, at),
+      reset: () => tracker.reset(),
+      configure: (changes) => Object.assign(cfg, changes),
+      config: () => JSON.parse(JSON.stringify(cfg))
+    };
+  }
+
+  return { create, guidance, DEFAULTS: PIPELINE_DEFAULTS, VERBOSITY: PIPELINE_VERBOSITY };
+})();
@@ -0,0 +1,127 @@
+/**
+ * recorder.js — session recording for replay and regression checks
+ * - Records the camera as video (MediaRecorder) next to a JSON log of every analysed frame:
+ *   raw predictions, the guidance per track, and what was announced
+ * - Speech, voice commands and search starts/ends are logged as events on the same clock
+ * - download() saves both files under one name: <name>.webm and <name>.json
+ *
+ * The JSON is what tools/replay-check.js feeds back through pipeline.js; the video can be loaded
+ * in replay mode to run the detector again on the same footage. Format in tools/README.md.
+ */
+
+const SESSION_FORMAT_VERSION = 1;
+const RECORDER_MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm", "video/mp4"];
+const RECORDER_MAX_FRAMES = 20000;     // about 20 minutes of analysed frames; older ones are kept, newer dropped
+
+const SessionRecorder = (() => {
+  let session = null;
+  let startedAt = 0;
+  let mediaRecorder = null;
+  let chunks = [];
+
+  function round(v, digits = 1) {
+    const f = Math.pow(10, digits);
+    return Math.round(v * f) / f;
+  }
+
+  function clock() { return Math.round(performance.now() - startedAt); }
+
+  /* camera video, when the browser can record the stream at all */
+  function attachStream(stream) {
+    if (!session || mediaRecorder || !stream || !window.MediaRecorder) return;
+    const mimeType = RECORDER_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) { console.warn("[recorder] no supported video type; recording the log only"); return; }
+    chunks = [];
+    mediaRecorder = new MediaRecorder(stream, { mimeType });
+    mediaRecorder.ondataavailable = (e) => { if (e.data && e.data.size) chunks.push(e.data); };
+    mediaRecorder.start(1000);
+    // video time = frame t - videoOffset
+    session.videoOffset = clock();
+    session.video = { mimeType };
+    console.log("[recorder] recording video as", mimeType);
+  }
+
+  /* meta: { lang, model, config, source } — config is pipeline.config() so a replay uses the same thresholds */
+  function start(meta = {}, stream = null) {
+    if (session) return;
+    startedAt = performance.now();
+    session = {
+      version: SESSION_FORMAT_VERSION,
+      recordedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      ...meta,
+      videoOffset: 0,
+      video: null,
+      frames: [],
+      events: []
+    };
+    attachStream(stream);
+  }
+
+  /**
+   * One analysed frame: { w, h, preds, narrate, search, spoken, items }.
+   * preds are the detector output before any filtering; items the tracked guidance.
+   */
+  function frame({ w, h, preds, narrate, search = null, spoken = "", items = [] }) {
+    if (!session || session.frames.length >= RECORDER_MAX_FRAMES) return;
+    session.frames.push({
+      t: clock(), w, h, narrate, search, spoken,
+      preds: preds.map(p => {
+        const out = { class: p.class, score: round(p.score, 3), bbox: p.bbox.map(v => round(v)) };
+        if (p.metres != null) out.metres = p.metres;
+        if (p.identity) out.identity = p.identity;
+        return out;
+      }),
+      items: items.map(it => {
+        const out = { id: it.trackId, cls: it.cls, dir: it.dir, dist: it.dist, motion: it.motion };
+        if (it.metres != null) out.metres = it.metres;
+        return out;
+      })
+    });
+  }
+
+  /* kind: "speak" | "command" | "search" | ... ; data is stored as given */
+  function event(kind, data = {}) {
+    if (!session) return;
+    session.events.push({ t: clock(), kind, ...data });
+  }
+
+  /* -> Promise<{ session, video: Blob | null }> */
+  function stop() {
+    if (!session) return Promise.resolve(null);
+    const done = session;
+    const rec = mediaRecorder;
+    session = null;
+    mediaRecorder = null;
+    done.duration = Math.round(performance.now() - startedAt);
+    if (!rec || rec.state === "inactive") return Promise.resolve({ session: done, video: null });
+    return new Promise(resolve => {
+      rec.onstop = () => resolve({ session: done, video: new Blob(chunks, { type: done.video.mimeType }) });
+      rec.stop();
+    });
+  }
+
+  function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+
+  /* session-2024-05-01T10-20-30.json (+ .webm) */
+  function download({ session: s, video }) {
+    const name = "session-" + s.recordedAt.replace(/[:.]/g, "-").replace(/Z$/, "");
+    if (video) {
+      s.video.file = `${name}.${video.type.includes("mp4") ? "mp4" : "webm"}`;
+      saveBlob(video, s.video.file);
+    }
+    saveBlob(new Blob([JSON.stringify(s)], { type: "application/json" }), `${name}.json`);
+    return name;
+  }
+
+  return { start, attachStream, frame, event, stop, download, isRecording: () => !!session };
+})();
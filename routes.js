@@ -0,0 +1,237 @@
+/**
+ * routes.js — everyday routes: "front door to kitchen", recorded once and guided afterwards
+ * - Recording: while a sighted helper walks the route, fixed objects that come close become
+ *   landmarks in order, each with its side, the steps since the previous one and an optional note
+ * - Guiding: "next: chair on your right, about 12 steps", and a confirmation once the detector
+ *   sees that landmark close by; then the next one, until the end of the route
+ * - Routes live in IndexedDB (storage.js), store "routes"
+ *
+ * The recorder and the guide are pure logic like search.js: update() takes the tracked items of
+ * one frame and returns something to say, or null. Wording is left to script.js.
+ */
+
+const ROUTE_STORE = "routes";
+const ROUTE_STABLE_FRAMES = 3;        // a track must be seen this many passes in a row to become a landmark
+const ROUTE_SAME_GAP_STEPS = 8;       // the same class again within this many steps is the same landmark...
+const ROUTE_SAME_GAP_MS = 6000;       // ...or within this long when there is no step count
+const ROUTE_CONFIRM_FRAMES = 3;       // passes the next landmark must be seen close before it counts as reached
+const ROUTE_REMIND_MS = 15000;        // no progress this long -> say the next landmark again
+const ROUTE_PASSED_FACTOR = 1.6;      // walked this many times the recorded steps (plus slack) -> maybe passed it
+const ROUTE_PASSED_SLACK = 6;
+
+/* things that move or are carried make poor landmarks */
+const ROUTE_SKIP_CLASSES = new Set([
+  "person", "bicycle", "car", "motorcycle", "airplane", "bus", "train", "truck", "boat",
+  "bird", "cat", "dog", "horse", "sheep", "cow", "elephant", "bear", "zebra", "giraffe",
+  "backpack", "umbrella", "handbag", "tie", "suitcase", "frisbee", "skis", "snowboard", "sports ball",
+  "kite", "baseball bat", "baseball glove", "skateboard", "surfboard", "tennis racket", "bottle",
+  "wine glass", "cup", "fork", "knife", "spoon", "bowl", "banana", "apple", "sandwich", "orange",
+  "broccoli", "carrot", "hot dog", "pizza", "donut", "cake", "mouse", "remote", "keyboard",
+  "cell phone", "book", "scissors", "teddy bear", "hair drier", "toothbrush", "obstacle"
+]);
+
+const Routes = (() => {
+  let routes = [];                    // cached list, sorted by name
+
+  function usable(it) { return !ROUTE_SKIP_CLASSES.has(it.cls) && it.dist !== "far"; }
+
+  /* --- Storage --- */
+
+  async function refresh() {
+    const rows = await idbGetAll(ROUTE_STORE);
+    routes = rows.sort((a, b) => a.name.localeCompare(b.name));
+    return routes;
+  }
+
+  function list() { return routes.map(r => ({ id: r.id, name: r.name, landmarks: r.landmarks.length, createdAt: r.createdAt })); }
+
+  function get(id) { return routes.find(r => r.id === id) || null; }
+
+  /* spoken name -> route; "kitchen" also finds "to the kitchen" */
+  function find(spoken) {
+    const n = String(spoken || "").trim().toLowerCase().replace(/^(?:the|my) /, "");
+    if (!n) return null;
+    return routes.find(r => r.name.toLowerCase() === n)
+      || routes.find(r => r.name.toLowerCase().split(/\s+/).includes(n))
+      || routes.find(r => r.name.toLowerCase().includes(n))
+      || null;
+  }
+
+  /* a route with the same name is replaced */
+  async function save({ name, landmarks, startNote = null }) {
+    const label = String(name || "").trim();
+    if (!label) throw new Error("A route needs a name.");
+    if (!landmarks.length) throw new Error("The route has no landmarks.");
+    const existing = routes.find(r => r.name.toLowerCase() === label.toLowerCase());
+    const route = {
+      id: existing ? existing.id : `route-${Date.now().toString(36)}`,
+      name: label,
+      createdAt: new Date().toISOString(),
+      startNote,
+      landmarks
+    };
+    await idbPut(ROUTE_STORE, route);
+    await refresh();
+    return route;
+  }
+
+  async function remove(id) {
+    await idbDelete(ROUTE_STORE, id);
+    await refresh();
+  }
+
+  /* --- Recording --- */
+
+  /**
+   * createRecorder(name, steps0)  steps0: the pedometer count at the start (null = none yet, counts from 0)
+   *   update(items, now, steps) -> new landmark or null; steps is the pedometer count (null = none)
+   *   mark(items, now, steps)   -> landmark for the nearest fixed object, even a far one (the helper says "landmark"), or null
+   *   note(text)                -> the landmark the note went to, or null when it became the start note
+   *   route()                   -> { name, landmarks, startNote } for save()
+   * Landmark: { cls, dir, dist, steps (since the previous one, null without a pedometer), ms, note }
+   */
+  function createRecorder(name, steps0 = null) {
+    const startedAt = performance.now();
+    const landmarks = [];
+    const seen = new Map();           // trackId -> passes in a row
+    const used = new Set();           // trackIds already taken
+    let startNote = null;
+    let lastAt = startedAt;
+    let lastSteps = steps0;
+
+
+    function add(it, now, steps) {
+      if (lastSteps === null && steps != null) lastSteps = 0;
+      const landmark = {
+        cls: it.cls, dir: it.dir, dist: it.dist,
+        steps: steps != null ? steps - lastSteps : null,
+        ms: Math.round(now - lastAt),
+        note: null
+      };
+      landmarks.push(landmark);
+      used.add(it.trackId);
+      lastAt = now;
+      if (steps != null) lastSteps = steps;
+      return landmark;
+    }
+
+    function repeatsLast(it, now, steps) {
+      const last = landmarks[landmarks.length - 1];
+      if (!last || last.cls !== it.cls) return false;
+      if (steps != null && lastSteps != null) return steps - lastSteps < ROUTE_SAME_GAP_STEPS;
+      return now - lastAt < ROUTE_SAME_GAP_MS;
+    }
+
+    function update(items, now = performance.now(), steps = null) {
+      const ids = new Set(items.map(it => it.trackId));
+      [...seen.keys()].forEach(id => { if (!ids.has(id)) seen.delete(id); });
+      let added = null;
+      // nearest first, so two landmarks appearing together are stored in walking order
+      [...items].sort((a, b) => b.areaRatio - a.areaRatio).forEach(it => {
+        if (!usable(it) || used.has(it.trackId)) return;
+        const n = (seen.get(it.trackId) || 0) + 1;
+        seen.set(it.trackId, n);
+        if (added || n < ROUTE_STABLE_FRAMES) return;
+        if (repeatsLast(it, now, steps)) { used.add(it.trackId); return; }
+        added = add(it, now, steps);
+      });
+      return added;
+    }
+
+    function mark(items, now = performance.now(), steps = null) {
+      const candidates = items.filter(it => !ROUTE_SKIP_CLASSES.has(it.cls) && !used.has(it.trackId));
+      if (!candidates.length) return null;
+      return add(candidates.reduce((a, b) => (b.areaRatio > a.areaRatio ? b : a)), now, steps);
+    }
+
+    function note(text) {
+      const last = landmarks[landmarks.length - 1];
+      const clean = String(text || "").trim().slice(0, 200);
+      if (!clean) return null;
+      if (!last) { startNote = startNote ? `${startNote} ${clean}` : clean; return null; }
+      last.note = last.note ? `${last.note} ${clean}` : clean;
+      return last;
+    }
+
+    return { name, update, mark, note, route: () => ({ name, landmarks: landmarks.slice(), startNote }), count: () => landmarks.length };
+  }
+
+  /* --- Guiding --- */
+
+  /**
+   * createGuide(route)
+   *   update(items, now, steps) -> cue or null:
+   *     { kind: "next", landmark, index, reminder }  what to look out for now
+   *     { kind: "reached", landmark, index, last }   seen close by; the guide moves on (last: route done)
+   *     { kind: "passed", landmark }                 walked well past the recorded steps (said once)
+   *   skip(now, steps) -> the next cue after giving up on the current landmark, { kind: "arrived" } after the last
+   *   current() -> the "next" cue again
+   */
+  function createGuide(route, now0 = performance.now(), steps0 = null) {
+    const landmarks = route.landmarks;
+    let index = 0;
+    let streak = 0;
+    let cueAt = now0;
+    let stepsAtLast = steps0;
+    let passedSaid = false;
+    let done = false;
+    const spent = new Set();          // tracks that confirmed an earlier landmark: the same chair is not the next one too
+    let pending = true;               // the first "next" is said on the first update
+
+    function nextCue(reminder = false) {
+      return { kind: "next", landmark: landmarks[index], index, reminder };
+    }
+
+    function advance(now, steps) {
+      index++;
+      streak = 0;
+      cueAt = now;
+      stepsAtLast = steps;
+      passedSaid = false;
+      if (index >= landmarks.length) done = true;
+      else pending = true;
+    }
+
+    function update(items, now = performance.now(), steps = null) {
+      if (done) return null;
+      if (pending) { pending = false; cueAt = now; return nextCue(); }
+      const target = landmarks[index];
+      const hits = items.filter(it => it.cls === target.cls && it.dist !== "far" && !spent.has(it.trackId));
+      streak = hits.length ? streak + 1 : 0;
+      if (streak >= ROUTE_CONFIRM_FRAMES) {
+        hits.forEach(it => spent.add(it.trackId));
+        const reached = index;
+        advance(now, steps);
+        return { kind: "reached", landmark: target, index: reached, last: done };
+      }
+      if (stepsAtLast === null && steps != null) stepsAtLast = steps;
+      if (!passedSaid && target.steps != null && steps != null
+          && steps - stepsAtLast > target.steps * ROUTE_PASSED_FACTOR + ROUTE_PASSED_SLACK) {
+        passedSaid = true;
+        cueAt = now;
+        return { kind: "passed", landmark: target };
+      }
+      if (now - cueAt > ROUTE_REMIND_MS) {
+        cueAt = now;
+        return nextCue(true);
+      }
+      return null;
+    }
+
+    function skip(now = performance.now(), steps = null) {
+      if (done) return null;
+      advance(now, steps);
+      if (done) return { kind: "arrived" };
+      pending = false;
+      return nextCue();
+    }
+
+    return {
+      route, update, skip,
+      current: () => (done ? null : nextCue()),
+      isDone: () => done
+    };
+  }
+
+  return { refresh, list, get, find, save, remove, createRecorder, createGuide };
+})();
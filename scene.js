@@ -0,0 +1,74 @@
+/**
+ * scene.js — multi-object scene narration
+ * - Groups detections by label + direction + distance and counts duplicates
+ * - Ranks groups by hazard (what it is x how close x whether it is in the walking path)
+ * - Builds a short summary for continuous speech and a detailed one for "scene"/"summary"
+ *
+ * Pure logic (no DOM): input items look like { label, dir, dist, metres?, score, areaRatio, named, motion }.
+ * Wording comes from the caller (I18n.phrase), so this file holds no language.
+ */
+
+const SceneComposer = (() => {
+  /* how dangerous a class is to walk into; anything not listed counts as 1 */
+  const CLASS_HAZARD = {
+    car: 5, bus: 5, truck: 5, train: 5, motorcycle: 5,
+    bicycle: 4, horse: 4, cow: 4, elephant: 4, bear: 4,
+    obstacle: 4,
+    dog: 3, "fire hydrant": 3, "stop sign": 3, "traffic light": 3, bench: 3, "parking meter": 3,
+    person: 2, chair: 2, couch: 2, "dining table": 2, bed: 2, toilet: 2, "potted plant": 2, suitcase: 2
+  };
+  const DIST_WEIGHT = { veryClose: 4, close: 2, far: 1 };
+  const DIR_WEIGHT = { center: 1.5, left: 1, right: 1 };
+  const DIST_ORDER = { veryClose: 0, close: 1, far: 2 };
+  const APPROACH_WEIGHT = 1.5;
+
+  function hazardOf(label, dir, dist, named, approaching) {
+    const base = named ? CLASS_HAZARD.person : (CLASS_HAZARD[label] || 1);
+    return base * (DIST_WEIGHT[dist] || 1) * (DIR_WEIGHT[dir] || 1) * (approaching ? APPROACH_WEIGHT : 1);
+  }
+
+  /* collapse items into { label, dir, dist, metres, approaching, count, score, hazard, items } sorted most dangerous first */
+  function group(items) {
+    const byKey = new Map();
+    for (const it of items) {
+      const approaching = it.motion === "approaching";
+      // named people are never merged: "Ravi and Asha" is not "two Ravis"
+      const key = `${it.named ? "name:" : ""}${it.label}|${it.dir}|${it.dist}|${approaching ? "a" : ""}`;
+      let g = byKey.get(key);
+      if (!g) {
+        g = { label: it.label, dir: it.dir, dist: it.dist, metres: null, approaching, named: !!it.named, count: 0, score: 0, items: [] };
+        byKey.set(key, g);
+      }
+      g.count++;
+      g.score = Math.max(g.score, it.score || 0);
+      // depth-measured groups report their nearest member
+      if (it.metres != null) g.metres = g.metres == null ? it.metres : Math.min(g.metres, it.metres);
+      g.items.push(it);
+    }
+    const groups = [...byKey.values()];
+    groups.forEach(g => { g.hazard = hazardOf(g.label, g.dir, g.dist, g.named, g.approaching) * (1 + 0.1 * (g.count - 1)); });
+    return groups.sort((a, b) =>
+      (b.hazard - a.hazard) || (DIST_ORDER[a.dist] - DIST_ORDER[b.dist]) || (b.count - a.count));
+  }
+
+  /**
+   * compose(items, { phrase, andMore, maxShort })
+   *   phrase(group) -> one sentence; andMore(n) -> tail for groups left out of the short form
+   * -> { groups, top, short, detailed, shortGroups }   (short/detailed are "" when nothing was seen)
+   *   shortGroups: the groups short names; the rest are only counted in andMore
+   */
+  function compose(items, { phrase, andMore = () => "", maxShort = 2 } = {}) {
+    const groups = group(items);
+    if (!groups.length) return { groups, top: null, short: "", detailed: "", shortGroups: [] };
+    const all = groups.map(phrase);
+    let short = all.slice(0, maxShort).join(" ");
+    const rest = groups.slice(maxShort).reduce((n, g) => n + g.count, 0);
+    if (rest > 0) short += ` ${andMore(rest)}`;
+    return { groups, top: groups[0], short, detailed: all.join(" "), shortGroups: groups.slice(0, maxShort) };
+  }
+
+  /* per-class priorities from a custom detector (e.g. stairs, curbs) override the defaults */
+  function registerHazards(map) { Object.assign(CLASS_HAZARD, map || {}); }
+
+  return { compose, group, hazardOf, registerHazards, CLASS_HAZARD };
+})();
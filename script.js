@@ -1,6 +1,6 @@
 /**
  * Robust script.js — dynamic loader + diagnostics
- * - Tries multiple CDNs for tfjs and coco-ssd
+ * - Runs the detector in inference-worker.js when the browser allows, on this thread otherwise
  * - Detailed console logging with step IDs
  * - Shows friendly messages in UI and provides Retry button on model load failure
  * - Keeps main detection+TTS logic simple and intact
@@ -8,15 +8,6 @@
  * Replace your existing script.js with this and reload page.
  */
 
-const TFJS_CANDIDATES = [
-  "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.9.0/dist/tf.min.js",
-  "https://unpkg.com/@tensorflow/tfjs@3.9.0/dist/tf.min.js"
-];
-const COCO_CANDIDATES = [
-  "https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd",
-  "https://unpkg.com/@tensorflow-models/coco-ssd@2.2.2"
-];
-
 const canvas = document.getElementById("cameraCanvas");
 const ctx = canvas.getContext("2d");
 const statusEl = document.getElementById("status");
@@ -30,13 +21,95 @@ const voiceCmdBtn = document.getElementById("voiceCmdBtn");
 const langSelect = document.getElementById("langSelect");
 const modelSelect = document.getElementById("modelSelect");
 const voicePitchEl = document.getElementById("voicePitch");
+const voiceRateEl = document.getElementById("voiceRate");
+const voiceSelect = document.getElementById("voiceSelect");
+const handsFreeToggle = document.getElementById("handsFreeToggle");
+const depthToggle = document.getElementById("depthToggle");
+const feedbackSelect = document.getElementById("feedbackSelect");
+const verbositySelect = document.getElementById("verbositySelect");
+const minScoreEl = document.getElementById("minScore");
+const minScoreValEl = document.getElementById("minScoreVal");
 
 /* ---------- NEW: Stat elements (Last Message / FPS / Confidence) ---------- */
 const lastMsgEl = document.getElementById("lastMsg");
 const fpsEl     = document.getElementById("fpsVal");
 const confEl    = document.getElementById("confVal");
+const inferEl   = document.getElementById("inferVal");
+const dropEl    = document.getElementById("dropVal");
 const modelNameEl = document.getElementById("modelName");
 
+/* Identity verification panel */
+const faceRecogToggle = document.getElementById("faceRecogToggle");
+const faceThresholdEl = document.getElementById("faceThreshold");
+const faceThresholdValEl = document.getElementById("faceThresholdVal");
+const enrollNameEl = document.getElementById("enrollName");
+const enrollBtn = document.getElementById("enrollBtn");
+const faceListEl = document.getElementById("faceList");
+
+/* Find-object panel */
+const searchClassSelect = document.getElementById("searchClassSelect");
+const searchBtn = document.getElementById("searchBtn");
+const searchStopBtn = document.getElementById("searchStopBtn");
+
+/* Read-text panel */
+const readBtn = document.getElementById("readBtn");
+const readNowBtn = document.getElementById("readNowBtn");
+const readAgainBtn = document.getElementById("readAgainBtn");
+const readStopBtn = document.getElementById("readStopBtn");
+
+/* ---------- Profiles (settings.js) ---------- */
+const profileSelect = document.getElementById("profileSelect");
+const profileSaveBtn = document.getElementById("profileSaveBtn");
+const profileDeleteBtn = document.getElementById("profileDeleteBtn");
+const profileExportBtn = document.getElementById("profileExportBtn");
+const profileImportEl = document.getElementById("profileImportFile");
+
+/* ---------- Street crossing (crossing.js) ---------- */
+const crossingBtn = document.getElementById("crossingBtn");
+const crossingAskBtn = document.getElementById("crossingAskBtn");
+
+/* ---------- Routes (routes.js) ---------- */
+const routeSelect = document.getElementById("routeSelect");
+const routeGuideBtn = document.getElementById("routeGuideBtn");
+const routeDeleteBtn = document.getElementById("routeDeleteBtn");
+const routeRecordBtn = document.getElementById("routeRecordBtn");
+const routeMarkBtn = document.getElementById("routeMarkBtn");
+const routeNoteBtn = document.getElementById("routeNoteBtn");
+const routeStopBtn = document.getElementById("routeStopBtn");
+
+/* ---------- Session recording / replay (recorder.js) ---------- */
+const recordBtn = document.getElementById("recordBtn");
+const replayFileEl = document.getElementById("replayFile");
+
+/* ---------- Call a helper (assist.js) ---------- */
+const assistBtn = document.getElementById("assistBtn");
+const assistCodeEl = document.getElementById("assistCode");
+const assistAskEl = document.getElementById("assistAsk");
+const assistAllowBtn = document.getElementById("assistAllowBtn");
+const assistDenyBtn = document.getElementById("assistDenyBtn");
+const assistAudioEl = document.getElementById("assistAudio");
+
+/* ---------- Camera (camera.js) ---------- */
+const cameraSelect = document.getElementById("cameraSelect");
+const cameraPresetSelect = document.getElementById("cameraPresetSelect");
+const torchBtn = document.getElementById("torchBtn");
+const cameraTestBtn = document.getElementById("cameraTestBtn");
+const cameraChecksEl = document.getElementById("cameraChecks");
+
+/* ---------- Emergency (sos.js) ---------- */
+const sosBtn = document.getElementById("sosBtn");
+const sosCancelBtn = document.getElementById("sosCancelBtn");
+const sosTestBtn = document.getElementById("sosTestBtn");
+const sosAdapterSelect = document.getElementById("sosAdapterSelect");
+const sosWebhookEl = document.getElementById("sosWebhookUrl");
+const sosPhoneEl = document.getElementById("sosPhone");
+const fallToggle = document.getElementById("fallToggle");
+
+/* ---------- Accessibility (shortcuts.js) ---------- */
+const contrastToggle = document.getElementById("contrastToggle");
+const srPoliteEl = document.getElementById("srPolite");     // hidden live regions: what muted speech would have said
+const srAlertEl = document.getElementById("srAlert");
+
 // Safe fallback logs if elements missing
 if (!lastMsgEl || !fpsEl || !confEl) {
   console.warn("One or more stat elements not found: lastMsg/fpsVal/confVal. Check HTML IDs.");
@@ -44,16 +117,32 @@ if (!lastMsgEl || !fpsEl || !confEl) {
 
 /* ---------- FPS smoothing helpers ---------- */
 let lastFrameTime = performance.now();
-let fpsSmoothed = 0.0;
+let fpsSmoothed = 0.0;         // analysed frames per second
+let inferMsSmoothed = 0.0;     // detect() latency, including the hop to the worker
+let dropSmoothed = 0.0;        // share of camera frames that were not analysed
 const FPS_ALPHA = 0.12; // smoothing factor (lower = smoother)
 
+function smooth(prev, value) { return prev ? prev * (1 - FPS_ALPHA) + value * FPS_ALPHA : value; }
+
 /* helper to update UI stat values */
-function updateStats({ message = "—", fps = null, confidence = null } = {}) {
+function updateStats({ message = "—", confidence = null } = {}) {
   if (lastMsgEl) lastMsgEl.textContent = message;
-  if (fpsEl) fpsEl.textContent = fps === null ? "—" : `${Math.round(fps)} fps`;
   if (confEl) confEl.textContent = confidence === null ? "—" : `${Math.round(confidence * 100)}%`;
 }
 
+/* the scene pill is a live region: only real changes are written, or screen readers repeat it every frame */
+function showScene(text, detail = "") {
+  if (sceneTextEl.textContent !== text) sceneTextEl.textContent = text;
+  if (sceneTextEl.title !== detail) sceneTextEl.title = detail;
+}
+
+/* throughput, inference time and drops are separate numbers: a slow model and a busy page look alike in fps alone */
+function updatePerfStats() {
+  if (fpsEl) fpsEl.textContent = fpsSmoothed ? `${Math.round(fpsSmoothed)} fps` : "—";
+  if (inferEl) inferEl.textContent = inferMsSmoothed ? `${Math.round(inferMsSmoothed)} ms` : "—";
+  if (dropEl) dropEl.textContent = `${Math.round(dropSmoothed * 100)}%`;
+}
+
 /* Small UI: add Retry button dynamically when model load fails */
 let retryBtn = null;
 function showRetryModelButton() {
@@ -78,31 +167,68 @@ function showRetryModelButton() {
 }
 
 /* State */
-let model = null;
-let tfLoaded = false;
-let cocoLoaded = false;
+let detector = null;           // active Detectors backend (detectors.js)
 let video = null;
 let detecting = false;
-let muted = false;
+let muted = false;             // set from the profile once the page is wired up
 let rafId = null;
 
+/* Settings of the active profile (settings.js); every change made in the app is saved into it */
+let profile = Settings.active();
+
 /* Throttle & config */
-const FRAME_SKIP = 3;
-let frameCounter = 0;
-const COOLDOWN_MS = 2500;
+// After each detection the next camera frame is taken no sooner than latency × ratio (× the
+// profile's idleScale), so a slow model analyses fewer frames instead of starving speech and the
+// buttons. The worker only shares the CPU/GPU with the page, while the fallback blocks this thread
+// for the whole inference.
+const IDLE_RATIO_WORKER = 0.25;
+const IDLE_RATIO_MAIN = 1.0;
+let inferBusy = false;
+let nextInferAt = 0;
+let lastGood = [];             // boxes of the last analysed frame, redrawn on every camera frame
+let lastItems = [];            // tracked items of that frame, for "mark landmark"
+let lastArrow = null;          // { dir, dist } of the most urgent group
 let lastMessage = "";
 let lastMessageTime = 0;
-const MIN_SCORE = 0.6;
-const DIST_THRESH = { veryClose: 0.08, close: 0.02 };
-
-/* Small scaffolding */
-const SCAFFOLD = {
-  "en-US": { started: "Started detection.", stopped: "Stopped detection.", seeNone: "I don't see any recognizable objects right now.", onYour: "on your", left: "left", right: "right", center: "center", veryClose: "very close", close: "close", far: "far", help: "Try: start, stop, mute, unmute, scene, summary, help." },
-  "hi-IN": { started: "डिटेक्शन शुरू हुआ।", stopped: "डिटेक्शन बंद।", seeNone: "अभी कोई पहचानने योग्य वस्तु नहीं दिख रही।", onYour: "आपके", left: "बाएँ", right: "दाएँ", center: "बीच में", veryClose: "बहुत पास", close: "पास", far: "दूर", help: "कहें: start, stop, mute, unmute, scene, summary, help." },
-  "mr-IN": { started: "डिटेक्शन सुरू.", stopped: "डिटेक्शन बंद.", seeNone: "सध्या ओळखण्यासारखी वस्तू दिसत नाही.", onYour: "आपल्या", left: "डावीकडे", right: "उजवीकडे", center: "मध्यभागी", veryClose: "खूप जवळ", close: "जवळ", far: "दूर", help: "कृपया म्हणा: start, stop, mute, unmute, scene, summary, help." }
-};
+let lastScene = null;          // latest SceneComposer.compose() result, for "scene"/"summary"
+const pipeline = DetectionPipeline.create(pipelineSettings(profile));   // thresholds, tracking and narration (pipeline.js)
+let search = null;             // SearchMode instance while "find the cup" is running
+let crossing = null;           // StreetCrossing instance while the user is at a street crossing
+let routeRec = null;           // Routes recorder while a helper walks a new route
+let routeGuide = null;         // Routes guide while the user follows a saved one
+
+/* Call a helper: detections go to the helper's page at most this often, their arrows stay up this long */
+const ASSIST_SEND_MS = 200;
+const ASSIST_ARROW_MS = 3000;
+let assist = null;             // RemoteAssist call while a helper room is open
+let assistRoom = null;
+let assistMic = null;          // our microphone, sent so the helper can hear the user
+let assistSentAt = 0;
+let assistArrow = null;        // { line: { x0, y0, x1, y1 } in 0..1, until } drawn by the helper
+let assistAnswer = null;       // settles "let the helper who joined see the camera?"
 
-function t(key) { const l = langSelect.value || "en-US"; return (SCAFFOLD[l] && SCAFFOLD[l][key]) || SCAFFOLD["en-US"][key]; }
+/* Feedback channel: "speech", "tones" or "both" (audio-cues.js) */
+let feedbackMode = profile.feedback;
+function speechOn() { return feedbackMode !== "tones"; }
+function tonesOn() { return feedbackMode !== "speech"; }
+
+/* Depth sensing: runs next to the detector (in its worker when there is one) */
+let depthOn = false;
+let pageDepth = null;          // DepthEstimator for the main-thread fallback
+
+/* Identity recognition state (face-id.js runs on its own, slower cadence) */
+let faceRecogOn = false;
+let faceBusy = false;
+let faceMatches = [];          // last FaceId.recognize() result
+let faceMatchesTime = 0;
+const FACE_INTERVAL_MS = 700;
+const FACE_STALE_MS = 2000;
+
+/* Localized strings live in locales/*.js (see i18n.js) */
+function lang() { return langSelect.value || I18n.FALLBACK; }
+function t(key) { return I18n.t(lang(), key); }
+/* t() with {placeholder} substitution */
+function tf(key, vars = {}) { return I18n.t(lang(), key, vars); }
 
 /* --- Dynamic loader helpers --- */
 function loadScriptUrl(url) {
@@ -117,59 +243,22 @@ function loadScriptUrl(url) {
   });
 }
 
-/* Try load TFJS from candidates one by one */
-async function ensureTfjs() {
-  if (tfLoaded) { console.log("[loader] tf already loaded"); return; }
-  const errors = [];
-  for (const u of TFJS_CANDIDATES) {
-    try {
-      await loadScriptUrl(u);
-      // quick presence test
-      if (window.tf) {
-        tfLoaded = true;
-        console.log("[loader] tf present after loading", u);
-        return;
-      } else {
-        console.warn("[loader] script loaded but window.tf not present for", u);
-        errors.push(`No window.tf after loading ${u}`);
-      }
-    } catch (err) {
-      console.warn("[loader] tf attempt failed:", u, err);
-      errors.push(err.message || String(err));
-    }
-  }
-  throw new Error("tfjs load failed: " + errors.join(" | "));
-}
-
-/* Try load coco-ssd (note: coco-ssd is a module that registers itself when loaded) */
-async function ensureCoco() {
-  if (cocoLoaded && window.cocoSsd) { console.log("[loader] coco present"); return; }
-  const errors = [];
-  for (const u of COCO_CANDIDATES) {
+/* Full load sequence; worker: false keeps the model on this thread */
+async function loadTfAndModel({ worker = Detectors.workerSupported } = {}) {
+  statusEl.textContent = "Loading tfjs + model (please wait)...";
+  console.group("[loader] starting load sequence");
+  if (worker) {
     try {
-      await loadScriptUrl(u);
-      // Wait a tick for the module to register
-      await new Promise(r => setTimeout(r, 300));
-      if (window.cocoSsd && typeof window.cocoSsd.load === "function") {
-        cocoLoaded = true;
-        console.log("[loader] coco-ssd present after loading", u);
-        return;
-      } else {
-        console.warn("[loader] script loaded but window.cocoSsd not present for", u);
-        errors.push(`No window.cocoSsd after loading ${u}`);
-      }
+      const next = Detectors.createInWorker(modelSelect.value);
+      statusEl.textContent = "Downloading model weights (this can take a few seconds)...";
+      await next.load();
+      console.groupEnd();
+      return useDetector(next);
     } catch (err) {
-      console.warn("[loader] coco attempt failed:", u, err);
-      errors.push(err.message || String(err));
+      // e.g. no WebGL in workers on this browser: same models, on this thread
+      console.warn("[loader] worker detector failed, falling back to the page:", err);
     }
   }
-  throw new Error("coco-ssd load failed: " + errors.join(" | "));
-}
-
-/* Full load sequence */
-async function loadTfAndModel() {
-  statusEl.textContent = "Loading tfjs + model (please wait)...";
-  console.group("[loader] starting load sequence");
   try {
     await ensureTfjs();
     console.log("[loader] tfjs ready:", !!window.tf);
@@ -181,31 +270,16 @@ async function loadTfAndModel() {
     throw err;
   }
 
+  // Load the chosen detector backend; the previous one stays active until this succeeds
   try {
-    await ensureCoco();
-    console.log("[loader] coco-ssd available:", !!window.cocoSsd);
-  } catch (err) {
-    console.error("[loader] coco-ssd error:", err);
-    statusEl.textContent = `Failed to load coco-ssd: ${err.message}. Check console.`;
-    showRetryModelButton();
-    console.groupEnd();
-    throw err;
-  }
-
-  // Load the actual model via cocoSsd.load with chosen base
-  try {
-    const choice = modelSelect.value === "lite" ? { base: "lite_mobilenet_v2" } : { base: "mobilenet_v2" };
+    const next = Detectors.create(modelSelect.value);
     statusEl.textContent = "Downloading model weights (this can take a few seconds)...";
-    console.log("[loader] calling cocoSsd.load with", choice);
-    model = await window.cocoSsd.load(choice);
-    statusEl.textContent = "Model loaded. Click Start.";
-    // Update model name UI if available
-    if (modelNameEl) modelNameEl.textContent = modelSelect.value;
-    console.log("[loader] cocoSsd model loaded:", model);
+    console.log("[loader] loading detector", next.id);
+    await next.load();
     console.groupEnd();
-    return model;
+    return useDetector(next);
   } catch (err) {
-    console.error("[loader] cocoSsd.load failed:", err);
+    console.error("[loader] detector load failed:", err);
     statusEl.textContent = `Model load failed: ${err.message}. Check console (network/CORS).`;
     showRetryModelButton();
     console.groupEnd();
@@ -213,47 +287,214 @@ async function loadTfAndModel() {
   }
 }
 
-/* --- Camera setup (same as before but with clear logs) --- */
+/* make a loaded backend the active one */
+function useDetector(next) {
+  detector = next;
+  SceneComposer.registerHazards(detector.hazards);
+  Object.entries(detector.translations || {}).forEach(([code, names]) => I18n.addLabels(code, names));
+  fillSearchClasses();
+  statusEl.textContent = "Model loaded. Click Start.";
+  // Update model name UI if available
+  if (modelNameEl) modelNameEl.textContent = detector.name;
+  console.log("[loader] detector loaded:", detector.id, detector.inWorker ? "(worker)" : "(page)");
+  // a fresh worker starts without the depth model
+  if (depthOn) applyDepth().catch(err => console.warn("[depth] re-enable failed:", err));
+  return detector;
+}
+
+/* bring the depth model in line with depthOn for the active detector */
+async function applyDepth() {
+  if (detector && detector.inWorker) {
+    await detector.setDepth(depthOn);
+    if (pageDepth) { pageDepth.dispose(); pageDepth = null; }
+    return;
+  }
+  if (depthOn && !pageDepth) {
+    await ensureTfjs();
+    const next = DepthEstimator.create();
+    await next.load();
+    pageDepth = next;
+  } else if (!depthOn && pageDepth) {
+    pageDepth.dispose();
+    pageDepth = null;
+  }
+}
+
+/* --- Camera (camera.js): one stream, kept alive and reacquired when it dies --- */
+const CAMERA_PROBLEMS = {
+  insecure: "camInsecure", unsupported: "camUnsupported", denied: "camDenied", notFound: "camNotFound",
+  busy: "camBusy", overconstrained: "camOverconstrained", error: "camError"
+};
+
+function cameraProblem(code) { return t(CAMERA_PROBLEMS[code] || "camError"); }
+
 async function setupCamera() {
   try {
-    video = document.createElement("video");
-    video.setAttribute("playsinline", "");
     statusEl.textContent = "Requesting camera permission...";
-    const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
-    video.srcObject = stream;
-    await video.play();
-    canvas.width = video.videoWidth || 640;
-    canvas.height = video.videoHeight || 480;
+    video = await CameraManager.open();
+    fitCanvas();
     statusEl.textContent = "Camera ready.";
-    console.log("[camera] stream started", stream);
+    fillCameras();
+    setTorchButton();
     return video;
   } catch (err) {
-    console.error("[camera] getUserMedia failed:", err);
-    if (err && (err.name === "NotAllowedError" || err.name === "SecurityError")) {
-      statusEl.textContent = "Camera permission denied. Allow camera in site settings, then refresh.";
-    } else if (err && (err.name === "NotFoundError" || err.name === "OverconstrainedError")) {
-      statusEl.textContent = "No camera found or constraints unsatisfiable. Try connecting a camera.";
-    } else {
-      statusEl.textContent = `Camera error: ${err.message || err}. See console.`;
-    }
+    console.error("[camera] could not open:", err);
+    const problem = cameraProblem(CameraManager.reason(err));
+    statusEl.textContent = problem;
+    speak(problem, { force: true });
     throw err;
   }
 }
 
-/* --- Basic detection logic (keeps top-object speak) --- */
-function computeGuidance(bbox) {
-  const [x,y,w,h] = bbox;
-  const cx = x + w/2;
-  const cxRatio = cx / canvas.width;
-  let dir = "center";
-  if (cxRatio < 0.33) dir = "left"; else if (cxRatio > 0.66) dir = "right";
-  const frameArea = canvas.width * canvas.height;
-  const areaRatio = (w*h) / frameArea;
-  let dist = "far";
-  if (areaRatio >= DIST_THRESH.veryClose) dist = "veryClose";
-  else if (areaRatio >= DIST_THRESH.close) dist = "close";
-  return { dir, dist, areaRatio };
+/* the canvas follows the video's size, which changes with the preset or another camera */
+function fitCanvas() {
+  const w = video.videoWidth || 640, h = video.videoHeight || 480;
+  if (canvas.width === w && canvas.height === h) return;
+  canvas.width = w;
+  canvas.height = h;
+  // boxes and tracks of the old size no longer line up
+  lastGood = [];
+  lastItems = [];
+  pipeline.reset();
+}
+
+/* the stream ended or went silent: analysing the last picture again would describe a frozen world */
+function onCameraState(state, detail) {
+  if (state === "lost") {
+    cancelFrame();
+    lastGood = [];
+    lastItems = [];
+    lastArrow = null;
+    AudioCues.update([]);
+    statusEl.textContent = t("camLost");
+    speak(t("camLost"), { force: true, priority: "danger", key: "camera" });
+  } else if (state === "restored") {
+    if (assist) assist.replaceTrack(detail).catch(err => console.warn("[assist] camera not replaced in the call:", err));
+    statusEl.textContent = "Detecting objects...";
+    speak(t("camRestored"), { force: true, key: "camera" });
+    cancelFrame();
+    scheduleFrame();
+  } else if (state === "failed") {
+    if (detecting) stopDetection();
+    else releaseCamera();
+    const message = tf("camFailed", { reason: cameraProblem(detail) });
+    statusEl.textContent = message;
+    speak(message, { force: true, key: "camera" });
+  }
+}
+
+function cameraName(cam) { return cam.label || tf("camNumber", { n: cam.index + 1 }); }
+
+async function fillCameras() {
+  if (!cameraSelect) return;
+  const cams = await CameraManager.devices().catch(() => []);
+  cameraSelect.innerHTML = "";
+  const auto = document.createElement("option");
+  auto.value = "";
+  auto.textContent = "Back camera (default)";
+  cameraSelect.appendChild(auto);
+  cams.forEach(cam => {
+    // ids are empty until camera access was allowed; the choice is only offered after that
+    if (!cam.deviceId) return;
+    const opt = document.createElement("option");
+    opt.value = cam.deviceId;
+    opt.textContent = cameraName(cam);
+    cameraSelect.appendChild(opt);
+  });
+  const chosen = localStorage.getItem(CAMERA_DEVICE_KEY);
+  cameraSelect.value = cams.some(c => c.deviceId === chosen) ? chosen : "";
+}
+
+function setTorchButton() {
+  if (!torchBtn) return;
+  const info = CameraManager.info();
+  torchBtn.disabled = !info || info.torch === null;
+  torchBtn.classList.toggle("recording", !!(info && info.torch));
+}
+
+async function useCamera(deviceId, name) {
+  try {
+    await CameraManager.use(deviceId);
+    if (video) fitCanvas();
+    setTorchButton();
+    if (name) speak(tf("camUsing", { name }), { force: true });
+  } catch (err) {
+    console.error("[camera] switch failed:", err);
+    speak(cameraProblem(CameraManager.reason(err)), { force: true });
+  }
+  fillCameras();
+}
+
+/* "switch camera": the next one in the device's list */
+async function nextCamera() {
+  const cams = (await CameraManager.devices().catch(() => [])).filter(c => c.deviceId);
+  if (cams.length < 2) { speak(t("camOnlyOne"), { force: true }); return; }
+  const at = cams.findIndex(c => c.deviceId === CameraManager.current());
+  const cam = cams[(at + 1) % cams.length];
+  useCamera(cam.deviceId, cameraName(cam));
+}
+
+function setCameraPreset(name, { announce = true } = {}) {
+  if (!CAMERA_PRESETS[name]) return;
+  saveSettings({ cameraPreset: name });
+  if (cameraPresetSelect) cameraPresetSelect.value = name;
+  CameraManager.setPreset(name)
+    .then(() => { if (video && video === CameraManager.video()) fitCanvas(); })
+    .catch(err => {
+      console.error("[camera] preset failed:", err);
+      speak(cameraProblem(CameraManager.reason(err)), { force: true });
+    });
+  if (announce) speak(t("camPreset" + name[0].toUpperCase() + name.slice(1)), { force: true });
 }
+
+async function setTorch(on) {
+  try {
+    if (!CameraManager.isOpen() || !await CameraManager.setTorch(on)) { speak(t("camNoTorch"), { force: true }); return; }
+  } catch (err) {
+    console.error("[camera] torch failed:", err);
+    speak(t("camNoTorch"), { force: true });
+    return;
+  }
+  setTorchButton();
+  speak(t(on ? "camTorchOn" : "camTorchOff"), { force: true });
+}
+
+/* the old camera_test.html, in the app and out loud */
+async function testCamera() {
+  speak(t("camTestRunning"), { force: true });
+  const checks = await CameraManager.selfTest();
+  if (cameraChecksEl) {
+    cameraChecksEl.innerHTML = "";
+    checks.forEach(({ id, ok, detail }) => {
+      const li = document.createElement("li");
+      li.className = ok === false ? "fail" : ok ? "ok" : "";
+      const shown = detail && typeof detail === "object" ? `${detail.width}×${detail.height}${detail.frameRate ? ` @ ${detail.frameRate} fps` : ""}` : detail;
+      li.textContent = `${ok === false ? "✗" : ok ? "✓" : "•"} ${id}${shown != null ? `: ${shown}` : ""}`;
+      cameraChecksEl.appendChild(li);
+    });
+  }
+  const failed = checks.find(c => c.ok === false);
+  if (failed) {
+    const problem = {
+      secure: () => t("camInsecure"), api: () => t("camUnsupported"), permission: () => t("camDenied"),
+      // the detail is a count, or a reason code when the cameras could not be listed
+      devices: () => (typeof failed.detail === "string" ? cameraProblem(failed.detail) : t("camNotFound")),
+      stream: () => cameraProblem(failed.detail),
+      frames: () => t("camCheckFrames"), picture: () => t("camCheckPicture")
+    }[failed.id]();
+    speak(tf("camTestFailed", { problem }), { force: true });
+  } else {
+    const info = checks.find(c => c.id === "stream").detail;
+    const cams = await CameraManager.devices().catch(() => []);
+    const cam = cams.find(c => c.deviceId === info.deviceId) || { label: info.label, index: 0 };
+    const fps = info.frameRate ? ` ${tf("camFps", { fps: info.frameRate })}` : "";
+    speak(tf("camTestPassed", { name: cameraName(cam), width: info.width, height: info.height }) + fps, { force: true });
+  }
+  fillCameras();
+  setTorchButton();
+}
+
+/* --- Basic detection logic (keeps top-object speak) --- */
 function drawLabel(text,x,y){
   ctx.font = "16px sans-serif";
   const pad = 6;
@@ -270,6 +511,20 @@ function drawArrow(ctx,x,y,size,dir){
   else { ctx.moveTo(x,y-size/2); ctx.lineTo(x-size/2,y+size/2); ctx.lineTo(x+size/2,y+size/2); ctx.closePath(); }
   ctx.fill();
 }
+/* the helper's drag on their view of our camera (caregiver.js), same coordinates scaled to the canvas */
+function drawHelperArrow(line){
+  const x0 = line.x0*canvas.width, y0 = line.y0*canvas.height, x1 = line.x1*canvas.width, y1 = line.y1*canvas.height;
+  const a = Math.atan2(y1-y0, x1-x0), head = 22;
+  ctx.save();
+  ctx.strokeStyle = ctx.fillStyle = "#22d3ee";
+  ctx.lineWidth = 6; ctx.lineCap = "round";
+  ctx.beginPath(); ctx.moveTo(x0,y0); ctx.lineTo(x1,y1); ctx.stroke();
+  ctx.beginPath(); ctx.moveTo(x1,y1);
+  ctx.lineTo(x1-head*Math.cos(a-0.5), y1-head*Math.sin(a-0.5));
+  ctx.lineTo(x1-head*Math.cos(a+0.5), y1-head*Math.sin(a+0.5));
+  ctx.closePath(); ctx.fill();
+  ctx.restore();
+}
 function drawAR(dir,dist){
   const cw = canvas.width, ch = canvas.height, y = ch - 64, size = 36;
   let color = "#10b981"; if (dist==="close") color = "#f59e0b"; if (dist==="veryClose") color = "#ef4444";
@@ -280,100 +535,1155 @@ function drawAR(dir,dist){
   ctx.restore();
 }
 
-/* speak helper */
-function speak(text) {
-  if (!text || muted) return;
+/* the walking corridor of crossing mode, so a sighted helper can see what counts as "in your path" */
+function drawCorridor(){
+  const cw = canvas.width, ch = canvas.height;
+  ctx.save();
+  ctx.strokeStyle = "rgba(250,204,21,0.8)"; ctx.lineWidth = 2; ctx.setLineDash([10, 8]);
+  [0.5 - CROSSING_CORRIDOR_HALF, 0.5 + CROSSING_CORRIDOR_HALF].forEach(f => {
+    ctx.beginPath(); ctx.moveTo(cw*f, 0); ctx.lineTo(cw*f, ch); ctx.stroke();
+  });
+  ctx.restore();
+}
+
+/**
+ * speak helper — queued by priority (speech.js): "danger" > "navigation" > "system" > "info".
+ * Scene narration is info, answers to the user are system. force skips the repeat cooldown,
+ * key lets a newer sentence replace a queued one, onEnd runs once the sentence was heard in full,
+ * onDrop when the queue gives it up unheard.
+ */
+function speak(text, { force = false, priority = "system", key = null, onEnd = null, onDrop = null } = {}) {
+  if (!text) return;
   const now = Date.now();
-  if (text === lastMessage && now - lastMessageTime < COOLDOWN_MS) return;
-  if (window.speechSynthesis.speaking) window.speechSynthesis.cancel();
-  const u = new SpeechSynthesisUtterance(text);
-  u.lang = langSelect.value || "en-US";
-  u.pitch = parseFloat(voicePitchEl.value) || 1;
-  window.speechSynthesis.speak(u);
+  if (!force && text === lastMessage && now - lastMessageTime < profile.cooldownMs) return;
+  if (muted) {
+    if (!SpeechQueue.allows(priority)) return;
+    lastMessage = text;
+    lastMessageTime = now;
+    announce(text, priority);
+    return;
+  }
+  const queued = SpeechQueue.say(text, {
+    priority, key, onEnd, onDrop, lang: lang(), voice: currentVoice(),
+    pitch: parseFloat(voicePitchEl.value) || 1,
+    rate: parseFloat(voiceRateEl.value) || 1
+  });
+  if (!queued) return;
   lastMessage = text;
   lastMessageTime = now;
-  statusEl.textContent = `Last: ${text}`;
+  SessionRecorder.event("speak", { text, priority });
   // update Last Message UI immediately
   updateStats({ message: text });
 }
 
-/* detection loop */
-async function detectLoop() {
+/* muted, the app still talks through the screen reader: warnings interrupt, the rest waits its turn */
+function announce(text, priority = "system") {
+  const region = priority === "danger" ? srAlertEl : srPoliteEl;
+  if (!region) return;
+  // emptied first, so the same sentence twice is read twice
+  region.textContent = "";
+  setTimeout(() => { region.textContent = text; }, 50);
+}
+
+/* --- Frame loop: draw every camera frame, analyse the ones the detector has time for --- */
+let frameHandle = null;
+
+function scheduleFrame() {
+  if (!detecting || !video) return;
+  // requestVideoFrameCallback fires once per camera frame, which is what "dropped" counts
+  if (video.requestVideoFrameCallback) frameHandle = video.requestVideoFrameCallback(onFrame);
+  else rafId = requestAnimationFrame(onFrame);
+}
+
+function cancelFrame() {
+  if (frameHandle !== null && video && video.cancelVideoFrameCallback) video.cancelVideoFrameCallback(frameHandle);
+  if (rafId) cancelAnimationFrame(rafId);
+  frameHandle = null;
+  rafId = null;
+}
+
+function onFrame() {
   if (!detecting) return;
-  frameCounter = (frameCounter + 1) % FRAME_SKIP;
-  if (frameCounter !== 0) { rafId = requestAnimationFrame(detectLoop); return; }
+  drawFrame();
+  const now = performance.now();
+  const dropped = inferBusy || now < nextInferAt;
+  dropSmoothed = smooth(dropSmoothed, dropped ? 1 : 0);
+  if (!dropped) detectFrame(now);
+  scheduleFrame();
+}
 
+/* camera image plus the overlay of the last analysed frame */
+function drawFrame() {
+  if (reading && reading.frozen) return;   // the captured page stays on screen while it is read
+  if (video.videoWidth !== canvas.width || video.videoHeight !== canvas.height) fitCanvas();
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  lastGood.forEach(p => {
+    const [x,y,w,h] = p.bbox;
+    ctx.strokeStyle = p.identity ? "#a78bfa" : "#34d399";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x,y,w,h);
+    drawLabel(`${p.identity || p.class} ${p.metres != null ? `${p.metres} m` : `${(p.score*100).toFixed(0)}%`}`, x, y);
+  });
+  if (crossing) drawCorridor();
+  if (lastArrow) drawAR(lastArrow.dir, lastArrow.dist);
+  if (assistArrow && performance.now() < assistArrow.until) drawHelperArrow(assistArrow.line);
+}
+
+/* one detection pass; never more than one in flight */
+async function detectFrame(startedAt) {
+  inferBusy = true;
+  const active = detector;
+  // crossing mode reads light colours from the picture the boxes were found in, not a later one
+  const frame = crossing ? snapshotFrame() : null;
   try {
-    const preds = await model.detect(video);
-    // compute FPS instantaneous & smooth it
+    let preds = await active.detect(frame || video);
+    if (pageDepth && !active.inWorker) preds = await pageDepth.annotate(frame || video, preds);
+    if (!detecting) return;
     const nowTime = performance.now();
+    const latency = nowTime - startedAt;
+    inferMsSmoothed = smooth(inferMsSmoothed, latency);
+    nextInferAt = nowTime + latency * (active.inWorker ? IDLE_RATIO_WORKER : IDLE_RATIO_MAIN) * profile.idleScale;
+    // compute FPS instantaneous & smooth it
     const dt = nowTime - lastFrameTime;
     lastFrameTime = nowTime;
-    const instFPS = dt > 0 ? 1000 / dt : 0;
-    fpsSmoothed = fpsSmoothed ? (fpsSmoothed * (1 - FPS_ALPHA) + instFPS * FPS_ALPHA) : instFPS;
-
-    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-    const good = preds.filter(p => p.score >= MIN_SCORE);
-    good.forEach(p => {
-      const [x,y,w,h] = p.bbox;
-      ctx.strokeStyle = "#34d399";
-      ctx.lineWidth = 2;
-      ctx.strokeRect(x,y,w,h);
-      drawLabel(`${p.class} ${(p.score*100).toFixed(0)}%`, x, y);
-    });
+    if (dt > 0) fpsSmoothed = smooth(fpsSmoothed, 1000 / dt);
+    updatePerfStats();
+    handleDetections(preds, frame);
+  } catch (err) {
+    if (active.crashed && active === detector) {
+      // no new pass starts until the page has its own copy of the model
+      await fallBackToPage(err);
+      return;
+    }
+    console.error("[detection] runtime error:", err);
+    statusEl.textContent = `Detection runtime error: ${err.message || err}. See console.`;
+    stopDetection();
+  } finally {
+    inferBusy = false;
+  }
+}
 
-    let top = null;
-    for (const p of good) {
-      const g = computeGuidance(p.bbox);
-      if (!top || g.areaRatio > top.areaRatio) {
-        top = { p, g };
-        top.areaRatio = g.areaRatio;
-      }
+/* the inference worker died mid-session: say so, and carry on with the same model on this thread */
+async function fallBackToPage(err) {
+  console.error("[detection] worker crashed, falling back to the page:", err);
+  const msg = t("detectorCrashed");
+  statusEl.textContent = msg;
+  speak(msg, { force: true });
+  try {
+    await loadTfAndModel({ worker: false });
+    if (detecting) statusEl.textContent = "Detecting objects...";
+  } catch (loadErr) {
+    // loadTfAndModel has said what failed and offered a retry
+    stopDetection();
+  }
+}
+
+/* guidance, tones and speech for one analysed frame (boxes are drawn by drawFrame) */
+function handleDetections(preds, frame = null) {
+  // an ignored class must not hide traffic from the "safe to cross?" answer
+  const good = pipeline.select(preds, { searchTarget: search && search.target, keep: crossing ? CROSSING_TRAFFIC : [] });
+  if (faceRecogOn) {
+    scheduleFaceRecognition(good);
+    applyIdentities(good);
+  }
+  lastGood = good;
+
+  // while searching or crossing, their cues replace the scene narration; while reading, nothing talks over the text
+  const narrate = speechOn() && !search && !crossing && !reading;
+  const { items, scene, spoken, spokenIds, spokenAt, alert } = pipeline.step(good, { width: canvas.width, height: canvas.height, lang: lang(), narrate });
+  lastScene = scene;
+  lastItems = items;
+  SessionRecorder.frame({
+    w: canvas.width, h: canvas.height, preds, narrate, search: search && search.target, spoken, items
+  });
+  sendAssistDetections(items, scene);
+
+  if (scene.top) {
+    showScene(scene.short, scene.detailed);
+    lastArrow = { dir: scene.top.dir, dist: scene.top.dist };
+
+    if (tonesOn()) {
+      AudioCues.update(items.map(it => ({
+        id: it.trackId, dir: it.dir, dist: it.dist, motion: it.motion,
+        hazard: SceneComposer.hazardOf(it.cls, it.dir, it.dist, it.named, it.motion === "approaching")
+      })));
     }
 
-    if (top) {
-      const sentence = (langSelect.value === "en-US")
-        ? `${top.p.class} on your ${top.g.dir}, ${top.g.dist === "veryClose" ? "very close" : top.g.dist === "close" ? "close" : "far"}.`
-        : `${top.p.class} ${t("onYour")} ${top.g.dir}, ${top.g.dist}.`;
+    // update stats: message and confidence of the most urgent group
+    updateStats({ message: spoken || scene.short, confidence: scene.top.score || 0 });
+
+    // a very close, approaching or blocking object pre-empts whatever is being said
+    // what the queue gives up unheard is news again on the next frame
+    if (spoken) speak(spoken, { priority: alert ? "danger" : "info", key: "scene", onDrop: () => pipeline.unannounce(spokenIds, spokenAt) });
+  } else {
+    lastArrow = null;
+    AudioCues.update([]);
+    showScene(search ? tf("searchStart", { thing: I18n.noun(lang(), search.target) }) : t("seeNone"));
+    updateStats({ message: t("seeNone"), confidence: null });
+  }
+
+  if (search) handleSearchCue(search.update(items));
+  if (crossing) handleCrossingCues(crossing.update(items, readLights(preds, frame), { width: canvas.width, now: performance.now() }));
+  if (routeRec) announceLandmark(routeRec.update(items, performance.now(), Pedometer.count()));
+  if (routeGuide) handleRouteCue(routeGuide.update(items, performance.now(), Pedometer.count()));
+}
+
+/* --- Identity verification helpers --- */
+
+/* kick off a face pass in the background; the frame loop never waits for it */
+function scheduleFaceRecognition(good) {
+  if (faceBusy || !video || !FaceId.isLoaded()) return;
+  if (!good.some(p => p.class === "person")) return;
+  const now = performance.now();
+  if (now - faceMatchesTime < FACE_INTERVAL_MS) return;
+  faceBusy = true;
+  FaceId.recognize(video)
+    .then(res => { faceMatches = res; faceMatchesTime = performance.now(); })
+    .catch(err => console.warn("[face] recognize failed:", err))
+    .finally(() => { faceBusy = false; });
+}
+
+/* tag person predictions with the name of a known face whose centre lies inside the box */
+function applyIdentities(good) {
+  if (performance.now() - faceMatchesTime > FACE_STALE_MS) return;
+  const known = faceMatches.filter(f => f.name);
+  for (const p of good) {
+    if (p.class !== "person") continue;
+    const [x,y,w,h] = p.bbox;
+    const f = known.find(m => {
+      const fx = m.box[0] + m.box[2]/2, fy = m.box[1] + m.box[3]/2;
+      return fx >= x && fx <= x + w && fy >= y && fy <= y + h;
+    });
+    if (f) p.identity = f.name;
+  }
+}
+
+function renderFaceList() {
+  if (!faceListEl) return;
+  faceListEl.innerHTML = "";
+  const people = FaceId.list();
+  if (!people.length) {
+    const li = document.createElement("li");
+    li.className = "face-empty";
+    li.textContent = t("noPeople");
+    faceListEl.appendChild(li);
+    return;
+  }
+  people.forEach(person => {
+    const li = document.createElement("li");
+    li.className = "face-item";
+    const name = document.createElement("span");
+    name.className = "face-name";
+    name.textContent = `${person.name} (${person.samples})`;
+    const renameBtn = document.createElement("button");
+    renameBtn.className = "btn btn-sm";
+    renameBtn.textContent = "Rename";
+    renameBtn.setAttribute("aria-label", `Rename ${person.name}`);
+    renameBtn.addEventListener("click", () => {
+      const next = prompt(`New name for ${person.name}:`, person.name);
+      if (next && next.trim() && next.trim() !== person.name) renamePerson(person.name, next.trim());
+    });
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "btn btn-sm";
+    deleteBtn.textContent = "Delete";
+    deleteBtn.setAttribute("aria-label", `Delete ${person.name}`);
+    deleteBtn.addEventListener("click", () => {
+      if (confirm(`Delete ${person.name} and all stored face samples?`)) deletePerson(person.name);
+    });
+    li.append(name, renameBtn, deleteBtn);
+    faceListEl.appendChild(li);
+  });
+}
+
+async function setFaceRecognition(on) {
+  if (!on) {
+    faceRecogOn = false;
+    faceMatches = [];
+    if (faceRecogToggle) faceRecogToggle.checked = false;
+    speak(t("faceOff"));
+    return;
+  }
+  statusEl.textContent = t("faceLoading");
+  try {
+    await FaceId.ensureLoaded();
+    faceRecogOn = true;
+    if (faceRecogToggle) faceRecogToggle.checked = true;
+    renderFaceList();
+    statusEl.textContent = t("faceReady");
+    speak(t("faceReady"));
+  } catch (err) {
+    console.error("[face] load failed:", err);
+    faceRecogOn = false;
+    if (faceRecogToggle) faceRecogToggle.checked = false;
+    statusEl.textContent = `${t("faceFailed")} ${err.message || err}`;
+    speak(t("faceFailed"));
+  }
+}
+
+/* announce: false when a profile brings the setting along (page load); a failure is still said */
+async function setDepthSensing(on, { announce = true } = {}) {
+  depthOn = on;
+  if (depthToggle) depthToggle.checked = on;
+  saveSettings({ depth: on });
+  if (!on) {
+    await applyDepth().catch(err => console.warn("[depth] disable failed:", err));
+    if (announce) speak(t("depthOff"));
+    return;
+  }
+  statusEl.textContent = t("depthLoading");
+  try {
+    // without a detector yet, useDetector() applies it once the model is in
+    if (detector) await applyDepth();
+    statusEl.textContent = t("depthReady");
+    if (announce) speak(t("depthReady"));
+  } catch (err) {
+    console.error("[depth] load failed:", err);
+    depthOn = false;
+    if (depthToggle) depthToggle.checked = false;
+    saveSettings({ depth: false });
+    statusEl.textContent = `${t("depthFailed")} ${err.message || err}`;
+    speak(t("depthFailed"));
+  }
+}
+
+async function enrollPerson(name) {
+  const label = (name || "").trim();
+  if (!label) { statusEl.textContent = "Type a name to enroll."; return; }
+  if (enrollBtn) enrollBtn.disabled = true;
+  try {
+    if (!video) await setupCamera();
+    speak(tf("enrolling", { name: label }));
+    statusEl.textContent = t("faceLoading");
+    const person = await FaceId.enroll(label, video, (got, total) => {
+      statusEl.textContent = `Enrolling ${label}: ${got}/${total} frames`;
+    });
+    renderFaceList();
+    statusEl.textContent = tf("enrolled", { name: person.name });
+    speak(tf("enrolled", { name: person.name }));
+    if (enrollNameEl) enrollNameEl.value = "";
+  } catch (err) {
+    console.error("[face] enroll failed:", err);
+    const msg = tf("enrollFailed", { reason: err.message || String(err) });
+    statusEl.textContent = msg;
+    speak(msg);
+  } finally {
+    if (enrollBtn) enrollBtn.disabled = false;
+  }
+}
+
+async function renamePerson(name, newName) {
+  const person = FaceId.findByName(name);
+  if (!person) { speak(tf("notFound", { name })); return; }
+  try {
+    await FaceId.rename(person.id, newName);
+    renderFaceList();
+    speak(tf("renamed", { name: person.name, newName }));
+  } catch (err) {
+    console.error("[face] rename failed:", err);
+    statusEl.textContent = `Rename failed: ${err.message || err}`;
+  }
+}
+
+async function deletePerson(name) {
+  const person = FaceId.findByName(name);
+  if (!person) { speak(tf("notFound", { name })); return; }
+  try {
+    await FaceId.remove(person.id);
+    renderFaceList();
+    speak(tf("deleted", { name: person.name }));
+  } catch (err) {
+    console.error("[face] delete failed:", err);
+    statusEl.textContent = `Delete failed: ${err.message || err}`;
+  }
+}
+
+function announcePeople() {
+  const names = FaceId.list().map(p => p.name);
+  speak(names.length ? tf("peopleList", { names: names.join(", ") }) : t("noPeople"));
+}
+
+/* one-off "who is this?" — works even while detection is stopped */
+async function identifyNow() {
+  try {
+    await FaceId.ensureLoaded();
+    if (!video) await setupCamera();
+    const res = await FaceId.recognize(video);
+    const names = [...new Set(res.filter(f => f.name).map(f => f.name))];
+    speak(names.length ? tf("youSee", { names: names.join(", ") }) : t("nobodyKnown"));
+  } catch (err) {
+    console.error("[face] identify failed:", err);
+    speak(t("faceFailed"));
+  }
+}
+
+/* --- Settings and queries reachable by voice --- */
+
+function setMuted(on, { announce = true } = {}) {
+  // confirm before going quiet; nothing else queued is said
+  if (on) SpeechQueue.clear();
+  if (on && announce) speak(t("muted"), { force: true });
+  muted = on;
+  // only the label changes; the icon stays
+  muteBtn.querySelector("span").textContent = muted ? "Unmute" : "Mute";
+  muteBtn.setAttribute("aria-pressed", String(muted));
+  AudioCues.setMuted(muted);
+  saveSettings({ muted });
+  if (!muted && announce) speak(t("unmuted"), { force: true });
+}
+
+function setLanguage(spoken) {
+  const code = I18n.findLanguage(spoken);
+  if (!code) { speak(tf("unknownLanguage", { name: spoken }), { force: true }); return; }
+  langSelect.value = code;
+  langSelect.dispatchEvent(new Event("change"));
+  speak(tf("languageSet", { name: I18n.get(code).name }), { force: true });
+}
+
+function modelLabel() {
+  const opt = modelSelect.options[modelSelect.selectedIndex];
+  return opt ? opt.textContent.replace(/\s*\(.*\)$/, "") : modelSelect.value;
+}
+
+/* load the selected model next to the current one and swap when ready */
+async function switchModel(value) {
+  if (value) modelSelect.value = value;
+  saveSettings({ model: modelSelect.value });
+  const name = modelLabel();
+  const old = detector;
+  speak(tf("modelLoading", { name }), { force: true });
+  try {
+    await loadTfAndModel();
+    // a detect() may still be running on the old backend; free it a little later
+    if (old && old !== detector) setTimeout(() => old.dispose(), 1000);
+    speak(tf("modelSet", { name }), { force: true });
+  } catch (err) {
+    console.error("[model] switch failed:", err);
+    speak(tf("modelFailed", { name }), { force: true });
+  }
+}
+
+/* clamp to the slider's own range and step, then confirm out loud */
+function setSlider(el, value, key) {
+  const min = parseFloat(el.min), max = parseFloat(el.max), step = parseFloat(el.step) || 0.1;
+  const v = Math.min(max, Math.max(min, Math.round(value / step) * step));
+  el.value = v.toFixed(1);
+  el.dispatchEvent(new Event("input"));
+  speak(tf(key, { value: el.value }), { force: true });
+}
+
+function repeatLast() {
+  if (!lastMessage) { speak(t("nothingRepeat"), { force: true }); return; }
+  speak(lastMessage, { force: true });
+}
+
+/* "what's on my left" — everything from the latest frame on one side */
+function describeSide(dir) {
+  const where = t(dir === "left" ? "whereLeft" : dir === "right" ? "whereRight" : "whereCenter");
+  const groups = lastScene ? lastScene.groups.filter(g => g.dir === dir) : [];
+  if (!detecting || !groups.length) { speak(tf("nothingOn", { where }), { force: true }); return; }
+  speak(groups.map(g => I18n.phrase(lang(), g)).join(" "), { force: true });
+}
+
+/* "find the cup" — starts search mode for that class */
+function findThing(spoken) {
+  const cls = I18n.findClass(lang(), spoken);
+  if (!cls) { speak(tf("unknownThing", { thing: spoken }), { force: true }); return; }
+  startSearch(cls);
+}
+
+/* --- Profiles (settings.js): named sets of everything above --- */
+
+function pipelineSettings(p) {
+  return { minScore: p.minScore, distThresh: p.distThresh, distThreshM: p.distThreshM, ignored: p.ignored, verbosity: p.verbosity };
+}
+
+function saveSettings(changes) {
+  profile = Settings.update(changes);
+}
+
+/* built-in profiles are named in the current language, the user's own as they were saved */
+function profileName(id, p = profile) {
+  const shipped = Object.hasOwn(BUILTIN_PROFILES, id) && (BUILTIN_PROFILES[id].name || SETTINGS_DEFAULTS.name) === p.name;
+  return shipped ? t("profile" + id[0].toUpperCase() + id.slice(1)) : p.name;
+}
+
+function fillProfiles() {
+  if (!profileSelect) return;
+  profileSelect.innerHTML = "";
+  Settings.list().forEach(({ id, name }) => {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = profileName(id, { name });
+    profileSelect.appendChild(opt);
+  });
+  profileSelect.value = profile.id;
+}
+
+/* put every control and subsystem in line with the profile; nothing is spoken unless announce */
+function applyProfile(p, { announce = false } = {}) {
+  profile = p;
+  if (I18n.has(p.lang) && langSelect.value !== p.lang) {
+    langSelect.value = p.lang;
+    langSelect.dispatchEvent(new Event("change"));
+  }
+  voicePitchEl.value = p.pitch;
+  voiceRateEl.value = p.rate;
+  if (p.muted !== muted) setMuted(p.muted, { announce: false });
+  setFeedbackMode(p.feedback);
+  pipeline.configure(pipelineSettings(p));
+  SpeechQueue.setVerbosity(p.verbosity);
+  if (verbositySelect) verbositySelect.value = p.verbosity;
+  fillVoices();
+  if (minScoreEl) { minScoreEl.value = p.minScore; showMinScore(p.minScore); }
+  if (p.depth !== depthOn) setDepthSensing(p.depth, { announce });
+  setCameraPreset(p.cameraPreset, { announce: false });
+  if (p.model !== modelSelect.value && [...modelSelect.options].some(o => o.value === p.model)) {
+    if (detector) switchModel(p.model);
+    else modelSelect.value = p.model;
+  }
+  fillProfiles();
+  if (announce) speak(tf("profileSet", { name: profileName(p.id) }), { force: true });
+}
+
+/* narration detail (pipeline.js) and which speech classes are heard at all (speech.js) */
+function setVerbosity(level, { announce = true } = {}) {
+  if (!DetectionPipeline.VERBOSITY.includes(level)) return;
+  saveSettings({ verbosity: level });
+  pipeline.configure({ verbosity: level });
+  SpeechQueue.setVerbosity(level);
+  if (verbositySelect) verbositySelect.value = level;
+  if (announce) speak(t("verbosity" + level[0].toUpperCase() + level.slice(1)), { force: true });
+}
+
+/* the profile's voice when it speaks the current language, the browser's choice otherwise */
+function currentVoice() {
+  return profile.voice && SpeechQueue.voices(lang()).some(v => v.voiceURI === profile.voice) ? profile.voice : null;
+}
+
+function fillVoices() {
+  if (!voiceSelect) return;
+  voiceSelect.innerHTML = "";
+  const auto = document.createElement("option");
+  auto.value = "";
+  auto.textContent = "Default";
+  voiceSelect.appendChild(auto);
+  SpeechQueue.voices(lang()).forEach(v => {
+    const opt = document.createElement("option");
+    opt.value = v.voiceURI;
+    opt.textContent = `${v.name} (${v.lang})`;
+    voiceSelect.appendChild(opt);
+  });
+  voiceSelect.value = currentVoice() || "";
+}
+
+/* "next voice": steps through the voices of the current language */
+function nextVoice() {
+  const list = SpeechQueue.voices(lang());
+  if (!list.length) { speak(t("noVoices"), { force: true }); return; }
+  const at = list.findIndex(v => v.voiceURI === currentVoice());
+  const voice = list[(at + 1) % list.length];
+  saveSettings({ voice: voice.voiceURI });
+  if (voiceSelect) voiceSelect.value = voice.voiceURI;
+  speak(tf("voiceSet", { name: voice.name }), { force: true });
+}
+
+/* "street profile" */
+function useProfile(spoken) {
+  const id = Settings.find(spoken, (pid, p) => [profileName(pid, p)]);
+  if (!id) { speak(tf("profileUnknown", { name: spoken }), { force: true }); return; }
+  applyProfile(Settings.use(id), { announce: true });
+}
+
+function announceProfiles() {
+  const names = Settings.list().map(({ id, name }) => profileName(id, { name }));
+  speak(tf("profileList", { names: names.join(", "), name: profileName(profile.id) }), { force: true });
+}
+
+function saveProfileAs(name) {
+  if (!name || !name.trim()) return;
+  try {
+    profile = Settings.saveAs(name);
+  } catch (err) {
+    statusEl.textContent = err.message;
+    return;
+  }
+  fillProfiles();
+  speak(tf("profileSaved", { name: profile.name }), { force: true });
+}
+
+/* own profiles are deleted, built-in ones go back to their shipped settings */
+function deleteProfile(id) {
+  const builtin = Object.hasOwn(BUILTIN_PROFILES, id);
+  const name = profileName(id, Settings.list().find(p => p.id === id) || profile);
+  if (!Settings.remove(id)) return;
+  applyProfile(Settings.active());
+  speak(tf(builtin ? "profileReset" : "profileDeleted", { name }), { force: true });
+}
+
+function exportProfiles() {
+  const blob = new Blob([Settings.exportJson()], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "navigation-profiles.json";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+async function importProfiles(file) {
+  if (!file) return;
+  try {
+    const ids = Settings.importJson(await file.text());
+    // an imported copy of the active profile takes effect right away
+    applyProfile(ids.includes(profile.id) ? Settings.active() : profile);
+    const names = ids.map(id => profileName(id, Settings.list().find(p => p.id === id)));
+    speak(tf("profileImported", { names: names.join(", ") }), { force: true });
+  } catch (err) {
+    console.error("[settings] import failed:", err);
+    statusEl.textContent = err.message;
+    speak(tf("profileImportFailed", { reason: err.message }), { force: true });
+  }
+}
+
+function showMinScore(v) { if (minScoreValEl) minScoreValEl.textContent = Number(v).toFixed(2); }
+
+/* --- Search ("find object") mode --- */
+
+function fillSearchClasses() {
+  if (!searchClassSelect) return;
+  const current = searchClassSelect.value;
+  const classes = detector ? detector.labels() : Detectors.COCO_LABELS;
+  const named = classes.map(cls => ({ cls, name: I18n.noun(lang(), cls) })).sort((a, b) => a.name.localeCompare(b.name));
+  searchClassSelect.innerHTML = "";
+  named.forEach(({ cls, name }) => {
+    const opt = document.createElement("option");
+    opt.value = cls;
+    opt.textContent = name;
+    searchClassSelect.appendChild(opt);
+  });
+  searchClassSelect.value = classes.includes(current) ? current : classes.includes("cup") ? "cup" : classes[0];
+}
+
+async function startSearch(cls) {
+  // search hides every other class, traffic included
+  stopCrossing({ announce: false });
+  search = SearchMode.create(cls);
+  pipeline.reset();
+  if (searchClassSelect) searchClassSelect.value = cls;
+  if (searchStopBtn) searchStopBtn.disabled = false;
+  speak(tf("searchStart", { thing: I18n.noun(lang(), cls) }), { force: true });
+  if (!detecting) await startDetection();
+}
+
+function stopSearch({ announce = true } = {}) {
+  if (!search) return;
+  search = null;
+  pipeline.reset();
+  if (searchStopBtn) searchStopBtn.disabled = true;
+  if (announce) speak(t("searchStopped"), { force: true });
+}
 
-      sceneTextEl.textContent = sentence;
-      drawAR(top.g.dir, top.g.dist);
+/* turn a SearchMode cue into speech (and a buzz when found) */
+function handleSearchCue(cue) {
+  if (!cue) return;
+  const thing = I18n.noun(lang(), search.target);
+  if (cue.kind === "pan") { if (speechOn()) speak(tf("panSlowly", { thing }), { force: true, priority: "navigation", key: "search" }); return; }
+  if (cue.kind === "found") {
+    speak(tf("found", { thing }), { force: true, priority: "navigation", key: "search" });
+    if (navigator.vibrate) navigator.vibrate([100, 50, 100, 50, 300]);
+    stopSearch({ announce: false });
+    return;
+  }
+  const key = cue.dir === "left" ? "steerLeft" : cue.dir === "right" ? "steerRight" : "steerAhead";
+  const text = tf(key, { thing, dist: I18n.distance(lang(), cue.dist, cue.metres) });
+  showScene(text);
+  // in tones-only mode the beeps already steer; only "found" is spoken
+  if (speechOn()) speak(text, { force: true, priority: "navigation", key: "search" });
+}
 
-      // update stats: message, smooth FPS, and confidence
-      const conf = top.p.score || 0;
-      updateStats({ message: sentence, fps: fpsSmoothed, confidence: conf });
+/* --- Street crossing (crossing.js): the light's colour and the traffic in front of the user --- */
+const LIGHT_SAMPLE_PX = 48;          // a traffic light's box is scaled down to this many pixels on its longer side
+const LIGHT_COLOURS = { red: "lightRed", amber: "lightAmber", green: "lightGreen" };
+const CROSSING_ANSWERS = {
+  green: "crossingSafeYes", red: "crossingSafeRed", amber: "crossingSafeAmber", vehicle: "crossingSafeVehicle",
+  approaching: "crossingSafeApproaching", noLight: "crossingSafeNoLight", unsteady: "crossingSafeUnsteady", tooSoon: "crossingSafeTooSoon"
+};
+const CROSSING_TRAFFIC = [...StreetCrossing.VEHICLES, "traffic light"];   // seen in crossing mode even when ignored
+let lightCanvas = null;
+let lightFrame = null;
 
-      speak(sentence);
+/* a still of the camera picture to detect on, so the boxes and the pixels readLights() crops match */
+function snapshotFrame() {
+  if (!lightFrame) lightFrame = document.createElement("canvas");
+  if (lightFrame.width !== video.videoWidth || lightFrame.height !== video.videoHeight) {
+    lightFrame.width = video.videoWidth;
+    lightFrame.height = video.videoHeight;
+  }
+  lightFrame.getContext("2d").drawImage(video, 0, 0);
+  return lightFrame;
+}
+
+/* colour of every traffic light box, read from the frame that was detected on (snapshotFrame()) rather
+   than the live video, which has moved on by the inference time, or the canvas with its overlay */
+function readLights(preds, frame) {
+  const boxes = preds.filter(p => p.class === "traffic light" && p.score >= profile.minScore);
+  if (!boxes.length || !frame || !frame.width) return [];
+  if (!lightCanvas) lightCanvas = document.createElement("canvas");
+  const lctx = lightCanvas.getContext("2d", { willReadFrequently: true });
+  // boxes are in canvas pixels, which are the video's (fitCanvas)
+  return boxes.map(p => {
+    const [x, y, w, h] = p.bbox;
+    const scale = Math.min(1, LIGHT_SAMPLE_PX / Math.max(w, h));
+    const cw = Math.max(1, Math.round(w * scale)), ch = Math.max(1, Math.round(h * scale));
+    lightCanvas.width = cw;
+    lightCanvas.height = ch;
+    lctx.drawImage(frame, x, y, w, h, 0, 0, cw, ch);
+    return { bbox: p.bbox, ...StreetCrossing.classifyLight(lctx.getImageData(0, 0, cw, ch)) };
+  });
+}
+
+function showCrossing(on) {
+  if (!crossingBtn) return;
+  crossingBtn.setAttribute("aria-pressed", String(on));
+  crossingBtn.classList.toggle("recording", on);
+}
+
+async function startCrossing() {
+  if (crossing) return;
+  stopSearch({ announce: false });
+  crossing = StreetCrossing.create();
+  pipeline.reset();
+  showCrossing(true);
+  speak(t("crossingOn"), { force: true });
+  SessionRecorder.event("crossing", { state: "on" });
+  if (!detecting) await startDetection();
+}
+
+function stopCrossing({ announce = true } = {}) {
+  if (!crossing) return;
+  crossing = null;
+  pipeline.reset();
+  showCrossing(false);
+  SessionRecorder.event("crossing", { state: "off" });
+  if (announce) speak(t("crossingOff"), { force: true });
+}
+
+function crossingThing(it) { return I18n.noun(lang(), it.cls); }
+
+/* traffic is a warning; the light and "clear" are guidance */
+function handleCrossingCues(cues) {
+  cues.forEach((cue, i) => {
+    // tones already warn about the traffic; the light has no tone
+    if (!speechOn() && cue.kind !== "light") return;
+    let text;
+    let priority = "danger";
+    if (cue.kind === "blocked") text = tf("crossingBlocked", { thing: crossingThing(cue.item) });
+    else if (cue.kind === "vehicle") {
+      text = tf(cue.approaching ? "crossingVehicleComing" : "crossingVehicle", {
+        thing: crossingThing(cue.item), dist: I18n.distance(lang(), cue.item.dist, cue.item.metres)
+      });
+    } else if (cue.kind === "approaching") {
+      text = tf(cue.item.dir === "left" ? "crossingComingLeft" : "crossingComingRight", { thing: crossingThing(cue.item) });
+    } else if (cue.kind === "light") {
+      text = tf("crossingLight", { colour: t(LIGHT_COLOURS[cue.state]) });
+      priority = "navigation";
     } else {
-      sceneTextEl.textContent = t("seeNone");
-      updateStats({ message: t("seeNone"), fps: fpsSmoothed, confidence: null });
+      text = t("crossingClear");
+      priority = "navigation";
     }
+    if (i === 0) showScene(text);
+    speak(text, { force: true, priority, key: `crossing-${cue.kind}` });
+  });
+}
+
+/* "safe to cross?": only a yes on strong evidence (crossing.js); asked outside crossing mode, it starts it */
+async function askCrossing() {
+  if (!crossing) {
+    await startCrossing();
+    speak(t("crossingAskAgain"), { force: true });
+    return;
+  }
+  const { verdict, why } = crossing.safety();
+  SessionRecorder.event("crossing", { verdict, why });
+  // asked for, so said even in silent mode
+  const priority = verdict === "no" && SpeechQueue.allows("danger") ? "danger" : "system";
+  speak(t(CROSSING_ANSWERS[why]), { force: true, priority, key: "crossing-answer" });
+}
+
+async function askLight() {
+  if (!crossing) {
+    await startCrossing();
+    speak(t("crossingAskAgain"), { force: true });
+    return;
+  }
+  const colour = crossing.light();
+  speak(colour === "unknown" ? t("crossingNoLight") : tf("crossingLight", { colour: t(LIGHT_COLOURS[colour]) }), { force: true });
+}
+
+/* --- Routes (routes.js): record a walk's landmarks once, be guided along them later --- */
+
+function fillRoutes() {
+  if (!routeSelect) return;
+  const current = routeSelect.value;
+  const routes = Routes.list();
+  routeSelect.innerHTML = "";
+  routes.forEach(({ id, name, landmarks }) => {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = `${name} (${landmarks})`;
+    routeSelect.appendChild(opt);
+  });
+  if (routes.some(r => r.id === current)) routeSelect.value = current;
+  setRouteButtons();
+}
+
+function setRouteButtons() {
+  if (routeRecordBtn) { routeRecordBtn.classList.toggle("recording", !!routeRec); routeRecordBtn.textContent = routeRec ? "Save route" : "Record route"; }
+  if (routeMarkBtn) routeMarkBtn.disabled = !routeRec;
+  if (routeNoteBtn) routeNoteBtn.disabled = !routeRec;
+  if (routeGuideBtn) routeGuideBtn.disabled = !Routes.list().length;
+  if (routeDeleteBtn) routeDeleteBtn.disabled = !Routes.list().length;
+  if (routeStopBtn) routeStopBtn.disabled = !routeGuide;
+}
+
+/* "chair on your right" */
+function routeWhere(landmark) {
+  const thing = I18n.noun(lang(), landmark.cls);
+  return tf(landmark.dir === "left" ? "routeLeft" : landmark.dir === "right" ? "routeRight" : "routeAhead", { thing });
+}
+
+async function startRouteRecording(name) {
+  name = titleCase(String(name || "").trim());
+  if (!name) return;
+  // the motion permission prompt (iOS) needs the tap that got us here, so ask before anything is awaited
+  // a guide or recording already running gives up its own use of the pedometer only after ours began
+  const steps = Pedometer.start();
+  stopRouteGuide({ announce: false });
+  if (routeRec) { routeRec = null; Pedometer.stop(); }
+  stopSearch({ announce: false });
+  if (!detecting) await startDetection();
+  if (!detecting) { Pedometer.stop(); return; }
+  if (!await steps) console.log("[routes] no step counter; landmarks are recorded without distances");
+  routeRec = Routes.createRecorder(name, Pedometer.count());
+  setRouteButtons();
+  SessionRecorder.event("route", { action: "record", name });
+  speak(tf("routeRecording", { name }), { force: true });
+}
+
+async function saveRoute() {
+  if (!routeRec) { speak(t("routeNotRecording"), { force: true }); return; }
+  const route = routeRec.route();
+  routeRec = null;
+  Pedometer.stop();
+  setRouteButtons();
+  if (!route.landmarks.length) { speak(t("routeEmpty"), { force: true }); return; }
+  try {
+    await Routes.save(route);
   } catch (err) {
-    console.error("[detection] runtime error:", err);
-    statusEl.textContent = `Detection runtime error: ${err.message || err}. See console.`;
-    stopDetection();
+    console.error("[routes] could not save:", err);
+    statusEl.textContent = `Route not saved: ${err.message || err}`;
+    return;
+  }
+  fillRoutes();
+  SessionRecorder.event("route", { action: "save", name: route.name, landmarks: route.landmarks.length });
+  speak(tf("routeSaved", { name: route.name, n: route.landmarks.length }), { force: true });
+}
+
+function announceLandmark(landmark) {
+  if (!landmark) return;
+  speak(tf("routeLandmark", { n: routeRec.count(), where: routeWhere(landmark) }), { force: true, priority: "navigation", key: "route" });
+}
+
+/* the helper's "mark landmark": whatever fixed object is nearest right now */
+function markLandmark() {
+  if (!routeRec) { speak(t("routeNotRecording"), { force: true }); return; }
+  const landmark = routeRec.mark(lastItems, performance.now(), Pedometer.count());
+  if (!landmark) { speak(t("routeNothingToMark"), { force: true }); return; }
+  announceLandmark(landmark);
+}
+
+function addRouteNote(text) {
+  if (!routeRec) { speak(t("routeNotRecording"), { force: true }); return; }
+  if (!String(text || "").trim()) return;
+  routeRec.note(text);
+  speak(t("routeNoteAdded"), { force: true });
+}
+
+function announceRoutes() {
+  const names = Routes.list().map(r => r.name);
+  speak(names.length ? tf("routeList", { names: names.join(", ") }) : t("routeNone"), { force: true });
+}
+
+async function startRouteGuide(route) {
+  if (!route) return;
+  const steps = Pedometer.start();
+  stopRouteGuide({ announce: false });
+  if (routeRec) await saveRoute();
+  stopSearch({ announce: false });
+  if (!detecting) await startDetection();
+  if (!detecting) { Pedometer.stop(); return; }
+  await steps;
+  routeGuide = Routes.createGuide(route, performance.now(), Pedometer.count());
+  if (routeSelect) routeSelect.value = route.id;
+  setRouteButtons();
+  SessionRecorder.event("route", { action: "guide", name: route.name });
+  speak(tf("routeGuideStart", { name: route.name }) + (route.startNote ? ` ${route.startNote}` : ""), { force: true });
+}
+
+function guideAlong(spoken) {
+  const route = Routes.find(spoken);
+  if (!route) { speak(tf("routeUnknown", { name: spoken }), { force: true }); return; }
+  startRouteGuide(route);
+}
+
+function stopRouteGuide({ announce = true } = {}) {
+  if (!routeGuide) return;
+  routeGuide = null;
+  Pedometer.stop();
+  setRouteButtons();
+  if (announce) speak(t("routeStopped"), { force: true });
+}
+
+function deleteRoute(route) {
+  if (!route) return;
+  confirmThen(tf("confirmDelete", { name: route.name }), async () => {
+    if (routeGuide && routeGuide.route.id === route.id) stopRouteGuide({ announce: false });
+    try {
+      await Routes.remove(route.id);
+    } catch (err) {
+      console.error("[routes] could not delete:", err);
+      return;
+    }
+    fillRoutes();
+    speak(tf("routeDeleted", { name: route.name }), { force: true });
+  });
+}
+
+/* turn a guide cue into speech; a reached landmark is never replaced by the next "next" */
+function handleRouteCue(cue) {
+  if (!cue) return;
+  const name = routeGuide.route.name;
+  if (cue.kind === "next") {
+    const where = routeWhere(cue.landmark);
+    const text = cue.landmark.steps ? tf("routeNextSteps", { where, steps: cue.landmark.steps }) : tf("routeNext", { where });
+    showScene(text);
+    speak(text, { force: true, priority: "navigation", key: "route" });
+  } else if (cue.kind === "reached") {
+    let text = tf("routeReached", { thing: titleCase(I18n.noun(lang(), cue.landmark.cls)) });
+    if (cue.landmark.note) text += ` ${cue.landmark.note}`;
+    if (cue.last) text += ` ${tf("routeArrived", { name })}`;
+    if (navigator.vibrate) navigator.vibrate(cue.last ? [100, 50, 100, 50, 300] : [150]);
+    speak(text, { force: true, priority: "navigation" });
+    SessionRecorder.event("route", { action: "reached", index: cue.index });
+    if (cue.last) stopRouteGuide({ announce: false });
+  } else if (cue.kind === "passed") {
+    speak(tf("routePassed", { thing: I18n.noun(lang(), cue.landmark.cls) }), { force: true, priority: "navigation", key: "route" });
+  } else if (cue.kind === "arrived") {
+    speak(tf("routeArrived", { name }), { force: true });
+    stopRouteGuide({ announce: false });
+  }
+}
+
+/* --- Reading mode (ocr.js): aim at text, freeze a frame, read it aloud --- */
+const READ_AIM_INTERVAL_MS = 700;
+const READ_CUE_GAP_MS = 3500;        // repeat unchanged aiming advice this often
+const READ_NO_TEXT_MS = 4000;        // "no text in view" only after this long without any
+const READ_MIN_SIZE = 0.1;           // text area (share of the frame) big enough to capture
+const READ_STEADY_CHECKS = 3;        // big enough this many checks in a row -> capture
+let reading = null;                  // { phase: "aim" | "recognizing" | "speaking", frozen, ownCamera, timer, ... }
+let readToken = 0;                   // bumped to cut a read-aloud chain short
+let lastReadText = "";
+
+function ocrLang() { return I18n.get(lang()).ocrLang || "eng"; }
+
+function setReadButtons() {
+  if (readNowBtn) readNowBtn.disabled = !reading || reading.phase !== "aim";
+  if (readStopBtn) readStopBtn.disabled = !reading;
+  if (readAgainBtn) readAgainBtn.disabled = !lastReadText;
+}
+
+/* "read this": guide the camera onto text; saying it again while aiming captures at once */
+async function startReading() {
+  if (reading && reading.phase === "aim") { captureText(); return; }
+  stopReading({ announce: false });
+  const now = performance.now();
+  reading = { phase: "aim", frozen: false, ownCamera: false, timer: null, steady: 0, seenAt: now, lastCue: "", lastCueTime: 0 };
+  setReadButtons();
+  speak(t("readingStart"), { force: true });
+  try {
+    if (!video) { await setupCamera(); reading.ownCamera = true; }
+    statusEl.textContent = t("readingLoading");
+    await TextReader.ensureLoaded(ocrLang());
+  } catch (err) {
+    console.error("[ocr] start failed:", err);
+    statusEl.textContent = `${t("readingFailed")} ${err.message || err}`;
+    speak(t("readingFailed"), { force: true });
+    stopReading({ announce: false });
     return;
   }
+  if (!reading || reading.phase !== "aim") return;
+  statusEl.textContent = t("readingStart");
+  reading.timer = setInterval(aimForText, READ_AIM_INTERVAL_MS);
+}
+
+function textWhere(spot) {
+  if (spot.v === "middle" && spot.h === "center") return t("textCentre");
+  const v = { top: "textTop", middle: "textMiddle", bottom: "textBottom" }[spot.v];
+  const h = { left: "textLeft", center: "textCenter", right: "textRight" }[spot.h];
+  return tf("textWhere", { v: t(v), h: t(h) });
+}
+
+/* one aiming step: where the text is and whether to move closer; capture once it is steady */
+function aimForText() {
+  if (!reading || reading.phase !== "aim" || !video) return;
+  if (!detecting) ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  const spot = TextReader.findText(video);
+  const now = performance.now();
+  let cue;
+  if (!spot) {
+    reading.steady = 0;
+    if (now - reading.seenAt < READ_NO_TEXT_MS) return;
+    cue = t("noText");
+  } else {
+    reading.seenAt = now;
+    if (spot.size >= READ_MIN_SIZE) {
+      if (++reading.steady >= READ_STEADY_CHECKS) { captureText(); return; }
+      cue = t("holdStill");
+    } else {
+      reading.steady = 0;
+      cue = `${tf("textAt", { where: textWhere(spot) })} ${t("moveCloser")}`;
+    }
+  }
+  showScene(cue);
+  if (cue === reading.lastCue && now - reading.lastCueTime < READ_CUE_GAP_MS) return;
+  reading.lastCue = cue;
+  reading.lastCueTime = now;
+  speak(cue, { force: true, priority: "navigation", key: "read" });
+}
+
+/* freeze the current frame and run full recognition on it */
+async function captureText() {
+  if (!reading || reading.phase !== "aim" || !video) return;
+  clearInterval(reading.timer);
+  reading.phase = "recognizing";
+  const still = document.createElement("canvas");
+  still.width = video.videoWidth || canvas.width;
+  still.height = video.videoHeight || canvas.height;
+  still.getContext("2d").drawImage(video, 0, 0, still.width, still.height);
+  ctx.drawImage(still, 0, 0, canvas.width, canvas.height);
+  reading.frozen = true;
+  setReadButtons();
+  speak(t("readingNow"), { force: true });
+  try {
+    await TextReader.ensureLoaded(ocrLang());
+    const result = await TextReader.recognize(still);
+    if (!reading || reading.phase !== "recognizing") return;
+    console.log("[ocr] read", result.lines.length, "lines, confidence", result.confidence);
+    if (!result.text) {
+      // back to aiming for another try
+      speak(t("nothingRead"), { force: true });
+      Object.assign(reading, { phase: "aim", frozen: false, steady: 0, seenAt: performance.now() });
+      reading.timer = setInterval(aimForText, READ_AIM_INTERVAL_MS);
+      setReadButtons();
+      return;
+    }
+    lastReadText = result.text;
+    readAloud(result.text);
+  } catch (err) {
+    console.error("[ocr] recognize failed:", err);
+    speak(t("readingFailed"), { force: true });
+    stopReading({ announce: false });
+  }
+}
+
+/* speak line by line so "stop reading" (or any other speech) can cut in between */
+function readAloud(text) {
+  if (!reading) reading = { phase: "speaking", frozen: false, ownCamera: false, timer: null };
+  reading.phase = "speaking";
+  setReadButtons();
+  showScene(text);
+  const chunks = text.split(/\n+|(?<=[.!?।])\s+/).map(c => c.trim()).filter(Boolean);
+  const token = ++readToken;
+  let i = 0;
+  const next = () => {
+    if (token !== readToken) return;
+    if (i >= chunks.length) { stopReading({ announce: false, cancel: false }); return; }
+    speak(chunks[i++], { force: true, onEnd: next });
+  };
+  next();
+}
+
+function readAgain() {
+  if (!lastReadText) { speak(t("nothingReadYet"), { force: true }); return; }
+  stopReading({ announce: false });
+  readAloud(lastReadText);
+}
+
+function stopReading({ announce = true, cancel = true } = {}) {
+  readToken++;
+  if (!reading) return;
+  clearInterval(reading.timer);
+  const ownCamera = reading.ownCamera;
+  reading = null;
+  setReadButtons();
+  if (ownCamera && !detecting) releaseCamera();
+  // drops the rest of the text; warnings and steering queued meanwhile stay
+  if (cancel) SpeechQueue.clear({ below: "navigation" });
+  if (announce) speak(t("readingStopped"), { force: true });
+}
+
+function setHandsFree(on) {
+  if (!VoiceCommands.supported()) { speak(t("voiceUnsupported"), { force: true }); return; }
+  VoiceCommands.setHandsFree(on);
+  if (handsFreeToggle) handsFreeToggle.checked = on;
+  speak(on ? tf("handsFreeOn", { wake: I18n.wakeWords(lang())[0] }) : t("handsFreeOff"), { force: true });
+}
 
-  rafId = requestAnimationFrame(detectLoop);
+/* destructive voice commands ask first; the answer is heard by VoiceCommands */
+function confirmThen(prompt, action) {
+  VoiceCommands.confirm(action, () => speak(t("cancelled"), { force: true }));
+  speak(prompt, {
+    force: true,
+    onEnd: () => { if (!VoiceCommands.isHandsFree()) VoiceCommands.listen(); }
+  });
 }
 
+/* detailed narration of the latest frame, for the "scene" and "summary" commands */
+function describeScene() {
+  if (!detecting || !lastScene || !lastScene.top) { speak(t("seeNone")); return; }
+  speak(lastScene.detailed);
+}
+
+/* voice names arrive lower-cased: "ravi kumar" -> "Ravi Kumar" */
+function titleCase(s) { return s.replace(/\b\p{L}/gu, c => c.toUpperCase()); }
+
 /* start/stop */
 async function startDetection() {
   if (detecting) return;
   statusEl.textContent = "Starting...";
+  // the AudioContext has to be created inside this click/voice gesture
+  if (tonesOn()) AudioCues.init();
   try {
     // load model if not present
-    if (!model) {
+    if (!detector) {
       await loadTfAndModel();
     }
     if (!video) {
       await setupCamera();
     }
+    // a camera opened for reading now belongs to detection
+    if (reading) reading.ownCamera = false;
     detecting = true;
+    pipeline.reset();
+    inferBusy = false;
+    nextInferAt = 0;
+    fpsSmoothed = inferMsSmoothed = dropSmoothed = 0;
+    lastFrameTime = performance.now();
     statusEl.textContent = "Detecting objects...";
     speak(t("started"));
-    detectLoop();
+    scheduleFrame();
   } catch (err) {
     console.error("[startDetection] failed:", err);
     // user-friendly hints
@@ -388,65 +1698,692 @@ async function startDetection() {
 }
 function stopDetection() {
   detecting = false;
+  if (SessionRecorder.isRecording()) stopRecording();
+  endAssist({ announce: false });   // the call shares this camera
+  stopSearch({ announce: false });
+  stopCrossing({ announce: false });
+  stopRouteGuide({ announce: false });
+  if (routeRec) saveRoute();
   statusEl.textContent = "Stopped.";
-  if (rafId) { cancelAnimationFrame(rafId); rafId = null; }
-  if (video && video.srcObject) {
-    try { const tracks = video.srcObject.getTracks(); tracks.forEach(t => t.stop()); } catch (e) { console.warn("[stop] stop tracks", e); }
+  cancelFrame();
+  lastGood = [];
+  lastItems = [];
+  lastArrow = null;
+  AudioCues.stop();
+  stopReading({ announce: false });
+  releaseCamera();
+  SpeechQueue.clear();
+  speak(t("stopped"));
+}
+
+/* the camera stays open a little while (camera.js) so a restart needs no new permission prompt */
+function releaseCamera({ keep = true } = {}) {
+  if (video && video === CameraManager.video()) {
+    CameraManager.release({ now: !keep });
+    setTorchButton();
+  }
+  if (video && video.src.startsWith("blob:")) {
+    video.pause();
+    URL.revokeObjectURL(video.src);
   }
-  if (window.speechSynthesis && window.speechSynthesis.speaking) window.speechSynthesis.cancel();
   video = null;
   ctx.clearRect(0,0,canvas.width,canvas.height);
-  speak(t("stopped"));
 }
 
-/* simple t() wrapper */
-function t(key) { const l = langSelect.value || "en-US"; return (SCAFFOLD[l] && SCAFFOLD[l][key]) || SCAFFOLD["en-US"][key]; }
+/* --- Session recording and replay (recorder.js) --- */
+
+/* frames, predictions, guidance and speech of this session; the camera is recorded as video alongside */
+async function startRecording() {
+  if (SessionRecorder.isRecording()) return;
+  if (!detecting) await startDetection();
+  if (!detecting) return;
+  SessionRecorder.start({
+    lang: lang(),
+    model: detector ? detector.id : null,
+    config: pipeline.config(),
+    source: video.srcObject ? "camera" : `replay:${video.dataset.file}`
+  }, video.srcObject);
+  if (recordBtn) { recordBtn.classList.add("recording"); recordBtn.querySelector("span").textContent = "Stop recording"; }
+  speak(t("recordingOn"), { force: true });
+}
+
+async function stopRecording() {
+  if (recordBtn) { recordBtn.classList.remove("recording"); recordBtn.querySelector("span").textContent = "Record"; }
+  const result = await SessionRecorder.stop();
+  if (!result) return;
+  const name = SessionRecorder.download(result);
+  console.log(`[recorder] saved ${name} (${result.session.frames.length} frames)`);
+  speak(t("recordingSaved"), { force: true });
+}
+
+/* a video file stands in for the camera; everything after detect() runs as it does live */
+async function startReplay(file) {
+  if (!file) return;
+  if (detecting) stopDetection();
+  releaseCamera({ keep: false });
+  const replay = document.createElement("video");
+  replay.setAttribute("playsinline", "");
+  replay.muted = true;
+  replay.dataset.file = file.name;
+  replay.src = URL.createObjectURL(file);
+  replay.addEventListener("ended", () => {
+    if (video !== replay) return;
+    stopDetection();
+    speak(t("replayEnded"), { force: true });
+  });
+  try {
+    await replay.play();
+  } catch (err) {
+    console.error("[replay] cannot play", file.name, err);
+    URL.revokeObjectURL(replay.src);
+    statusEl.textContent = `Replay failed: ${err.message || err}`;
+    return;
+  }
+  video = replay;
+  fitCanvas();
+  console.log("[replay] playing", file.name);
+  await startDetection();
+  speak(tf("replayStart", { name: file.name }), { force: true });
+}
+
+/* --- Call a helper (assist.js): camera, voice and detections to a caregiver's page --- */
+const ASSIST_HINTS = { left: "assistLeft", right: "assistRight", ahead: "assistAhead", back: "assistBack", stop: "assistStop" };
+
+/* "482913" -> "4 8 2 9 1 3", so it is read digit by digit */
+function spokenCode(code) { return code.split("").join(" "); }
+
+function showAssist(on) {
+  if (assistBtn) { assistBtn.classList.toggle("recording", on); assistBtn.querySelector("span").textContent = on ? "Hang up" : "Call helper"; }
+  if (assistCodeEl) {
+    assistCodeEl.hidden = !(on && assistRoom);
+    assistCodeEl.textContent = assistRoom || "";
+  }
+}
+
+async function startAssist() {
+  if (assist) {
+    if (assistRoom) speak(tf("assistWaiting", { code: spokenCode(assistRoom) }), { force: true });
+    return;
+  }
+  if (!RemoteAssist.supported()) { speak(tf("assistFailed", { reason: t("assistUnsupported") }), { force: true }); return; }
+  if (!detecting) await startDetection();
+  if (!detecting) return;
+  // a replayed video file is shared as well, through captureStream()
+  const source = video.srcObject || (video.captureStream ? video.captureStream() : null);
+  const stream = new MediaStream(source ? source.getVideoTracks() : []);
+  try {
+    assistMic = await navigator.mediaDevices.getUserMedia({ audio: true });
+    assistMic.getAudioTracks().forEach(track => stream.addTrack(track));
+  } catch (err) {
+    console.warn("[assist] no microphone; the helper can still see and speak:", err);
+  }
+  assist = RemoteAssist.create({
+    role: "user",
+    localStream: stream,
+    approve: askAssistConsent,
+    onState: onAssistState,
+    onMessage: onAssistMessage,
+    onRemoteStream: (remote) => { if (assistAudioEl) assistAudioEl.srcObject = remote; }
+  });
+  showAssist(true);
+  try {
+    await assist.host();
+  } catch (err) {
+    console.error("[assist] could not open a room:", err);
+    clearAssist();
+    speak(tf("assistFailed", { reason: err.message }), { force: true });
+  }
+}
+
+/* whoever entered the code is announced, and sees nothing until the user says yes or presses Share camera */
+function askAssistConsent() {
+  answerAssist(false);
+  return new Promise(resolve => {
+    assistAnswer = resolve;
+    if (assistAskEl) assistAskEl.hidden = false;
+    VoiceCommands.confirm(() => answerAssist(true), () => answerAssist(false));
+    speak(t("assistAsk"), {
+      force: true,
+      onEnd: () => { if (assistAnswer === resolve && !VoiceCommands.isHandsFree()) VoiceCommands.listen(); }
+    });
+  });
+}
+
+function answerAssist(ok) {
+  const answer = assistAnswer;
+  assistAnswer = null;
+  if (assistAskEl) assistAskEl.hidden = true;
+  if (answer) answer(ok);
+}
+
+function clearAssist() {
+  answerAssist(false);
+  if (assistMic) assistMic.getTracks().forEach(track => track.stop());
+  if (assistAudioEl) assistAudioEl.srcObject = null;
+  assist = null;
+  assistRoom = null;
+  assistMic = null;
+  assistArrow = null;
+  showAssist(false);
+}
+
+function endAssist({ announce = true } = {}) {
+  if (!assist) return;
+  const call = assist;
+  clearAssist();
+  call.hangup();
+  SessionRecorder.event("assist", { state: "ended" });
+  if (announce) speak(t("assistEnded"), { force: true });
+}
+
+function onAssistState(state, detail) {
+  if (!assist) return;      // our own hang-up
+  SessionRecorder.event("assist", { state });
+  // the helper who was asked about left, or was answered
+  if (state !== "asking") answerAssist(false);
+  if (state === "waiting") {
+    const key = assistRoom === detail ? "assistHelperLeft" : assistRoom ? "assistNewCode" : "assistWaiting";
+    assistRoom = detail;
+    showAssist(true);
+    speak(tf(key, { code: spokenCode(detail) }), { force: true });
+  } else if (state === "connected") {
+    speak(t("assistConnected"), { force: true });
+  } else if (state === "failed") {
+    speak(tf("assistFailed", { reason: detail }), { force: true });
+  } else if (state === "ended") {
+    clearAssist();
+    speak(t("assistEnded"), { force: true });
+  }
+}
+
+/* the user asked for this helper, so what they say is not held back by the verbosity setting */
+function onAssistMessage(msg) {
+  if (msg.type === "hint" && ASSIST_HINTS[msg.dir]) {
+    speak(t(ASSIST_HINTS[msg.dir]), { force: true, priority: msg.dir === "stop" ? "danger" : "system", key: "assist" });
+    const line = msg.line;
+    if (line && ["x0", "y0", "x1", "y1"].every(k => Number.isFinite(line[k]))) {
+      assistArrow = { line, until: performance.now() + ASSIST_ARROW_MS };
+    }
+    SessionRecorder.event("assist", { hint: msg.dir });
+  } else if (msg.type === "say" && typeof msg.text === "string" && msg.text.trim()) {
+    speak(tf("assistSays", { text: msg.text.trim().slice(0, 200) }), { force: true, key: "assist" });
+  }
+}
+
+/* what the app sees, for the helper's overlay; boxes are in canvas pixels with the canvas size alongside */
+function sendAssistDetections(items, scene) {
+  const now = performance.now();
+  if (!assist || !assist.connected() || now - assistSentAt < ASSIST_SEND_MS) return;
+  assistSentAt = now;
+  assist.send({
+    type: "detections",
+    w: canvas.width, h: canvas.height,
+    scene: scene.top ? scene.short : t("seeNone"),
+    items: items.map(it => ({
+      label: it.label, dist: it.dist, motion: it.motion, metres: it.metres,
+      bbox: it.bbox.map(v => Math.round(v))
+    }))
+  });
+}
+
+/* --- Emergency (sos.js): countdown, then an alert with the position and a picture --- */
+const SOS_SNAPSHOT_WIDTH = 640;
+const SOS_CAMERA_WARMUP_MS = 800;      // a camera opened just for the picture shows black at first
+const SOS_SAY_EVERY_S = 5;             // above the last five seconds, the count is said this often
+
+function showSos(left = null, cancellable = left !== null) {
+  if (sosCancelBtn) {
+    sosCancelBtn.disabled = !cancellable;
+    sosCancelBtn.textContent = left ? `Cancel (${left})` : "Cancel";
+  }
+  if (sosBtn) sosBtn.disabled = left !== null;
+}
+
+/* said as a warning, felt as well, and heard at every verbosity: "silent" still answers the user */
+function onSosState(state, detail, run) {
+  SessionRecorder.event("sos", { state, detail });
+  const urgent = SpeechQueue.allows("danger") ? "danger" : "system";
+  if (state === "countdown") {
+    const key = run.test ? "sosTestCountdown" : run.reason === "fall" ? "sosFall" : "sosCountdown";
+    showSos(detail);
+    statusEl.textContent = tf(key, { n: detail });
+    if (navigator.vibrate) navigator.vibrate(200);
+    if (detail === Sos.settings().countdown) speak(tf(key, { n: detail }), { force: true, priority: urgent, key: "sos" });
+    else if (detail <= SOS_SAY_EVERY_S || detail % SOS_SAY_EVERY_S === 0) {
+      speak(I18n.number(lang(), detail), { force: true, priority: urgent, key: "sos" });
+    }
+    return;
+  }
+  // the buttons stay locked while the alert is on its way; waiting for a tap, nothing has gone yet
+  showSos(state === "sending" || state === "tap" ? 0 : null, state === "tap");
+  const said = { sending: "sosSending", tap: "sosTap", sent: "sosSent", cancelled: "sosCancelled" }[state]
+    || (detail === "notSet" ? "sosNotSet" : "sosFailed");
+  statusEl.textContent = t(said);
+  speak(t(said), { force: true, priority: state === "sent" || state === "cancelled" ? "system" : urgent, key: "sos" });
+}
+
+/* -> true when an SOS was under way: called off, or past calling off, which is said */
+function cancelSos() {
+  if (Sos.cancel()) return true;
+  if (!Sos.active()) return false;
+  speak(t("sosTooLate"), { force: true, key: "sos" });
+  return true;
+}
+
+/* the text that goes out; in the user's language, which is the one their contacts are likely to read */
+function sosMessage(alert) {
+  const parts = [t(alert.test ? "sosMessageTest" : alert.reason === "fall" ? "sosMessageFall" : "sosMessage")];
+  parts.push(alert.position ? tf("sosWhere", { map: alert.mapUrl, m: alert.position.accuracy }) : t("sosNoPosition"));
+  parts.push(new Date(alert.at).toLocaleString(lang()));
+  return parts.join(" ");
+}
+
+/* a JPEG of what the camera sees; opened for a moment when nothing else is using it */
+async function sosSnapshot() {
+  const own = !video;
+  try {
+    const source = own ? await CameraManager.open() : video;
+    if (own) await new Promise(resolve => setTimeout(resolve, SOS_CAMERA_WARMUP_MS));
+    if (!source || !source.videoWidth) return null;
+    const scale = Math.min(1, SOS_SNAPSHOT_WIDTH / source.videoWidth);
+    const shot = document.createElement("canvas");
+    shot.width = Math.round(source.videoWidth * scale);
+    shot.height = Math.round(source.videoHeight * scale);
+    shot.getContext("2d").drawImage(source, 0, 0, shot.width, shot.height);
+    return await new Promise(resolve => shot.toBlob(resolve, "image/jpeg", 0.7));
+  } finally {
+    if (own && !video) CameraManager.release();
+  }
+}
+
+async function setFallDetection(on, { announce = true } = {}) {
+  const ok = await Sos.watchFalls(on);
+  if (on && !ok) {
+    if (fallToggle) fallToggle.checked = false;
+    if (announce) speak(t("fallUnsupported"), { force: true });
+    return;
+  }
+  Sos.configure({ fallDetection: on });
+  if (fallToggle) fallToggle.checked = on;
+  if (announce) speak(t(on ? "fallOn" : "fallOff"), { force: true });
+}
 
 /* button wiring */
 startBtn.addEventListener("click", startDetection);
 stopBtn.addEventListener("click", stopDetection);
-muteBtn.addEventListener("click", () => {
-  muted = !muted;
-  muteBtn.textContent = muted ? "🔈 Unmute" : "🔇 Mute";
-  if (muted && window.speechSynthesis) window.speechSynthesis.cancel();
-  if (!muted) speak(t("started"));
+muteBtn.addEventListener("click", () => setMuted(!muted));
+modelSelect.addEventListener("change", () => switchModel());
+
+/* voice command id (from the locale vocabularies) -> action */
+const VOICE_ACTIONS = {
+  start: () => startDetection(),
+  // "stop!" during an SOS countdown is about the alert
+  stop: () => { if (!cancelSos()) stopDetection(); },
+  scene: () => describeScene(),
+  whoIs: () => identifyNow(),
+  listPeople: () => announcePeople(),
+  speechOnly: () => setFeedbackMode("speech"),
+  tonesOnly: () => setFeedbackMode("tones"),
+  both: () => setFeedbackMode("both"),
+  depthOn: () => setDepthSensing(true),
+  depthOff: () => setDepthSensing(false),
+  faceOn: () => setFaceRecognition(true),
+  faceOff: () => setFaceRecognition(false),
+  enroll: (name) => enrollPerson(titleCase(name)),
+  rename: (name, newName) => renamePerson(name, titleCase(newName)),
+  forget: (name) => {
+    const person = FaceId.findByName(name);
+    if (!person) { speak(tf("notFound", { name }), { force: true }); return; }
+    confirmThen(tf("confirmDelete", { name: person.name }), () => deletePerson(person.name));
+  },
+  mute: () => setMuted(true),
+  unmute: () => setMuted(false),
+  help: () => speak(t("help"), { force: true }),
+  repeat: () => repeatLast(),
+  language: (name) => setLanguage(name),
+  modelLite: () => switchModel("lite"),
+  modelStandard: () => switchModel("standard"),
+  pitchSet: (v) => setSlider(voicePitchEl, parseFloat(v), "pitchSet"),
+  pitchUp: () => setSlider(voicePitchEl, parseFloat(voicePitchEl.value) + 0.1, "pitchSet"),
+  pitchDown: () => setSlider(voicePitchEl, parseFloat(voicePitchEl.value) - 0.1, "pitchSet"),
+  rateSet: (v) => setSlider(voiceRateEl, parseFloat(v), "rateSet"),
+  rateUp: () => setSlider(voiceRateEl, parseFloat(voiceRateEl.value) + 0.2, "rateSet"),
+  rateDown: () => setSlider(voiceRateEl, parseFloat(voiceRateEl.value) - 0.2, "rateSet"),
+  sideLeft: () => describeSide("left"),
+  sideRight: () => describeSide("right"),
+  sideAhead: () => describeSide("center"),
+  find: (thing) => findThing(thing),
+  searchStop: () => stopSearch(),
+  crossingOn: () => startCrossing(),
+  crossingOff: () => stopCrossing(),
+  crossingSafe: () => askCrossing(),
+  crossingLight: () => askLight(),
+  readStop: () => stopReading(),
+  readAgain: () => readAgain(),
+  readNow: () => (reading ? captureText() : startReading()),
+  readText: () => startReading(),
+  update: () => applyUpdate(),
+  profileList: () => announceProfiles(),
+  profileSave: (name) => saveProfileAs(titleCase(name)),
+  profileUse: (name) => useProfile(name),
+  verbositySilent: () => setVerbosity("silent"),
+  verbosityAlerts: () => setVerbosity("alerts"),
+  verbosityNormal: () => setVerbosity("normal"),
+  verbosityChatty: () => setVerbosity("chatty"),
+  voiceNext: () => nextVoice(),
+  recordStart: () => startRecording(),
+  recordStop: () => stopRecording(),
+  routeRecord: (name) => startRouteRecording(name),
+  routeSave: () => saveRoute(),
+  routeMark: () => markLandmark(),
+  routeNote: (text) => addRouteNote(text),
+  routeList: () => announceRoutes(),
+  routeGuide: (name) => guideAlong(name),
+  routeNext: () => { if (routeGuide) handleRouteCue(routeGuide.skip(performance.now(), Pedometer.count())); },
+  routeRepeat: () => { if (routeGuide) handleRouteCue(routeGuide.current()); else announceRoutes(); },
+  routeStop: () => stopRouteGuide(),
+  routeDelete: (name) => {
+    const route = Routes.find(name);
+    if (!route) { speak(tf("routeUnknown", { name }), { force: true }); return; }
+    deleteRoute(route);
+  },
+  torchOn: () => setTorch(true),
+  torchOff: () => setTorch(false),
+  cameraNext: () => nextCamera(),
+  cameraTest: () => testCamera(),
+  cameraLow: () => setCameraPreset("low"),
+  cameraStandard: () => setCameraPreset("standard"),
+  cameraHigh: () => setCameraPreset("high"),
+  contrastOn: () => setContrast(true),
+  contrastOff: () => setContrast(false),
+  sos: () => Sos.start("voice"),
+  sosCancel: () => cancelSos(),
+  sosTest: () => Sos.start("voice", { test: true }),
+  fallOn: () => setFallDetection(true),
+  fallOff: () => setFallDetection(false),
+  assistCall: () => startAssist(),
+  assistEnd: () => endAssist(),
+  handsFreeOn: () => setHandsFree(true),
+  handsFreeOff: () => setHandsFree(false),
+  // a stray yes/no with nothing pending; "no" / "cancel" also calls off an SOS countdown
+  yes: () => {},
+  no: () => { cancelSos(); }
+};
+
+VoiceCommands.init({
+  getLang: lang,
+  dispatch: (match, cmd) => {
+    statusEl.textContent = `Heard: "${cmd}"`;
+    const action = VOICE_ACTIONS[match.id];
+    if (!action) return false;
+    SessionRecorder.event("command", { id: match.id, text: cmd });
+    action(...match.args);
+    return true;
+  },
+  onUnknown: (cmd) => { statusEl.textContent = `Heard: "${cmd}"`; speak(t("notRecognized"), { force: true }); },
+  onWake: () => speak(t("wakeHeard"), { force: true }),
+  onState: (state, detail) => {
+    const listening = state === "listening";
+    voiceCmdBtn.querySelector("span").textContent = listening ? "Listening..." : "Voice";
+    voiceCmdBtn.classList.toggle("listening", listening);
+    if (listening) statusEl.textContent = "Listening...";
+    else if (state === "idle") statusEl.textContent = "Ready";
+    else statusEl.textContent = `Voice error: ${detail}`;
+  }
 });
 
-/* lightweight voice command stub (unchanged) */
-voiceCmdBtn.addEventListener("click", async () => {
-  const SR = window.SpeechRecognition || window.webkitSpeechRecognition || null;
-  if (!SR) { alert("SpeechRecognition not supported in this browser."); return; }
-  if (!window.recognition) {
-    const recognition = new SR();
-    recognition.lang = langSelect.value || "en-IN";
-    recognition.interimResults = false;
-    recognition.continuous = false;
-    recognition.maxAlternatives = 1;
-    recognition.onstart = () => { voiceCmdBtn.textContent = "🎧 Listening..."; statusEl.textContent = "Listening..."; };
-    recognition.onend = () => { voiceCmdBtn.textContent = "🎙 Voice Cmd"; statusEl.textContent = "Ready"; };
-    recognition.onerror = (e) => { console.error("SR error", e); statusEl.textContent = "Voice error"; };
-    recognition.onresult = (ev) => {
-      const cmd = ev.results[0][0].transcript.trim().toLowerCase();
-      statusEl.textContent = `Heard: "${cmd}"`;
-      if (/^(start|go|begin)/i.test(cmd)) startDetection();
-      else if (/^(stop|pause|halt)/i.test(cmd)) stopDetection();
-      else if (/^(scene|describe)/i.test(cmd)) speak("Scene command received.");
-      else speak("Command not recognized.");
-    };
-    window.recognition = recognition;
-    try { recognition.start(); } catch (e) { console.warn("recognition start error", e); statusEl.textContent = "Voice start error (console)"; }
-    return;
+function listenForCommand() {
+  if (!VoiceCommands.supported()) { statusEl.textContent = t("voiceUnsupported"); speak(t("voiceUnsupported"), { force: true }); return; }
+  VoiceCommands.listen();
+}
+voiceCmdBtn.addEventListener("click", listenForCommand);
+if (handsFreeToggle) handsFreeToggle.addEventListener("change", () => setHandsFree(handsFreeToggle.checked));
+
+/* language picker lists every registered locale */
+(function fillLanguages() {
+  const current = langSelect.value;
+  langSelect.innerHTML = "";
+  I18n.languages().forEach(({ code, name }) => {
+    const opt = document.createElement("option");
+    opt.value = code;
+    opt.textContent = name;
+    langSelect.appendChild(opt);
+  });
+  langSelect.value = I18n.has(current) ? current : I18n.FALLBACK;
+})();
+langSelect.addEventListener("change", () => { saveSettings({ lang: lang() }); renderFaceList(); fillSearchClasses(); fillProfiles(); fillVoices(); });
+
+/* model picker: built-in COCO-SSD variants plus models/manifest.json entries */
+Detectors.loadManifest().then(models => {
+  const current = modelSelect.value;
+  modelSelect.innerHTML = "";
+  models.forEach(({ id, name }) => {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = name;
+    modelSelect.appendChild(opt);
+  });
+  const wanted = models.some(m => m.id === profile.model) ? profile.model : current;
+  modelSelect.value = models.some(m => m.id === wanted) ? wanted : models[0].id;
+});
+
+/* find-object panel wiring */
+fillSearchClasses();
+if (searchBtn) searchBtn.addEventListener("click", () => startSearch(searchClassSelect.value));
+if (searchStopBtn) searchStopBtn.addEventListener("click", () => stopSearch());
+
+/* feedback channel wiring */
+function setFeedbackMode(mode) {
+  if (!["speech", "tones", "both"].includes(mode)) return;
+  feedbackMode = mode;
+  saveSettings({ feedback: mode });
+  if (feedbackSelect) feedbackSelect.value = mode;
+  if (tonesOn()) { if (detecting) AudioCues.init(); }
+  else AudioCues.stop();
+  if (!speechOn()) SpeechQueue.clear();
+}
+if (feedbackSelect) {
+  feedbackSelect.value = feedbackMode;
+  feedbackSelect.addEventListener("change", () => setFeedbackMode(feedbackSelect.value));
+}
+
+if (depthToggle) depthToggle.addEventListener("change", () => setDepthSensing(depthToggle.checked));
+
+/* speech and detection settings wiring (each change is saved into the active profile) */
+voicePitchEl.addEventListener("input", () => saveSettings({ pitch: parseFloat(voicePitchEl.value) }));
+voiceRateEl.addEventListener("input", () => saveSettings({ rate: parseFloat(voiceRateEl.value) }));
+if (verbositySelect) verbositySelect.addEventListener("change", () => setVerbosity(verbositySelect.value, { announce: false }));
+if (voiceSelect) voiceSelect.addEventListener("change", () => saveSettings({ voice: voiceSelect.value || null }));
+SpeechQueue.onVoicesChanged(fillVoices);
+if (minScoreEl) {
+  minScoreEl.addEventListener("input", () => {
+    saveSettings({ minScore: parseFloat(minScoreEl.value) });
+    pipeline.configure({ minScore: profile.minScore });
+    showMinScore(profile.minScore);
+  });
+}
+
+/* profile panel wiring */
+if (profileSelect) profileSelect.addEventListener("change", () => applyProfile(Settings.use(profileSelect.value), { announce: true }));
+if (profileSaveBtn) profileSaveBtn.addEventListener("click", () => saveProfileAs(prompt("Save the current settings as profile:", "") || ""));
+if (profileDeleteBtn) {
+  profileDeleteBtn.addEventListener("click", () => {
+    const id = profile.id;
+    const question = Object.hasOwn(BUILTIN_PROFILES, id) ? `Reset "${profileName(id)}" to its original settings?` : `Delete the profile "${profile.name}"?`;
+    if (confirm(question)) deleteProfile(id);
+  });
+}
+if (profileExportBtn) profileExportBtn.addEventListener("click", exportProfiles);
+if (profileImportEl) profileImportEl.addEventListener("change", () => { importProfiles(profileImportEl.files[0]); profileImportEl.value = ""; });
+// the profile sets the camera preset, so the camera manager comes first
+CameraManager.init({ onState: onCameraState });
+applyProfile(profile);
+
+/* street-crossing panel wiring */
+if (crossingBtn) crossingBtn.addEventListener("click", () => (crossing ? stopCrossing() : startCrossing()));
+if (crossingAskBtn) crossingAskBtn.addEventListener("click", askCrossing);
+
+/* read-text panel wiring */
+if (readBtn) readBtn.addEventListener("click", () => startReading());
+if (readNowBtn) readNowBtn.addEventListener("click", () => captureText());
+if (readAgainBtn) readAgainBtn.addEventListener("click", () => readAgain());
+if (readStopBtn) readStopBtn.addEventListener("click", () => stopReading());
+
+/* routes panel wiring */
+if (routeRecordBtn) {
+  routeRecordBtn.addEventListener("click", () => (routeRec ? saveRoute() : startRouteRecording(prompt("Name of the route, e.g. Kitchen:", "") || "")));
+}
+if (routeMarkBtn) routeMarkBtn.addEventListener("click", markLandmark);
+if (routeNoteBtn) routeNoteBtn.addEventListener("click", () => addRouteNote(prompt("Note to read out at the last landmark:", "") || ""));
+if (routeGuideBtn) routeGuideBtn.addEventListener("click", () => startRouteGuide(Routes.get(routeSelect.value)));
+if (routeStopBtn) routeStopBtn.addEventListener("click", () => stopRouteGuide());
+if (routeDeleteBtn) routeDeleteBtn.addEventListener("click", () => deleteRoute(Routes.get(routeSelect.value)));
+setRouteButtons();
+Routes.refresh().then(fillRoutes).catch(err => console.warn("[routes] could not read saved routes:", err));
+
+/* session panel wiring */
+if (recordBtn) recordBtn.addEventListener("click", () => (SessionRecorder.isRecording() ? stopRecording() : startRecording()));
+if (replayFileEl) replayFileEl.addEventListener("change", () => { startReplay(replayFileEl.files[0]); replayFileEl.value = ""; });
+
+/* camera panel wiring */
+if (cameraSelect) {
+  cameraSelect.addEventListener("change", () => useCamera(cameraSelect.value || null, cameraSelect.options[cameraSelect.selectedIndex].textContent));
+}
+if (cameraPresetSelect) cameraPresetSelect.addEventListener("change", () => setCameraPreset(cameraPresetSelect.value, { announce: false }));
+if (torchBtn) torchBtn.addEventListener("click", () => setTorch(!(CameraManager.info() || {}).torch));
+if (cameraTestBtn) cameraTestBtn.addEventListener("click", testCamera);
+fillCameras();
+
+/* call-a-helper wiring */
+if (assistBtn) assistBtn.addEventListener("click", () => (assist ? endAssist() : startAssist()));
+if (assistAllowBtn) assistAllowBtn.addEventListener("click", () => answerAssist(true));
+if (assistDenyBtn) assistDenyBtn.addEventListener("click", () => answerAssist(false));
+window.addEventListener("pagehide", () => endAssist({ announce: false }));
+
+/* emergency panel wiring */
+Sos.init({ onState: onSosState, message: sosMessage, snapshot: sosSnapshot });
+(function fillSos() {
+  const c = Sos.settings();
+  if (sosAdapterSelect) sosAdapterSelect.value = c.adapter;
+  if (sosWebhookEl) sosWebhookEl.value = c.webhookUrl;
+  if (sosPhoneEl) sosPhoneEl.value = c.phone;
+  if (fallToggle) fallToggle.checked = c.fallDetection;
+})();
+if (sosBtn) sosBtn.addEventListener("click", () => Sos.start("press"));
+if (sosCancelBtn) sosCancelBtn.addEventListener("click", cancelSos);
+if (sosTestBtn) sosTestBtn.addEventListener("click", () => Sos.start("press", { test: true }));
+if (sosAdapterSelect) sosAdapterSelect.addEventListener("change", () => Sos.configure({ adapter: sosAdapterSelect.value }));
+if (sosWebhookEl) sosWebhookEl.addEventListener("change", () => { sosWebhookEl.value = Sos.configure({ webhookUrl: sosWebhookEl.value }).webhookUrl; });
+if (sosPhoneEl) sosPhoneEl.addEventListener("change", () => { sosPhoneEl.value = Sos.configure({ phone: sosPhoneEl.value }).phone; });
+if (fallToggle) fallToggle.addEventListener("change", () => setFallDetection(fallToggle.checked));
+
+/* high contrast, large text: a setting of this device rather than of a profile, like the camera */
+const THEME_KEY = "theme";
+function setContrast(on, { announce: say = true } = {}) {
+  document.documentElement.classList.toggle("contrast", on);
+  localStorage.setItem(THEME_KEY, on ? "contrast" : "default");
+  if (contrastToggle) contrastToggle.checked = on;
+  if (say) speak(t(on ? "contrastOn" : "contrastOff"), { force: true });
+}
+setContrast(localStorage.getItem(THEME_KEY) ? localStorage.getItem(THEME_KEY) === "contrast"
+  : matchMedia("(prefers-contrast: more)").matches, { announce: false });
+if (contrastToggle) contrastToggle.addEventListener("change", () => setContrast(contrastToggle.checked));
+
+/* keys and gestures (shortcuts.js): voice command ids plus a few that only make sense as a key or tap */
+const INPUT_ACTIONS = {
+  toggle: () => (detecting ? stopDetection() : startDetection()),
+  toggleMute: () => setMuted(!muted),
+  listen: () => listenForCommand(),
+  contrast: () => setContrast(!document.documentElement.classList.contains("contrast")),
+  shortcuts: () => speak(t("keysHelp"), { force: true }),
+  sos: () => Sos.start("press"),
+  // quiet now: what is being said, and the search or reading that keeps talking; first of all an SOS countdown
+  cancel: () => {
+    if (cancelSos()) return;
+    SpeechQueue.clear(); stopSearch({ announce: false }); stopCrossing({ announce: false }); stopReading({ announce: false });
+  }
+};
+Shortcuts.init({
+  surface: document.querySelector(".camera-wrap"),
+  onAction: (id, source) => {
+    const action = INPUT_ACTIONS[id] || VOICE_ACTIONS[id];
+    if (!action) return;
+    SessionRecorder.event("command", { id, text: `(${source})` });
+    action();
   }
-  // toggle existing
-  try {
-    if (window.recognition) window.recognition.start();
-  } catch (e) { console.warn("recognition start error", e); statusEl.textContent = "Voice start error (console)"; }
 });
 
+/* identity panel wiring */
+if (faceRecogToggle) faceRecogToggle.addEventListener("change", () => setFaceRecognition(faceRecogToggle.checked));
+if (enrollBtn) enrollBtn.addEventListener("click", () => enrollPerson(enrollNameEl ? enrollNameEl.value : ""));
+if (enrollNameEl) enrollNameEl.addEventListener("keydown", (e) => { if (e.key === "Enter") enrollPerson(enrollNameEl.value); });
+if (faceThresholdEl) {
+  const showThreshold = (v) => { if (faceThresholdValEl) faceThresholdValEl.textContent = Number(v).toFixed(2); };
+  faceThresholdEl.value = FaceId.getThreshold();
+  showThreshold(faceThresholdEl.value);
+  faceThresholdEl.addEventListener("input", () => showThreshold(FaceId.setThreshold(faceThresholdEl.value)));
+}
+FaceId.refresh().then(renderFaceList).catch(err => console.warn("[face] could not read enrollments:", err));
+
+/* tones step back while a sentence is being said */
+SpeechQueue.init({ onStart: () => AudioCues.setDucked(true), onIdle: () => AudioCues.setDucked(false) });
+
+/* --- Offline support: service worker + update prompt --- */
+let updateBtn = null;
+let waitingWorker = null;
+
+function showUpdatePrompt(worker) {
+  waitingWorker = worker;
+  speak(t("updateAvailable"), { force: true });
+  if (updateBtn) return;
+  updateBtn = document.createElement("button");
+  updateBtn.textContent = "Update available — reload";
+  updateBtn.className = "btn";
+  updateBtn.style.marginLeft = "10px";
+  updateBtn.addEventListener("click", applyUpdate);
+  statusEl.parentNode.insertBefore(updateBtn, statusEl.nextSibling);
+}
+
+/* never reload on its own: the user may be mid-route */
+function applyUpdate() {
+  if (!waitingWorker) { speak(t("noUpdate"), { force: true }); return; }
+  waitingWorker.postMessage({ type: "SKIP_WAITING" });
+}
+
+async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  try {
+    const reg = await navigator.serviceWorker.register("service-worker.js");
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener("statechange", () => {
+        // an "installed" worker next to an active controller is an update, not the first install
+        if (worker.state === "installed" && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+      });
+    });
+    let reloading = false;
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (reloading) return;
+      reloading = true;
+      location.reload();
+    });
+  } catch (err) {
+    console.warn("[sw] registration failed:", err);
+  }
+}
+
+window.addEventListener("offline", () => { statusEl.textContent = t("offline"); speak(t("offline")); });
+window.addEventListener("online", () => { statusEl.textContent = t("online"); });
+registerServiceWorker();
+
 /* Auto-attempt a background load (non-blocking) */
 (async function tryPreload() {
   try {
     console.log("[startup] attempting background model load");
+    // custom models come from the manifest; wait for it so the profile's model is selectable
+    await Detectors.loadManifest();
     await loadTfAndModel();
     console.log("[startup] background model load ok");
   } catch (err) {
@@ -454,38 +2391,3 @@ voiceCmdBtn.addEventListener("click", async () => {
     // don't throw: user can click Start which will attempt load again
   }
 })();
-
-/* ---------------------------------------------------------
-   PERMANENT FIX: Remove unknown floating "+" button
-   --------------------------------------------------------- */
-
-window.addEventListener("DOMContentLoaded", () => {
-  const nodes = document.querySelectorAll("body *");
-
-  nodes.forEach(el => {
-    const txt = (el.innerText || el.textContent || "").trim();
-
-    // get styles safely
-    const cs = getComputedStyle(el);
-    const pos = cs.position;
-    const w = el.offsetWidth;
-    const h = el.offsetHeight;
-    const radius = parseFloat(cs.borderRadius) || 0;
-
-    // condition:
-    // - element shows only "+"
-    // - is small
-    // - circular
-    // - fixed / absolute positioned (typical floating button)
-    if (
-      txt === "+" &&
-      w > 20 && h > 20 &&
-      w < 120 && h < 120 &&
-      radius >= Math.min(w, h) / 4 &&
-      /fixed|absolute/i.test(pos)
-    ) {
-      console.warn("Auto-removed floating '+' button:", el);
-      el.style.display = "none";
-    }
-  });
-});
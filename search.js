@@ -0,0 +1,61 @@
+/**
+ * search.js — "find my cup" mode
+ * - Follows one target class and turns each detection pass into a steering cue
+ * - Left / right / ahead cues until the target is centred and very close, then "found"
+ * - Asks the user to pan slowly when the target has not been seen for a while
+ *
+ * Pure logic (no DOM): update() takes the tracked items of one frame and returns a cue or null.
+ */
+
+const SEARCH_STEER_GAP_MS = 1800;     // repeat an unchanged steering cue this often
+const SEARCH_LOST_MS = 3500;          // target unseen this long -> ask to pan
+const SEARCH_PAN_GAP_MS = 6000;
+const SEARCH_FOUND_FRAMES = 2;        // centred + very close on this many passes in a row
+
+const SearchMode = (() => {
+  /**
+   * create(target) — target is a COCO class
+   * update(items, now) -> { kind: "steer" | "found" | "pan", dir, dist, metres } | null
+   */
+  function create(target) {
+    const startedAt = performance.now();
+    let lastSeen = 0;
+    let lastCue = null;           // { key, time }
+    let lastPan = startedAt;
+    let foundStreak = 0;
+    let done = false;
+
+    function update(items, now = performance.now()) {
+      if (done) return null;
+      const hits = items.filter(it => it.cls === target);
+      if (!hits.length) {
+        foundStreak = 0;
+        const unseenFor = now - (lastSeen || startedAt);
+        if (unseenFor > SEARCH_LOST_MS && now - lastPan > SEARCH_PAN_GAP_MS) {
+          lastPan = now;
+          return { kind: "pan" };
+        }
+        return null;
+      }
+      lastSeen = now;
+      // steer towards the biggest (nearest) instance
+      const best = hits.reduce((a, b) => (b.areaRatio > a.areaRatio ? b : a));
+      if (best.dir === "center" && best.dist === "veryClose") {
+        if (++foundStreak >= SEARCH_FOUND_FRAMES) {
+          done = true;
+          return { kind: "found", dir: best.dir, dist: best.dist, metres: best.metres };
+        }
+      } else {
+        foundStreak = 0;
+      }
+      const key = `${best.dir}|${best.dist}`;
+      if (lastCue && lastCue.key === key && now - lastCue.time < SEARCH_STEER_GAP_MS) return null;
+      lastCue = { key, time: now };
+      return { kind: "steer", dir: best.dir, dist: best.dist, metres: best.metres };
+    }
+
+    return { target, update, isDone: () => done };
+  }
+
+  return { create };
+})();
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * server/signaling-server.js — WebRTC signaling for "call a helper" (assist.js)
+ * - WebSocket endpoint /signal with room codes: the user creates a room, the helper joins it
+ *   with the six-digit code, and offers / answers / ICE candidates are relayed between the two
+ * - Codes can't be guessed by trial: an address that enters JOIN_MAX_FAILURES wrong codes is refused
+ *   until JOIN_LOCKOUT_MS after the last of them (behind a proxy every client shares one address).
+ *   The user's app still asks before it lets whoever joined see the camera (assist.js)
+ * - Also serves the app's files over HTTP, so one command is enough to try it on localhost:
+ *
+ *     node server/signaling-server.js [--port 8080] [--root .]
+ *     open http://localhost:8080/ (user) and http://localhost:8080/caregiver.html (helper)
+ *
+ * No dependencies: the WebSocket framing (RFC 6455, text frames only) is implemented below.
+ * Media never passes through here; once connected the two browsers talk peer to peer.
+ *
+ * Client -> server: { type: "create" } | { type: "join", room } | { type: "signal", data } | { type: "leave" }
+ * Server -> client: { type: "created", room } | { type: "joined", room } | { type: "peer-joined" }
+ *                   { type: "signal", data } | { type: "peer-left" } | { type: "error", message }
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_PORT = 8080;
+const SIGNAL_PATH = "/signal";
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 64 * 1024;      // an SDP offer is a few kB
+const ROOM_SIZE = 2;                      // the user and one helper
+const ROOM_CODE_DIGITS = 6;
+const HEARTBEAT_MS = 30000;
+const JOIN_MAX_FAILURES = 5;              // wrong codes from one address...
+const JOIN_LOCKOUT_MS = 10 * 60 * 1000;   // ...then no joins from it for this long after the last one
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8", ".js": "text/javascript; charset=utf-8", ".css": "text/css; charset=utf-8",
+  ".json": "application/json", ".svg": "image/svg+xml", ".png": "image/png", ".bin": "application/octet-stream",
+  ".wasm": "application/wasm", ".gz": "application/gzip", ".webm": "video/webm", ".mp4": "video/mp4"
+};
+
+/* --- WebSocket framing --- */
+
+function acceptKey(key) {
+  return crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+}
+
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode; header[1] = 126; header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode; header[1] = 127; header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/* one connected socket: buffers incoming bytes and emits whole text messages; head is what the
+   client sent after its upgrade request, before the upgrade was answered (normally nothing) */
+function createConnection(socket, onMessage, onClose, head = Buffer.alloc(0)) {
+  let buffer = Buffer.from(head);
+  let fragments = [];
+  let closed = false;
+  const conn = { room: null, alive: true };
+
+  function send(obj) {
+    if (!closed) socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(obj))));
+  }
+
+  function close(code = 1000) {
+    if (closed) return;
+    closed = true;
+    const body = Buffer.alloc(2);
+    body.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(0x8, body));
+    onClose(conn);
+  }
+
+  function parse() {
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let len = buffer[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2); offset = 4;
+      } else if (len === 127) {
+        if (buffer.length < 10) return;
+        const big = buffer.readBigUInt64BE(2);
+        if (big > BigInt(MAX_MESSAGE_BYTES)) { close(1009); return; }
+        len = Number(big); offset = 10;
+      }
+      // browsers always mask what they send
+      if (!masked) { close(1002); return; }
+      if (len > MAX_MESSAGE_BYTES) { close(1009); return; }
+      if (buffer.length < offset + 4 + len) return;
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      buffer = buffer.subarray(offset + 4 + len);
+
+      if (opcode === 0x8) { close(); return; }
+      if (opcode === 0x9) { socket.write(encodeFrame(0xA, payload)); continue; }
+      if (opcode === 0xA) { conn.alive = true; continue; }
+      if (opcode !== 0x0 && opcode !== 0x1) { close(1003); return; }   // binary is not part of the protocol
+      fragments.push(payload);
+      if (fragments.reduce((n, f) => n + f.length, 0) > MAX_MESSAGE_BYTES) { close(1009); return; }
+      if (!fin) continue;
+      const text = Buffer.concat(fragments).toString("utf8");
+      fragments = [];
+      let msg;
+      try {
+        msg = JSON.parse(text);
+      } catch (err) {
+        send({ type: "error", message: "Messages must be JSON." });
+        continue;
+      }
+      onMessage(conn, msg);
+    }
+  }
+
+  socket.on("data", (chunk) => { buffer = Buffer.concat([buffer, chunk]); parse(); });
+  // the http server keeps half-open sockets; a client that went away without a close frame is gone too
+  socket.on("end", () => socket.end());
+  socket.on("close", () => { if (!closed) { closed = true; onClose(conn); } });
+  socket.on("error", () => socket.destroy());
+  conn.send = send;
+  conn.close = close;
+  conn.ping = () => { if (!closed) socket.write(encodeFrame(0x9, Buffer.alloc(0))); };
+  if (buffer.length) setImmediate(parse);
+  return conn;
+}
+
+/* --- Rooms --- */
+
+function createSignaling() {
+  const rooms = new Map();       // code -> Set of connections
+  const connections = new Set();
+  const failures = new Map();    // address -> { count, last } of wrong room codes
+
+  function newCode() {
+    for (;;) {
+      const code = String(crypto.randomInt(0, 10 ** ROOM_CODE_DIGITS)).padStart(ROOM_CODE_DIGITS, "0");
+      if (!rooms.has(code)) return code;
+    }
+  }
+
+  function others(conn) {
+    const room = conn.room && rooms.get(conn.room);
+    return room ? [...room].filter(c => c !== conn) : [];
+  }
+
+  function leave(conn) {
+    const room = conn.room && rooms.get(conn.room);
+    if (!room) return;
+    room.delete(conn);
+    room.forEach(c => c.send({ type: "peer-left" }));
+    if (!room.size) rooms.delete(conn.room);
+    console.log(`[signal] left room ${conn.room} (${room.size} still in it)`);
+    conn.room = null;
+  }
+
+  function expired(f, now = Date.now()) { return now - f.last > JOIN_LOCKOUT_MS; }
+
+  function lockedOut(address) {
+    const f = failures.get(address);
+    if (!f) return false;
+    if (expired(f)) { failures.delete(address); return false; }
+    return f.count >= JOIN_MAX_FAILURES;
+  }
+
+  function wrongCode(address, now = Date.now()) {
+    const f = failures.get(address) || { count: 0, last: now };
+    failures.set(address, { count: f.count + 1, last: now });
+    if (f.count + 1 === JOIN_MAX_FAILURES) console.log(`[signal] ${address} locked out after ${JOIN_MAX_FAILURES} wrong codes`);
+  }
+
+  function onMessage(conn, msg) {
+    if (msg.type === "create") {
+      leave(conn);
+      conn.room = newCode();
+      rooms.set(conn.room, new Set([conn]));
+      conn.send({ type: "created", room: conn.room });
+      console.log(`[signal] room ${conn.room} created`);
+    } else if (msg.type === "join") {
+      if (lockedOut(conn.address)) { conn.send({ type: "error", message: "Too many wrong codes. Try again later." }); return; }
+      const code = String(msg.room || "").replace(/\D/g, "");
+      const room = rooms.get(code);
+      if (!room) {
+        wrongCode(conn.address);
+        conn.send({ type: "error", message: `No room ${code || "(empty)"}.` });
+        return;
+      }
+      if (room.size >= ROOM_SIZE) { conn.send({ type: "error", message: `Room ${code} is full.` }); return; }
+      leave(conn);
+      conn.room = code;
+      room.forEach(c => c.send({ type: "peer-joined" }));
+      room.add(conn);
+      conn.send({ type: "joined", room: code });
+      console.log(`[signal] joined room ${code}`);
+    } else if (msg.type === "signal") {
+      const peers = others(conn);
+      if (!peers.length) { conn.send({ type: "error", message: "Nobody else is in the room." }); return; }
+      peers.forEach(c => c.send({ type: "signal", data: msg.data }));
+    } else if (msg.type === "leave") {
+      leave(conn);
+    } else {
+      conn.send({ type: "error", message: `Unknown message type ${msg.type}.` });
+    }
+  }
+
+  function onClose(conn) {
+    leave(conn);
+    connections.delete(conn);
+  }
+
+  function upgrade(req, socket, head) {
+    const key = req.headers["sec-websocket-key"];
+    if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    socket.write([
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+      "", ""
+    ].join("\r\n"));
+    socket.setNoDelay(true);
+    const conn = createConnection(socket, onMessage, onClose, head);
+    conn.address = req.socket.remoteAddress;
+    connections.add(conn);
+  }
+
+  /* connections that miss a pong are dropped, which frees their room; lockouts that ran out are forgotten */
+  const heartbeat = setInterval(() => {
+    failures.forEach((f, address) => { if (expired(f)) failures.delete(address); });
+    connections.forEach(conn => {
+      if (!conn.alive) { conn.close(1001); return; }
+      conn.alive = false;
+      conn.ping();
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return { upgrade, rooms };
+}
+
+/* --- Static files --- */
+
+/* only the app's own files: known types, nothing hidden (.git, .env) */
+function serveStatic(root, req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  let rel;
+  try {
+    rel = decodeURIComponent(pathname === "/" ? "/index.html" : pathname);
+  } catch (err) {
+    res.writeHead(400, { "Content-Type": "text/plain" }).end("Bad request");
+    return;
+  }
+  const file = path.join(root, rel);
+  const hidden = rel.split(/[\\/]/).some(part => part.startsWith("."));
+  if (hidden || !MIME_TYPES[path.extname(file).toLowerCase()] || !file.startsWith(root + path.sep)) {
+    res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) { res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found"); return; }
+    res.writeHead(200, {
+      "Content-Type": MIME_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream",
+      "Cache-Control": "no-cache"
+    });
+    res.end(data);
+  });
+}
+
+function parseArgs(argv) {
+  const opts = { port: Number(process.env.PORT) || DEFAULT_PORT, root: path.resolve(__dirname, "..") };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") opts.port = Number(argv[++i]);
+    else if (argv[i] === "--root") opts.root = path.resolve(argv[++i]);
+    else throw new Error(`unknown argument ${argv[i]}`);
+  }
+  if (!Number.isInteger(opts.port) || opts.port <= 0 || opts.port > 65535) throw new Error("--port must be 1-65535");
+  return opts;
+}
+
+function start({ port, root }) {
+  const signaling = createSignaling();
+  const server = http.createServer((req, res) => {
+    try {
+      serveStatic(root, req, res);
+    } catch (err) {
+      console.error("[signal]", err);
+      if (!res.headersSent) res.writeHead(500, { "Content-Type": "text/plain" }).end("Server error");
+    }
+  });
+  server.on("upgrade", (req, socket, head) => {
+    if (new URL(req.url, "http://localhost").pathname !== SIGNAL_PATH) { socket.destroy(); return; }
+    signaling.upgrade(req, socket, head);
+  });
+  server.listen(port, () => {
+    console.log(`[signal] serving ${root} on http://localhost:${port}/ (signaling at ws://localhost:${port}${SIGNAL_PATH})`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    start(parseArgs(process.argv.slice(2)));
+  } catch (err) {
+    console.error(`signaling-server: ${err.message}`);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = { start, createSignaling, encodeFrame, acceptKey };
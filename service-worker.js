@@ -1,34 +1,143 @@
-const CACHE_NAME = "ai-nav-cache-v1";
-const FILES_TO_CACHE = [
-  "/",
-  "/index.html",
-  "/style.css",
-  "/script.js",
-  "/manifest.json",
-  "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.9.0",
-  "https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd"
+/**
+ * service-worker.js — offline support
+ * - App shell precached per release: bump CACHE_VERSION whenever a shell file changes
+ * - Model weights / vendored runtimes live in their own cache so app updates don't re-download them
+ * - A new version waits until the page asks it to take over (update prompt in script.js)
+ */
+
+const CACHE_VERSION = "v14";
+const SHELL_CACHE = `ai-nav-shell-${CACHE_VERSION}`;
+const MODEL_CACHE = "ai-nav-models-v1";
+const RUNTIME_CACHE = "ai-nav-runtime-v1";
+const KEEP_CACHES = [SHELL_CACHE, MODEL_CACHE, RUNTIME_CACHE];
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "style.css",
+  "manifest.json",
+  "i18n.js",
+  "locales/en-US.js",
+  "locales/hi-IN.js",
+  "locales/mr-IN.js",
+  "storage.js",
+  "face-id.js",
+  "scene.js",
+  "tracker.js",
+  "pipeline.js",
+  "camera.js",
+  "settings.js",
+  "speech.js",
+  "recorder.js",
+  "audio-cues.js",
+  "commands.js",
+  "search.js",
+  "crossing.js",
+  "pedometer.js",
+  "routes.js",
+  "detectors.js",
+  "depth.js",
+  "ocr.js",
+  "assist.js",
+  "sos.js",
+  "shortcuts.js",
+  "inference-worker.js",
+  "script.js",
+  "caregiver.html",
+  "caregiver.js",
+  "models/manifest.json",
+  "icons/icon.svg",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "icons/icon-maskable-512.png"
+];
+
+/* present only after tools/fetch-offline-assets.sh has been run */
+const VENDOR_FILES = [
+  "vendor/tfjs/tf.min.js",
+  "vendor/coco-ssd/coco-ssd.min.js",
+  "vendor/coco-ssd/ssd_mobilenet_v2/model.json",
+  "vendor/coco-ssd/ssdlite_mobilenet_v2/model.json",
+  "vendor/tesseract/tesseract.min.js",
+  "vendor/tesseract/worker.min.js"
 ];
 
+/* weights and runtimes: immutable per URL, so cache-first forever */
+function isModelAsset(url) {
+  return url.pathname.includes("/vendor/")
+    || url.hostname === "storage.googleapis.com"
+    || /\/models\/.+\.(json|bin)$/.test(url.pathname)
+    || /face-api.*\/model\//.test(url.href)
+    || /\/group\d+-shard\d+of\d+(\.bin)?$/.test(url.pathname);
+}
+
 self.addEventListener("install", (evt) => {
-  evt.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(FILES_TO_CACHE);
-    })
-  );
-  self.skipWaiting();
+  evt.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+    // vendored assets are optional; pull in whatever exists (weight shards follow at runtime)
+    const models = await caches.open(MODEL_CACHE);
+    await Promise.all(VENDOR_FILES.map(f => models.add(f).catch(() => null)));
+  })());
+  // no skipWaiting(): the page shows "update available" and posts SKIP_WAITING when the user agrees
 });
 
 self.addEventListener("activate", (evt) => {
   evt.waitUntil(
-    caches.keys().then((keys) => Promise.all(keys.map((k) => k !== CACHE_NAME && caches.delete(k))))
+    caches.keys()
+      .then((keys) => Promise.all(keys.map((k) => k.startsWith("ai-nav-") && !KEEP_CACHES.includes(k) && caches.delete(k))))
+      .then(() => self.clients.claim())
   );
-  self.clients.claim();
 });
 
+self.addEventListener("message", (evt) => {
+  if (evt.data && evt.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+async function cacheFirst(req, cacheName) {
+  const hit = await caches.match(req);
+  if (hit) return hit;
+  const resp = await fetch(req);
+  if (resp.ok || resp.type === "opaque") (await caches.open(cacheName)).put(req, resp.clone());
+  return resp;
+}
+
+/* pages come from the same shell version as the scripts they load; other pages (tools, typos)
+   go to the network, and only an offline navigation falls back to the app */
+async function shellPage(req) {
+  const hit = await caches.match(req, { ignoreSearch: true });
+  if (hit) return hit;
+  try {
+    return await fetch(req);
+  } catch (err) {
+    const app = await caches.match("index.html");
+    if (app) return app;
+    throw err;
+  }
+}
+
+/* CDN scripts and fonts: answer from cache, refresh in the background */
+async function staleWhileRevalidate(req) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const hit = await cache.match(req);
+  const refresh = fetch(req).then((resp) => {
+    if (resp.ok || resp.type === "opaque") cache.put(req, resp.clone());
+    return resp;
+  }).catch(() => hit || Response.error());
+  return hit || refresh;
+}
+
 self.addEventListener("fetch", (evt) => {
-  evt.respondWith(
-    caches.match(evt.request).then((resp) => {
-      return resp || fetch(evt.request).catch(() => caches.match("/"));
-    })
-  );
+  const req = evt.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  // the custom model list may change without a release
+  if (url.pathname.endsWith("/models/manifest.json")) { evt.respondWith(staleWhileRevalidate(req)); return; }
+  if (isModelAsset(url)) { evt.respondWith(cacheFirst(req, MODEL_CACHE)); return; }
+  if (req.mode === "navigate") { evt.respondWith(shellPage(req)); return; }
+  if (url.origin === self.location.origin) {
+    evt.respondWith(caches.match(req).then((hit) => hit || fetch(req)));
+    return;
+  }
+  evt.respondWith(staleWhileRevalidate(req));
 });
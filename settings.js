@@ -0,0 +1,241 @@
+/**
+ * settings.js — named settings profiles ("indoor", "street", "shopping", ...)
+ * - A profile holds everything the user tunes: language, model, voice, feedback channel,
+ *   verbosity, detection thresholds and ignored classes
+ * - Profiles and the active one are kept in localStorage; any change is saved into the active profile
+ * - exportJson() / importJson() move profiles between devices, e.g. a caregiver setting up a phone
+ *
+ * Built-in profiles can be edited; remove() puts them back to their shipped values.
+ * Needs pipeline.js (PIPELINE_DEFAULTS, PIPELINE_VERBOSITY) and camera.js (CAMERA_PRESETS).
+ */
+
+const PROFILES_KEY = "profiles";
+const PROFILES_FORMAT = "ai-nav-profiles";
+const PROFILES_FORMAT_VERSION = 1;
+const LEGACY_FEEDBACK_KEY = "feedbackMode";      // stored on its own before profiles existed
+
+const SETTINGS_DEFAULTS = {
+  name: "Default",
+  lang: "en-US",
+  model: "standard",
+  muted: false,
+  pitch: 1,
+  rate: 1,
+  voice: null,             // SpeechSynthesisVoice.voiceURI; null = the browser's choice for the language
+  feedback: "both",        // "speech" | "tones" | "both"
+  depth: false,
+  cameraPreset: CAMERA_DEFAULT_PRESET,    // CAMERA_PRESETS key; which camera is a per-device choice (camera.js)
+  cooldownMs: 2500,        // an identical sentence is not repeated sooner than this
+  idleScale: 1,            // pause between detection passes, relative to the default; 2 = half the passes
+  ...JSON.parse(JSON.stringify(PIPELINE_DEFAULTS))
+};
+
+/* shipped profiles: only what differs from SETTINGS_DEFAULTS */
+const BUILTIN_PROFILES = {
+  default: {},
+  indoor: {
+    name: "Indoor",
+    minScore: 0.55,
+    // rooms are small: a box has to be bigger before it counts as close
+    distThresh: { veryClose: 0.12, close: 0.04 },
+    distThreshM: { veryClose: 0.8, close: 1.8 },
+    cooldownMs: 3000,
+    idleScale: 1.5
+  },
+  street: {
+    name: "Street",
+    minScore: 0.5,
+    // traffic: warn earlier, and only about what matters
+    distThresh: { veryClose: 0.06, close: 0.015 },
+    distThreshM: { veryClose: 1.5, close: 4 },
+    verbosity: "alerts",
+    cooldownMs: 2000,
+    ignored: ["kite", "frisbee", "sports ball", "umbrella", "handbag", "tie", "backpack"]
+  },
+  shopping: {
+    name: "Shopping",
+    minScore: 0.6,
+    verbosity: "chatty",
+    cooldownMs: 3500,
+    ignored: ["tie", "handbag", "backpack"]
+  }
+};
+
+const Settings = (() => {
+  let state = null;        // { active, profiles: { id: profile } }
+
+  function clone(v) { return JSON.parse(JSON.stringify(v)); }
+
+  function clamp(v, min, max, fallback) {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+  }
+
+  function slug(name) {
+    return String(name).trim().toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, "-").replace(/^-|-$/g, "");
+  }
+
+  function builtin(id) { return { ...clone(SETTINGS_DEFAULTS), ...clone(BUILTIN_PROFILES[id]) }; }
+
+  /* known keys only, each checked and clamped; anything else falls back to the default */
+  function sanitize(raw, base = SETTINGS_DEFAULTS) {
+    const d = clone(base);
+    if (!raw || typeof raw !== "object") return d;
+    const str = (v, fallback) => (typeof v === "string" && v.trim() ? v.trim() : fallback);
+    const thresholds = (v, fallback, max) => ({
+      veryClose: clamp(v && v.veryClose, 0, max, fallback.veryClose),
+      close: clamp(v && v.close, 0, max, fallback.close)
+    });
+    return {
+      name: str(raw.name, d.name).slice(0, 40),
+      lang: str(raw.lang, d.lang),
+      model: str(raw.model, d.model),
+      muted: typeof raw.muted === "boolean" ? raw.muted : d.muted,
+      pitch: clamp(raw.pitch, 0.5, 1.5, d.pitch),
+      rate: clamp(raw.rate, 0.5, 2, d.rate),
+      voice: typeof raw.voice === "string" && raw.voice ? raw.voice : raw.voice === null ? null : d.voice,
+      feedback: ["speech", "tones", "both"].includes(raw.feedback) ? raw.feedback : d.feedback,
+      depth: typeof raw.depth === "boolean" ? raw.depth : d.depth,
+      cameraPreset: Object.keys(CAMERA_PRESETS).includes(raw.cameraPreset) ? raw.cameraPreset : d.cameraPreset,
+      cooldownMs: Math.round(clamp(raw.cooldownMs, 0, 30000, d.cooldownMs)),
+      idleScale: clamp(raw.idleScale, 0.25, 8, d.idleScale),
+      minScore: clamp(raw.minScore, 0.05, 0.95, d.minScore),
+      distThresh: thresholds(raw.distThresh, d.distThresh, 1),
+      distThreshM: thresholds(raw.distThreshM, d.distThreshM, 50),
+      ignored: Array.isArray(raw.ignored) ? [...new Set(raw.ignored.filter(c => typeof c === "string"))] : d.ignored,
+      verbosity: PIPELINE_VERBOSITY.includes(raw.verbosity) ? raw.verbosity : d.verbosity
+    };
+  }
+
+  function load() {
+    if (state) return state;
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    } catch (err) {
+      console.warn("[settings] stored profiles unreadable, starting over:", err);
+    }
+    const profiles = {};
+    Object.keys(BUILTIN_PROFILES).forEach(id => { profiles[id] = builtin(id); });
+    if (stored && stored.profiles) {
+      Object.entries(stored.profiles).forEach(([id, p]) => {
+        profiles[id] = sanitize(p, Object.hasOwn(BUILTIN_PROFILES, id) ? builtin(id) : SETTINGS_DEFAULTS);
+      });
+    } else {
+      const legacy = localStorage.getItem(LEGACY_FEEDBACK_KEY);
+      if (legacy) profiles.default = sanitize({ ...profiles.default, feedback: legacy });
+    }
+    const active = stored && Object.hasOwn(profiles, stored.active) ? stored.active : "default";
+    state = { active, profiles };
+    return state;
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(PROFILES_KEY, JSON.stringify(state));
+    } catch (err) {
+      console.warn("[settings] could not save profiles:", err);
+    }
+  }
+
+  function active() { load(); return { id: state.active, ...clone(state.profiles[state.active]) }; }
+
+  /* -> [{ id, name, builtin }] */
+  function list() {
+    load();
+    return Object.entries(state.profiles).map(([id, p]) => ({ id, name: p.name, builtin: Object.hasOwn(BUILTIN_PROFILES, id) }));
+  }
+
+  function has(id) { load(); return Object.hasOwn(state.profiles, id); }
+
+  /* make a profile the active one -> its settings, or null when there is no such profile */
+  function use(id) {
+    load();
+    if (!Object.hasOwn(state.profiles, id)) return null;
+    state.active = id;
+    persist();
+    return active();
+  }
+
+  /* save changed settings into the active profile -> the updated profile */
+  function update(changes) {
+    load();
+    const id = state.active;
+    state.profiles[id] = sanitize({ ...state.profiles[id], ...changes }, state.profiles[id]);
+    persist();
+    return active();
+  }
+
+  /* the active settings under a new name, which becomes active -> the new profile */
+  function saveAs(name) {
+    load();
+    const id = slug(name);
+    if (!id) throw new Error("A profile needs a name.");
+    state.profiles[id] = sanitize({ ...state.profiles[state.active], name: String(name).trim() });
+    state.active = id;
+    persist();
+    return active();
+  }
+
+  /* user profiles are deleted, built-in ones reset; the default takes over if the active one went */
+  function remove(id) {
+    load();
+    if (!Object.hasOwn(state.profiles, id)) return false;
+    if (Object.hasOwn(BUILTIN_PROFILES, id)) state.profiles[id] = builtin(id);
+    else {
+      delete state.profiles[id];
+      if (state.active === id) state.active = "default";
+    }
+    persist();
+    return true;
+  }
+
+  /* spoken or typed name -> profile id; names(id, profile) adds e.g. the translated built-in names */
+  function find(spoken, names = () => []) {
+    load();
+    const want = slug(spoken);
+    if (!want) return null;
+    const hit = Object.entries(state.profiles).find(([id, p]) =>
+      [id, p.name, ...names(id, p)].some(n => n && slug(n) === want));
+    return hit ? hit[0] : null;
+  }
+
+  /* all profiles (or the given ids) as a JSON document */
+  function exportJson(ids = null) {
+    load();
+    const profiles = Object.entries(state.profiles)
+      .filter(([id]) => !ids || ids.includes(id))
+      .map(([id, p]) => ({ id, ...p }));
+    return JSON.stringify({ format: PROFILES_FORMAT, version: PROFILES_FORMAT_VERSION, active: state.active, profiles }, null, 2);
+  }
+
+  /**
+   * importJson(text) -> ids of the imported profiles. Accepts an exportJson() document or a single
+   * profile object; profiles with an existing id replace it. The active profile is left alone.
+   */
+  function importJson(text) {
+    load();
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Not a profiles file: ${err.message}`);
+    }
+    if (doc && doc.format && doc.format !== PROFILES_FORMAT) throw new Error(`Unknown format "${doc.format}".`);
+    if (doc && doc.version > PROFILES_FORMAT_VERSION) throw new Error(`Profiles file version ${doc.version} is newer than this app.`);
+    const incoming = doc && Array.isArray(doc.profiles) ? doc.profiles : [doc];
+    const ids = [];
+    incoming.forEach(p => {
+      if (!p || typeof p !== "object") return;
+      const id = slug(p.id || p.name || "");
+      if (!id) return;
+      state.profiles[id] = sanitize(p, Object.hasOwn(BUILTIN_PROFILES, id) ? builtin(id) : SETTINGS_DEFAULTS);
+      ids.push(id);
+    });
+    if (!ids.length) throw new Error("The file has no profiles.");
+    persist();
+    return ids;
+  }
+
+  return { active, list, has, use, update, saveAs, remove, find, exportJson, importJson, DEFAULTS: SETTINGS_DEFAULTS };
+})();
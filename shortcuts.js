@@ -0,0 +1,133 @@
+/**
+ * shortcuts.js — keyboard shortcuts and touch gestures, for using the app without looking at it
+ * - Keys and gestures map to action ids; script.js runs them like voice commands (commands.js)
+ * - Keys are single, without Ctrl / Alt / Cmd, and ignored while typing in a field or when the
+ *   focused control needs the key itself (arrows on a slider or a list)
+ * - Gestures work on the camera view, the largest target on a phone: double tap, a swipe in any
+ *   of four directions, a two-finger tap, and a long press for SOS (sos.js)
+ *
+ * Screen readers take over touch; with one running, use its pass-through gesture or the keys.
+ */
+
+const SHORTCUT_KEYS = {
+  s: "toggle",               // start / stop detection
+  d: "scene",
+  r: "repeat",
+  m: "toggleMute",
+  v: "listen",
+  t: "readText",
+  c: "contrast",
+  h: "shortcuts",
+  "?": "shortcuts",
+  ArrowLeft: "sideLeft",
+  ArrowRight: "sideRight",
+  ArrowUp: "sideAhead",
+  "+": "rateUp",
+  "=": "rateUp",             // "+" without Shift on most layouts
+  "-": "rateDown",
+  Escape: "cancel"
+};
+const GESTURE_ACTIONS = {
+  doubleTap: "toggle",
+  swipeUp: "scene",
+  swipeDown: "repeat",
+  swipeLeft: "sideLeft",
+  swipeRight: "sideRight",
+  twoFingerTap: "listen",
+  longPress: "sos"
+};
+const GESTURE_TAP_MS = 300;        // longest touch that is still a tap
+const GESTURE_DOUBLE_MS = 400;     // most time between the two taps of a double tap
+const GESTURE_SLOP_PX = 24;        // movement still counted as a tap
+const GESTURE_SWIPE_PX = 60;       // shortest swipe
+const GESTURE_SWIPE_MS = 700;      // slowest swipe
+const GESTURE_LONG_MS = 1500;      // a press held still this long; longer than anything done by accident
+
+const Shortcuts = (() => {
+  let onAction = () => {};
+
+  /* the focused element uses this key for itself */
+  function ownsKey(el, key) {
+    if (!el || el === document.body) return false;
+    if (el.isContentEditable || el.tagName === "TEXTAREA" || el.tagName === "SELECT") return true;
+    // text fields want every key; checkboxes and sliders only the arrows
+    if (el.tagName === "INPUT") return !["checkbox", "radio", "range", "button", "file"].includes(el.type) || key.startsWith("Arrow");
+    return key.startsWith("Arrow") && el.getAttribute("role") === "slider";
+  }
+
+  function onKeyDown(e) {
+    if (e.ctrlKey || e.altKey || e.metaKey || e.repeat || e.defaultPrevented) return;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const id = SHORTCUT_KEYS[key];
+    if (!id || ownsKey(document.activeElement, key)) return;
+    e.preventDefault();
+    onAction(id, "key");
+  }
+
+  /* one gesture ends when the last finger lifts */
+  function attachGestures(el) {
+    const down = new Map();        // pointerId -> { x, y, t }
+    let fingers = 0;               // most pointers down at once during this gesture
+    let lastTap = null;
+    let pressTimer = null;
+    let pressed = false;           // the long press fired: the rest of this touch is not a gesture
+
+    function fire(name) { if (GESTURE_ACTIONS[name]) onAction(GESTURE_ACTIONS[name], "gesture"); }
+
+    function endPress() { clearTimeout(pressTimer); pressTimer = null; }
+
+    el.addEventListener("pointerdown", (e) => {
+      if (e.pointerType === "mouse" && e.button !== 0) return;
+      down.set(e.pointerId, { x: e.clientX, y: e.clientY, t: e.timeStamp });
+      fingers = Math.max(fingers, down.size);
+      endPress();
+      if (down.size === 1) pressTimer = setTimeout(() => { pressTimer = null; pressed = true; lastTap = null; fire("longPress"); }, GESTURE_LONG_MS);
+    });
+    el.addEventListener("pointermove", (e) => {
+      const start = down.get(e.pointerId);
+      if (pressTimer && start && Math.hypot(e.clientX - start.x, e.clientY - start.y) >= GESTURE_SLOP_PX) endPress();
+    });
+    el.addEventListener("pointerup", (e) => {
+      const start = down.get(e.pointerId);
+      if (!start) return;
+      down.delete(e.pointerId);
+      endPress();
+      if (down.size) return;
+      const count = fingers;
+      fingers = 0;
+      if (pressed) { pressed = false; return; }
+      const dx = e.clientX - start.x;
+      const dy = e.clientY - start.y;
+      const moved = Math.hypot(dx, dy);
+      const took = e.timeStamp - start.t;
+      if (count === 2) {
+        if (moved < GESTURE_SLOP_PX && took < GESTURE_TAP_MS * 2) fire("twoFingerTap");
+        lastTap = null;
+      } else if (moved >= GESTURE_SWIPE_PX && took <= GESTURE_SWIPE_MS) {
+        fire(Math.abs(dx) > Math.abs(dy) ? (dx < 0 ? "swipeLeft" : "swipeRight") : (dy < 0 ? "swipeUp" : "swipeDown"));
+        lastTap = null;
+      } else if (moved < GESTURE_SLOP_PX && took < GESTURE_TAP_MS) {
+        const near = lastTap && Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < GESTURE_SLOP_PX * 2;
+        if (near && e.timeStamp - lastTap.t < GESTURE_DOUBLE_MS) { lastTap = null; fire("doubleTap"); }
+        else lastTap = { x: e.clientX, y: e.clientY, t: e.timeStamp };
+      }
+    });
+    el.addEventListener("pointercancel", (e) => {
+      down.delete(e.pointerId);
+      endPress();
+      if (!down.size) { fingers = 0; pressed = false; }
+    });
+  }
+
+  /**
+   * init({ onAction(id, source), surface })
+   *   source: "key" | "gesture"; surface: the element gestures are read from (null = keys only)
+   */
+  function init({ onAction: handler = () => {}, surface = null } = {}) {
+    onAction = handler;
+    document.addEventListener("keydown", onKeyDown);
+    if (surface) attachGestures(surface);
+  }
+
+  return { init };
+})();
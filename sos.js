@@ -0,0 +1,345 @@
+/**
+ * sos.js — emergency alert: a fall, "help me" or a long press starts a countdown, then help is asked for
+ * - Fall detection watches DeviceMotion for a hard knock followed by the phone lying still; a fall
+ *   that the user walks away from, or a phone that is just dropped and picked up, is not one
+ * - The countdown can be cancelled until it runs out; then the alert goes out with the position
+ *   (Geolocation) and a camera picture, both fetched while the countdown runs
+ * - How the alert travels is an adapter: webhook (POST JSON), sms (a prefilled message in the
+ *   messaging app) or share (the share sheet). The chosen one is tried first, then any other one
+ *   that is set up. register() adds more, e.g. a fake one in a test
+ * - The settings are kept per device in localStorage, like the camera: a phone number is not
+ *   something to export along with a profile
+ *
+ * Wording is left to script.js: states and reasons come out as codes, the message text comes in
+ * through init({ message }). tools/sos-mock-server.js receives webhook alerts on localhost.
+ * Needs pedometer.js (requestMotionPermission).
+ */
+
+const SOS_CONFIG_KEY = "sos";
+const SOS_DEFAULT_COUNTDOWN_S = 10;
+const SOS_IMPACT_MS2 = 25;               // acceleration magnitude of a knock, about 2.5 g
+const SOS_SETTLE_MS = 1500;              // after the knock the phone may bounce and slide this long
+const SOS_STILL_MS = 4000;               // ...then has to lie still this long
+const SOS_STILL_RANGE_MS2 = 2;           // spread of the magnitude that still counts as lying still
+const SOS_FALL_PAUSE_MS = 30000;         // no second fall alarm this soon after one
+const SOS_POSITION_TIMEOUT_MS = 8000;
+const SOS_POSITION_MAX_AGE_MS = 60000;
+const SOS_WEBHOOK_TIMEOUT_MS = 10000;
+const SOS_CANCEL_SELECTOR = "[data-sos-cancel]";   // a tap here calls the alert off rather than sending it
+
+/* adapter: { needsGesture, ready(config) -> bool, send(alert, config) -> Promise, throws when it failed } */
+const SOS_ADAPTERS = {
+  webhook: {
+    needsGesture: false,
+    ready: (config) => /^https?:\/\/\S+$/i.test(config.webhookUrl),
+    async send(alert, config) {
+      const body = {
+        type: "sos", reason: alert.reason, test: alert.test, at: alert.at, message: alert.message,
+        position: alert.position, mapUrl: alert.mapUrl,
+        snapshot: alert.snapshot ? await blobToDataUrl(alert.snapshot) : null
+      };
+      const abort = new AbortController();
+      const timer = setTimeout(() => abort.abort(), SOS_WEBHOOK_TIMEOUT_MS);
+      try {
+        const res = await fetch(config.webhookUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+          signal: abort.signal
+        });
+        if (!res.ok) throw new Error(`The webhook answered ${res.status}.`);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  },
+  sms: {
+    // opening another app needs a tap in most browsers; the user still has to press Send there
+    needsGesture: true,
+    ready: (config) => !!config.phone,
+    async send(alert, config) {
+      const link = document.createElement("a");
+      // "?&body=" is understood by both Android and iOS
+      link.href = `sms:${config.phone}?&body=${encodeURIComponent(alert.message)}`;
+      link.click();
+    }
+  },
+  share: {
+    needsGesture: true,
+    ready: () => typeof navigator.share === "function",
+    async send(alert) {
+      const data = { title: "SOS", text: alert.message };
+      if (alert.snapshot) {
+        const file = new File([alert.snapshot], "sos.jpg", { type: alert.snapshot.type || "image/jpeg" });
+        if (navigator.canShare && navigator.canShare({ files: [file] })) data.files = [file];
+      }
+      await navigator.share(data);
+    }
+  }
+};
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+const Sos = (() => {
+  const adapters = { ...SOS_ADAPTERS };
+  let config = null;
+  let run = null;                  // { reason, test, left, timer, position, snapshot, gesture, sending } while an alert is under way
+  let watching = false;
+  let detector = null;
+  let opts = {
+    // ("countdown", seconds left, { reason, test }) | ("sending") | ("tap", adapter) | ("sent", adapter) | ("cancelled") | ("failed", reason code)
+    onState: () => {},
+    message: (alert) => `SOS ${alert.mapUrl || ""}`.trim(),
+    snapshot: async () => null     // -> JPEG Blob of the camera, or null
+  };
+
+  /* --- Settings --- */
+
+  function sanitize(raw) {
+    const c = raw && typeof raw === "object" ? raw : {};
+    const countdown = Math.round(Number(c.countdown));
+    return {
+      adapter: adapters[c.adapter] ? c.adapter : "webhook",
+      webhookUrl: typeof c.webhookUrl === "string" ? c.webhookUrl.trim() : "",
+      // digits, a leading + and commas between several numbers
+      phone: typeof c.phone === "string" ? c.phone.replace(/[^\d+,]/g, "") : "",
+      fallDetection: c.fallDetection === true,
+      countdown: Number.isFinite(countdown) ? Math.min(60, Math.max(5, countdown)) : SOS_DEFAULT_COUNTDOWN_S
+    };
+  }
+
+  function settings() {
+    if (!config) {
+      try {
+        config = sanitize(JSON.parse(localStorage.getItem(SOS_CONFIG_KEY)));
+      } catch (err) {
+        console.warn("[sos] stored settings unreadable:", err);
+        config = sanitize(null);
+      }
+    }
+    return { ...config };
+  }
+
+  function configure(changes) {
+    config = sanitize({ ...settings(), ...changes });
+    try {
+      localStorage.setItem(SOS_CONFIG_KEY, JSON.stringify(config));
+    } catch (err) {
+      console.warn("[sos] could not save settings:", err);
+    }
+    return settings();
+  }
+
+  function register(name, adapter) { adapters[name] = adapter; }
+
+  /* the chosen adapter first, then the others that are set up */
+  function route() {
+    const c = settings();
+    const names = [c.adapter, ...Object.keys(adapters).filter(n => n !== c.adapter)];
+    return names.filter(n => adapters[n].ready(c));
+  }
+
+  function ready() { return route().length > 0; }
+
+  /* --- Fall detection --- */
+
+  /**
+   * createFallDetector() — pure logic, fed one acceleration magnitude (m/s², gravity included) at a time
+   *   update(mag, t) -> true once per fall: a knock, up to SOS_SETTLE_MS of bouncing, SOS_STILL_MS lying still
+   */
+  function createFallDetector() {
+    let phase = "watch";           // "watch" | "settle" | "still"
+    let since = 0;
+    let lo = 0;
+    let hi = 0;
+    let pausedUntil = -Infinity;
+
+    function update(mag, t) {
+      if (t < pausedUntil) return false;
+      if (mag > SOS_IMPACT_MS2 && phase !== "settle") {
+        phase = "settle";
+        since = t;
+        return false;
+      }
+      if (phase === "settle") {
+        if (t - since >= SOS_SETTLE_MS) { phase = "still"; since = t; lo = hi = mag; }
+        return false;
+      }
+      if (phase === "still") {
+        lo = Math.min(lo, mag);
+        hi = Math.max(hi, mag);
+        // moving again: got up, or picked the phone up
+        if (hi - lo > SOS_STILL_RANGE_MS2) { phase = "watch"; return false; }
+        if (t - since >= SOS_STILL_MS) {
+          phase = "watch";
+          pausedUntil = t + SOS_FALL_PAUSE_MS;
+          return true;
+        }
+      }
+      return false;
+    }
+
+    return { update, reset: () => { phase = "watch"; } };
+  }
+
+  function onMotion(e) {
+    const a = e.accelerationIncludingGravity;
+    if (!a || a.x == null) return;
+    if (!detector.update(Math.hypot(a.x, a.y, a.z), e.timeStamp || performance.now())) return;
+    console.log("[sos] fall detected");
+    start("fall");
+  }
+
+  /* -> true when motion events are coming (or may come); needs a tap on iOS, like the pedometer */
+  async function watchFalls(on) {
+    if (!on) {
+      window.removeEventListener("devicemotion", onMotion);
+      watching = false;
+      return true;
+    }
+    if (watching) return true;
+    if (!await requestMotionPermission()) return false;
+    detector = createFallDetector();
+    window.addEventListener("devicemotion", onMotion);
+    watching = true;
+    return true;
+  }
+
+  /* --- Alert --- */
+
+  function locate() {
+    if (!navigator.geolocation) return Promise.resolve(null);
+    return new Promise(resolve => {
+      navigator.geolocation.getCurrentPosition(
+        (pos) => resolve({
+          lat: pos.coords.latitude, lon: pos.coords.longitude,
+          accuracy: Math.round(pos.coords.accuracy)
+        }),
+        (err) => { console.warn("[sos] no position:", err.message || err); resolve(null); },
+        { enableHighAccuracy: true, timeout: SOS_POSITION_TIMEOUT_MS, maximumAge: SOS_POSITION_MAX_AGE_MS }
+      );
+    });
+  }
+
+  async function collect(r) {
+    const [position, snapshot] = await Promise.all([r.position, r.snapshot]);
+    const alert = {
+      reason: r.reason, test: r.test, at: new Date().toISOString(), position,
+      mapUrl: position ? `https://maps.google.com/?q=${position.lat.toFixed(6)},${position.lon.toFixed(6)}` : null,
+      snapshot
+    };
+    alert.message = opts.message(alert);
+    return alert;
+  }
+
+  /* resolves on the next tap or key (Escape or the cancel control cancel instead), which lets the adapter open another app */
+  function waitForGesture(r) {
+    return new Promise(resolve => {
+      const done = (e) => {
+        if (e.type === "keydown" && e.key === "Escape") return;
+        if (e.target && e.target.closest && e.target.closest(SOS_CANCEL_SELECTOR)) return;
+        // this tap sends the alert; it is not also a shortcut
+        e.stopPropagation();
+        stop();
+        resolve(true);
+      };
+      const stop = () => {
+        window.removeEventListener("pointerup", done, true);
+        window.removeEventListener("keydown", done, true);
+      };
+      window.addEventListener("pointerup", done, true);
+      window.addEventListener("keydown", done, true);
+      r.gesture = () => { stop(); resolve(false); };
+    });
+  }
+
+  /* from here on the alert may already be on its way, so it cannot be cancelled; waiting for a tap can */
+  async function deliver(r) {
+    r.sending = true;
+    opts.onState("sending");
+    const alert = await collect(r);
+    const names = route();
+    if (!names.length) { finish(r, "failed", "notSet"); return; }
+    let lastError = null;
+    for (const name of names) {
+      if (run !== r) return;
+      const adapter = adapters[name];
+      try {
+        const active = navigator.userActivation ? navigator.userActivation.isActive : false;
+        if (adapter.needsGesture && !active) {
+          r.sending = false;
+          opts.onState("tap", name);
+          if (!await waitForGesture(r)) return;       // cancelled meanwhile
+          r.sending = true;
+          opts.onState("sending");
+        }
+        await adapter.send(alert, settings());
+        console.log(`[sos] alert sent by ${name}`);
+        finish(r, "sent", name);
+        return;
+      } catch (err) {
+        console.warn(`[sos] ${name} failed:`, err);
+        lastError = err;
+      }
+    }
+    finish(r, "failed", lastError && lastError.name === "AbortError" ? "aborted" : "error");
+  }
+
+  function finish(r, state, detail) {
+    if (run !== r) return;
+    run = null;
+    opts.onState(state, detail);
+  }
+
+  function init(o = {}) {
+    opts = { ...opts, ...o };
+    if (settings().fallDetection) watchFalls(true);
+  }
+
+  /**
+   * start(reason, { test }) -> false when an alert is already under way or nothing is set up
+   *   reason: "fall" | "voice" | "press"; test marks the alert as a drill for whoever receives it
+   */
+  function start(reason, { test = false } = {}) {
+    if (run) return false;
+    if (!ready()) { opts.onState("failed", "notSet"); return false; }
+    const r = { reason, test, left: settings().countdown, timer: null, gesture: null, sending: false };
+    // both take a few seconds, which the countdown gives them
+    r.position = locate();
+    r.snapshot = opts.snapshot().catch(err => { console.warn("[sos] no picture:", err); return null; });
+    run = r;
+    opts.onState("countdown", r.left, { reason, test });
+    r.timer = setInterval(() => {
+      r.left--;
+      if (r.left > 0) { opts.onState("countdown", r.left, { reason, test }); return; }
+      clearInterval(r.timer);
+      deliver(r);
+    }, 1000);
+    return true;
+  }
+
+  /* -> true when the alert was called off; false when there was none, or it is being sent (active() is still true) */
+  function cancel() {
+    if (!run || run.sending) return false;
+    const r = run;
+    run = null;
+    clearInterval(r.timer);
+    if (r.gesture) r.gesture();
+    opts.onState("cancelled");
+    return true;
+  }
+
+  return {
+    init, start, cancel, settings, configure, register, ready, watchFalls, createFallDetector,
+    adapters: () => Object.keys(adapters),
+    active: () => !!run,
+    isWatching: () => watching
+  };
+})();
@@ -0,0 +1,147 @@
+/**
+ * speech.js — utterance scheduler on top of speechSynthesis
+ * - Four priority classes: danger > navigation > system > info
+ * - A higher class interrupts a lower one; the interrupted sentence is said again afterwards unless
+ *   it was info (narration is only worth hearing while it is current)
+ * - Info never interrupts, only the newest queued info is kept, and it is dropped once stale
+ * - Utterances with the same key replace each other in the queue ("search" steering, "scene", ...)
+ * - Verbosity gates what may be spoken at all (see SPEECH_ALLOWED)
+ * - onDrop tells the caller a queued sentence will never be heard: stale, replaced, cut or cleared
+ *
+ * Repeat cooldowns and the wording live in script.js; this file only decides what is said when.
+ */
+
+const SPEECH_PRIORITY = { danger: 3, navigation: 2, system: 1, info: 0 };
+const SPEECH_STALE_MS = { danger: Infinity, navigation: 4000, system: Infinity, info: 2000 };
+const SPEECH_MAX_QUEUE = 8;
+
+/* per verbosity: which classes are spoken; "system" answers the user and always is */
+const SPEECH_ALLOWED = {
+  silent: ["system"],
+  alerts: ["danger", "navigation", "system"],
+  normal: ["danger", "navigation", "system", "info"],
+  chatty: ["danger", "navigation", "system", "info"]
+};
+
+const SpeechQueue = (() => {
+  let queue = [];
+  let current = null;            // item being spoken
+  let verbosity = "normal";
+  let hooks = { onStart: () => {}, onIdle: () => {} };
+
+  function supported() { return "speechSynthesis" in window; }
+
+  /* onStart(item) when a sentence starts, onIdle() when nothing is left to say */
+  function init(h = {}) { hooks = { ...hooks, ...h }; }
+
+  function setVerbosity(v) { if (SPEECH_ALLOWED[v]) verbosity = v; }
+
+  function rank(item) { return SPEECH_PRIORITY[item.priority]; }
+
+  function stale(item, now) { return now - item.queuedAt > SPEECH_STALE_MS[item.priority]; }
+
+  /* queue = queue.filter(keep), telling the dropped items */
+  function keepOnly(keep) {
+    const dropped = queue.filter(item => !keep(item));
+    queue = queue.filter(keep);
+    dropped.forEach(dropItem);
+  }
+
+  function dropItem(item) { if (item.onDrop) item.onDrop(); }
+
+  /* voices for a BCP 47 tag, exact region first: "hi-IN" also offers any "hi-*" voice */
+  function voices(lang) {
+    if (!supported()) return [];
+    const base = lang.split("-")[0].toLowerCase();
+    const all = window.speechSynthesis.getVoices().filter(v => v.lang.replace("_", "-").split("-")[0].toLowerCase() === base);
+    return all.sort((a, b) => (b.lang.replace("_", "-") === lang) - (a.lang.replace("_", "-") === lang));
+  }
+
+  /* the voice list fills in asynchronously on most browsers */
+  function onVoicesChanged(fn) {
+    if (supported()) window.speechSynthesis.addEventListener("voiceschanged", fn);
+  }
+
+  function start(item) {
+    current = item;
+    const u = new SpeechSynthesisUtterance(item.text);
+    u.lang = item.lang;
+    u.pitch = item.pitch;
+    u.rate = item.rate;
+    const voice = item.voice && window.speechSynthesis.getVoices().find(v => v.voiceURI === item.voice);
+    if (voice) u.voice = voice;
+    u.onstart = () => hooks.onStart(item);
+    // cancel() fires this too, sometimes after the next sentence has started: only the current item moves on
+    u.onend = u.onerror = () => {
+      if (current !== item) return;
+      current = null;
+      if (!item.interrupted && item.onEnd) item.onEnd();
+      pump();
+    };
+    window.speechSynthesis.speak(u);
+  }
+
+  function pump() {
+    if (current) return;
+    const now = performance.now();
+    keepOnly(item => !stale(item, now));
+    if (!queue.length) { hooks.onIdle(); return; }
+    // highest class first, oldest first within a class
+    queue.sort((a, b) => (rank(b) - rank(a)) || (a.queuedAt - b.queuedAt));
+    start(queue.shift());
+  }
+
+  /**
+   * say(text, { priority, key, onEnd, onDrop, lang, pitch, rate, voice }) -> false when verbosity or the
+   * queue policy dropped it. onEnd runs once the sentence was heard in full; onDrop once it is given
+   * up unheard (stale, replaced, cut or cleared), but not when verbosity refuses it or it is being said.
+   */
+  function say(text, { priority = "info", key = null, onEnd = null, onDrop = null, lang = "en-US", pitch = 1, rate = 1, voice = null } = {}) {
+    if (!text || !supported() || !(priority in SPEECH_PRIORITY)) return false;
+    if (!SPEECH_ALLOWED[verbosity].includes(priority)) return false;
+    const item = { text, priority, key, onEnd, onDrop, lang, pitch, rate, voice, queuedAt: performance.now(), interrupted: false };
+
+    // the same sentence is already being said
+    if (current && current.text === text && current.priority === priority) return false;
+    if (priority === "info") keepOnly(q => q.priority !== "info");
+    else if (key) keepOnly(q => !(q.key === key && q.priority === priority));
+    queue.push(item);
+    if (queue.length > SPEECH_MAX_QUEUE) {
+      queue.sort((a, b) => (rank(b) - rank(a)) || (a.queuedAt - b.queuedAt));
+      const cut = queue.splice(SPEECH_MAX_QUEUE);
+      cut.forEach(dropItem);
+      if (cut.includes(item)) return false;
+    }
+
+    if (current && rank(item) > rank(current) && priority !== "info") {
+      const cut = current;
+      cut.interrupted = true;
+      if (cut.priority !== "info") queue.push({ ...cut, interrupted: false, queuedAt: performance.now() });
+      else dropItem(cut);
+      current = null;
+      window.speechSynthesis.cancel();
+    }
+    pump();
+    return true;
+  }
+
+  /* drop everything queued and stop talking; below: keep classes at or above this one */
+  function clear({ below = null } = {}) {
+    const keep = below ? SPEECH_PRIORITY[below] : Infinity;
+    keepOnly(q => rank(q) >= keep);
+    if (current && rank(current) < keep) {
+      current.interrupted = true;
+      dropItem(current);
+      current = null;
+      if (supported()) window.speechSynthesis.cancel();
+    }
+    if (!current) pump();
+  }
+
+  return {
+    init, say, clear, setVerbosity, voices, onVoicesChanged, supported,
+    allows: (priority) => SPEECH_ALLOWED[verbosity].includes(priority),
+    speaking: () => !!current,
+    current: () => (current ? { text: current.text, priority: current.priority } : null)
+  };
+})();
@@ -0,0 +1,47 @@
+/**
+ * storage.js — tiny promise wrapper around IndexedDB
+ * - One database ("ai-nav") shared by every on-device store
+ * - Add a store name to IDB_STORES and bump IDB_VERSION when a feature needs one
+ */
+
+const IDB_NAME = "ai-nav";
+const IDB_VERSION = 2;
+const IDB_STORES = ["faces", "routes"];
+
+let idbPromise = null;
+
+function openDb() {
+  if (idbPromise) return idbPromise;
+  idbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) { reject(new Error("IndexedDB not supported in this browser")); return; }
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      IDB_STORES.forEach(name => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" });
+      });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { console.error("[idb] open failed:", req.error); reject(req.error); };
+  });
+  // allow a later retry if opening failed
+  idbPromise.catch(() => { idbPromise = null; });
+  return idbPromise;
+}
+
+/* run a single request inside a transaction and resolve with its result */
+async function idbRequest(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function idbGetAll(storeName) { return idbRequest(storeName, "readonly", s => s.getAll()); }
+function idbGet(storeName, id) { return idbRequest(storeName, "readonly", s => s.get(id)); }
+function idbPut(storeName, value) { return idbRequest(storeName, "readwrite", s => s.put(value)); }
+function idbDelete(storeName, id) { return idbRequest(storeName, "readwrite", s => s.delete(id)); }
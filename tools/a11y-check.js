@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * tools/a11y-check.js — headless accessibility check of the app's pages with axe-core
+ * - Loads each page's markup and stylesheets into jsdom and runs axe-core's WCAG 2.1 A/AA and
+ *   best-practice rules, in the normal and the high-contrast theme
+ * - The app's scripts are not run, so what they fill in later (selects, lists) is not checked
+ *
+ *   node tools/a11y-check.js                      index.html and caregiver.html
+ *   node tools/a11y-check.js caregiver.html       other pages, relative to the repository root
+ *
+ * Needs jsdom and axe-core: `npm install --no-save jsdom axe-core` in the repository root.
+ * jsdom does not lay pages out, so colour contrast is left to tools/a11y-check.html in a browser.
+ * Exit code: 0 no violations, 1 some violation, 2 bad usage, missing modules or unreadable page.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const DEFAULT_PAGES = ["index.html", "caregiver.html"];
+const THEMES = ["default", "contrast"];
+const AXE_OPTIONS = {
+  runOnly: { type: "tag", values: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa", "best-practice"] },
+  // needs real layout and rendering, which jsdom does not have
+  rules: { "color-contrast": { enabled: false } }
+};
+const MAX_NODES = 5;
+
+function loadModules() {
+  try {
+    const { JSDOM, VirtualConsole } = require("jsdom");
+    return { JSDOM, VirtualConsole, axeSource: fs.readFileSync(require.resolve("axe-core/axe.min.js"), "utf8") };
+  } catch (err) {
+    throw new Error("jsdom and axe-core are needed: run `npm install --no-save jsdom axe-core` in the repository root");
+  }
+}
+
+/* the page with its local stylesheets inlined, so elements hidden by CSS count as hidden */
+function readPage(page) {
+  const file = path.join(ROOT, page);
+  let html = fs.readFileSync(file, "utf8");
+  html = html.replace(/<link\s+rel="stylesheet"\s+href="([^":]+)"\s*\/?>/g, (tag, href) => {
+    const css = path.join(path.dirname(file), href);
+    return fs.existsSync(css) ? `<style>${fs.readFileSync(css, "utf8")}</style>` : tag;
+  });
+  return html;
+}
+
+async function checkPage(modules, page) {
+  const { JSDOM, VirtualConsole, axeSource } = modules;
+  // CSS jsdom cannot parse (newer selectors) is skipped quietly, as a browser would
+  const virtualConsole = new VirtualConsole();
+  const dom = new JSDOM(readPage(page), { url: `http://localhost/${page}`, runScripts: "outside-only", pretendToBeVisual: true, virtualConsole });
+  dom.window.eval(axeSource);
+  const violations = [];
+  for (const theme of THEMES) {
+    dom.window.document.documentElement.classList.toggle("contrast", theme === "contrast");
+    const res = await dom.window.axe.run(dom.window.document, AXE_OPTIONS);
+    res.violations.forEach(v => violations.push({ ...v, theme }));
+  }
+  dom.window.close();
+  return violations;
+}
+
+function report(page, violations) {
+  console.log(`${violations.length ? "FAIL" : "ok  "} ${page} (${THEMES.join(" and ")} themes${violations.length ? `, ${violations.length} violations` : ""})`);
+  violations.forEach(v => {
+    console.log(`  [${v.theme}] ${v.id} (${v.impact || "review"}): ${v.help}`);
+    const targets = v.nodes.map(n => n.target.join(" "));
+    console.log(`    ${targets.slice(0, MAX_NODES).join(" | ")}${targets.length > MAX_NODES ? ` ... and ${targets.length - MAX_NODES} more` : ""}`);
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.find(a => a.startsWith("--"));
+  if (unknown) {
+    console.error(`a11y-check: unknown option ${unknown}`);
+    console.error("usage: node tools/a11y-check.js [page.html ...]");
+    return 2;
+  }
+  let modules;
+  try {
+    modules = loadModules();
+  } catch (err) {
+    console.error(`a11y-check: ${err.message}`);
+    return 2;
+  }
+  let failed = 0;
+  for (const page of args.length ? args : DEFAULT_PAGES) {
+    let violations;
+    try {
+      violations = await checkPage(modules, page);
+    } catch (err) {
+      console.error(`a11y-check: cannot check ${page}: ${err.message}`);
+      return 2;
+    }
+    report(page, violations);
+    if (violations.length) failed++;
+  }
+  return failed ? 1 : 0;
+}
+
+main().then(code => { process.exitCode = code; });
@@ -0,0 +1,75 @@
+#!/usr/bin/env bash
+# Download everything the app needs to start without a network into vendor/:
+#   vendor/tfjs/tf.min.js
+#   vendor/coco-ssd/coco-ssd.min.js + ssd_mobilenet_v2/ + ssdlite_mobilenet_v2/ (weights)
+#   vendor/face-api/face-api.js + model/ (weights)
+#   vendor/tesseract/tesseract.min.js + worker.min.js + core/ + lang/ (eng, hin, mar)
+# detectors.js, face-id.js and ocr.js try these paths before the CDNs; service-worker.js caches them.
+# Versions must match TFJS_CANDIDATES / COCO_CANDIDATES / FACEAPI_CANDIDATES / TESSERACT_*.
+set -euo pipefail
+
+TFJS_VERSION=3.9.0
+COCO_VERSION=2.2.2
+FACEAPI_VERSION=1.7.12
+TESSERACT_VERSION=5.1.1
+TESSDATA_LANGS="eng hin mar"   # the ocrLang of every locale in locales/
+WEIGHTS_BASE=https://storage.googleapis.com/tfjs-models/savedmodel
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+VENDOR="$ROOT/vendor"
+TMP="$(mktemp -d)"
+trap 'rm -rf "$TMP"' EXIT
+
+# npm_unpack <package@version> <dir>: extract the published tarball into $TMP/<dir>
+npm_unpack() {
+  (cd "$TMP" && npm pack "$1" --silent > /dev/null)
+  mkdir -p "$TMP/$2"
+  tar xzf "$TMP"/*.tgz -C "$TMP/$2" --strip-components=1
+  rm "$TMP"/*.tgz
+}
+
+# fetch_graph_model <base url> <dest dir>: model.json plus every weight shard it lists
+fetch_graph_model() {
+  mkdir -p "$2"
+  curl -fsSL "$1/model.json" -o "$2/model.json"
+  node -e 'const m = require(process.argv[1]); for (const g of m.weightsManifest) for (const p of g.paths) console.log(p);' "$2/model.json" |
+    while read -r shard; do
+      curl -fsSL "$1/$shard" -o "$2/$shard"
+    done
+}
+
+echo "tfjs $TFJS_VERSION"
+npm_unpack "@tensorflow/tfjs@$TFJS_VERSION" tfjs
+mkdir -p "$VENDOR/tfjs"
+cp "$TMP/tfjs/dist/tf.min.js" "$VENDOR/tfjs/"
+
+echo "coco-ssd $COCO_VERSION"
+npm_unpack "@tensorflow-models/coco-ssd@$COCO_VERSION" coco
+mkdir -p "$VENDOR/coco-ssd"
+cp "$TMP/coco/dist/coco-ssd.min.js" "$VENDOR/coco-ssd/"
+for base in ssd_mobilenet_v2 ssdlite_mobilenet_v2; do
+  echo "  weights $base"
+  fetch_graph_model "$WEIGHTS_BASE/$base" "$VENDOR/coco-ssd/$base"
+done
+
+echo "face-api $FACEAPI_VERSION"
+npm_unpack "@vladmandic/face-api@$FACEAPI_VERSION" face
+mkdir -p "$VENDOR/face-api/model"
+cp "$TMP/face/dist/face-api.js" "$VENDOR/face-api/"
+for net in tiny_face_detector_model face_landmark_68_model face_recognition_model; do
+  cp "$TMP/face/model/$net"* "$VENDOR/face-api/model/"
+done
+
+echo "tesseract.js $TESSERACT_VERSION"
+npm_unpack "tesseract.js@$TESSERACT_VERSION" tesseract
+npm_unpack "tesseract.js-core@$TESSERACT_VERSION" tesseract-core
+mkdir -p "$VENDOR/tesseract/core" "$VENDOR/tesseract/lang"
+cp "$TMP/tesseract/dist/tesseract.min.js" "$TMP/tesseract/dist/worker.min.js" "$VENDOR/tesseract/"
+cp "$TMP/tesseract-core/"tesseract-core*.wasm.js "$VENDOR/tesseract/core/"
+for l in $TESSDATA_LANGS; do
+  echo "  language $l"
+  npm_unpack "@tesseract.js-data/$l" "tessdata-$l"
+  cp "$TMP/tessdata-$l/4.0.0_best_int/$l.traineddata.gz" "$VENDOR/tesseract/lang/"
+done
+
+echo "done: $(du -sh "$VENDOR" | cut -f1) in $VENDOR"
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * tools/replay-check.js — headless regression check for recorded sessions
+ * - Feeds the predictions of a session file (recorder.js) through pipeline.js and search.js,
+ *   the same code the page runs, with the clock driven by the recorded frame times
+ * - Compares what would be announced with <session>.golden.json next to it
+ *
+ *   node tools/replay-check.js session.json [more.json ...]   check against the golden files
+ *   node tools/replay-check.js --update session.json          (re)write the golden files
+ *
+ * Options: --golden <file> (single session only), --lang <code>, --min-score <0-1>.
+ * Exit code: 0 all match, 1 some announcement differs, 2 bad usage or unreadable file.
+ * No dependencies; the detector itself is not run, so a model change needs a new recording.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.resolve(__dirname, "..");
+const APP_SCRIPTS = [
+  "i18n.js", "locales/en-US.js", "locales/hi-IN.js", "locales/mr-IN.js",
+  "scene.js", "tracker.js", "search.js", "depth.js", "pipeline.js"
+];
+const MAX_REPORTED = 10;
+
+/* the app's browser globals in a sandbox; performance.now() returns the current frame time */
+function loadApp() {
+  const clock = { now: 0 };
+  const sandbox = { console, performance: { now: () => clock.now } };
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  for (const file of APP_SCRIPTS) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), sandbox, { filename: file });
+  }
+  // const declarations stay in the script scope, so hand them out explicitly
+  const app = vm.runInContext("({ I18n, SearchMode, DetectionPipeline })", sandbox);
+  return { ...app, clock };
+}
+
+/* what the page would have said for one session -> [{ t, kind, say }] */
+function replay(app, session, { lang, minScore }) {
+  const { I18n, SearchMode, DetectionPipeline } = app;
+  const config = { ...session.config };
+  if (minScore != null) config.minScore = minScore;
+  const pipeline = DetectionPipeline.create(config);
+  const out = [];
+  let target = null;
+  let search = null;
+
+  for (const frame of session.frames) {
+    app.clock.now = frame.t;
+    // startSearch() and stopSearch() reset the tracker, so a target change does here too
+    if ((frame.search || null) !== target) {
+      target = frame.search || null;
+      search = target ? SearchMode.create(target) : null;
+      pipeline.reset();
+    }
+    const good = pipeline.select(frame.preds, { searchTarget: target });
+    const { items, spoken } = pipeline.step(good, {
+      width: frame.w, height: frame.h, lang, narrate: frame.narrate, now: frame.t
+    });
+    if (spoken) out.push({ t: frame.t, kind: "scene", say: spoken });
+
+    const cue = search && search.update(items, frame.t);
+    if (!cue) continue;
+    const thing = I18n.noun(lang, target);
+    let say;
+    if (cue.kind === "pan") say = I18n.t(lang, "panSlowly", { thing });
+    else if (cue.kind === "found") say = I18n.t(lang, "found", { thing });
+    else {
+      const key = cue.dir === "left" ? "steerLeft" : cue.dir === "right" ? "steerRight" : "steerAhead";
+      say = I18n.t(lang, key, { thing, dist: I18n.distance(lang, cue.dist, cue.metres) });
+    }
+    out.push({ t: frame.t, kind: cue.kind, say });
+  }
+  return out;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function goldenPath(file) {
+  return file.replace(/\.json$/i, "") + ".golden.json";
+}
+
+function same(a, b) {
+  return a.t === b.t && a.kind === b.kind && a.say === b.say;
+}
+
+function show(a) {
+  return a ? `${a.t} ms ${a.kind}: "${a.say}"` : "(nothing)";
+}
+
+/* -> number of differences, printed one per line */
+function compare(actual, expected) {
+  let diffs = 0;
+  for (let i = 0; i < Math.max(actual.length, expected.length); i++) {
+    if (actual[i] && expected[i] && same(actual[i], expected[i])) continue;
+    if (diffs < MAX_REPORTED) {
+      console.log(`  #${i} expected ${show(expected[i])}`);
+      console.log(`  #${i}      got ${show(actual[i])}`);
+    }
+    diffs++;
+  }
+  if (diffs > MAX_REPORTED) console.log(`  ... and ${diffs - MAX_REPORTED} more`);
+  return diffs;
+}
+
+function parseArgs(argv) {
+  const opts = { update: false, golden: null, lang: null, minScore: null, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--update") opts.update = true;
+    else if (arg === "--golden") opts.golden = argv[++i];
+    else if (arg === "--lang") opts.lang = argv[++i];
+    else if (arg === "--min-score") opts.minScore = parseFloat(argv[++i]);
+    else if (arg.startsWith("--")) throw new Error(`unknown option ${arg}`);
+    else if (!arg.endsWith(".golden.json")) opts.files.push(arg);   // so sessions/*.json works
+  }
+  if (!opts.files.length) throw new Error("no session file given");
+  if (opts.golden && opts.files.length > 1) throw new Error("--golden needs exactly one session file");
+  if (opts.minScore != null && !(opts.minScore >= 0 && opts.minScore <= 1)) throw new Error("--min-score must be 0-1");
+  return opts;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`replay-check: ${err.message}`);
+    console.error("usage: node tools/replay-check.js [--update] [--golden file] [--lang code] [--min-score n] session.json ...");
+    return 2;
+  }
+
+  const app = loadApp();
+  let failed = 0;
+  for (const file of opts.files) {
+    const golden = opts.golden || goldenPath(file);
+    let session;
+    try {
+      session = readJson(file);
+    } catch (err) {
+      console.error(`replay-check: cannot read ${file}: ${err.message}`);
+      return 2;
+    }
+    const lang = opts.lang || session.lang || app.I18n.FALLBACK;
+    if (!app.I18n.has(lang)) { console.error(`replay-check: unknown language ${lang}`); return 2; }
+    const actual = replay(app, session, { lang, minScore: opts.minScore });
+
+    if (opts.update) {
+      fs.writeFileSync(golden, JSON.stringify({ session: path.basename(file), lang, announcements: actual }, null, 2) + "\n");
+      console.log(`wrote ${golden} (${actual.length} announcements)`);
+      continue;
+    }
+    let expected;
+    try {
+      expected = readJson(golden).announcements;
+    } catch (err) {
+      console.error(`replay-check: cannot read ${golden}: ${err.message} (run with --update to create it)`);
+      return 2;
+    }
+    const diffs = compare(actual, expected);
+    console.log(`${diffs ? "FAIL" : "ok  "} ${file} (${session.frames.length} frames, ${actual.length} announcements${diffs ? `, ${diffs} differ` : ""})`);
+    if (diffs) failed++;
+  }
+  return failed ? 1 : 0;
+}
+
+process.exitCode = main();
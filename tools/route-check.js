@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * tools/route-check.js — headless check of the step counter across route mode switches
+ * - Runs pedometer.js and routes.js, the same code the page runs, against fake motion events
+ * - Plays the order script.js uses when guiding hands over to recording and back: the new mode
+ *   starts the pedometer, then the old one stops its own use of it
+ * - Steps must keep counting after each switch, and the new mode must count only its own steps
+ *
+ *   node tools/route-check.js
+ *
+ * Exit code: 0 every case passed, 1 some case failed. No dependencies.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.resolve(__dirname, "..");
+const APP_SCRIPTS = ["pedometer.js", "routes.js"];
+const SAMPLE_MS = 40;                 // devicemotion rate of a typical phone
+const GRAVITY = 9.8;
+const STEP_PEAK = 16;                 // well above PEDOMETER_THRESHOLD over the baseline
+
+/* pedometer.js and routes.js in a sandbox with a window that only records motion listeners */
+function loadApp() {
+  const clock = { now: 0 };
+  const listeners = new Set();
+  const window = {
+    DeviceMotionEvent: function DeviceMotionEvent() {},
+    addEventListener: (type, fn) => { if (type === "devicemotion") listeners.add(fn); },
+    removeEventListener: (type, fn) => { if (type === "devicemotion") listeners.delete(fn); }
+  };
+  const sandbox = { console, window, DeviceMotionEvent: window.DeviceMotionEvent, performance: { now: () => clock.now } };
+  vm.createContext(sandbox);
+  for (const file of APP_SCRIPTS) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), sandbox, { filename: file });
+  }
+  const app = vm.runInContext("({ Pedometer, Routes })", sandbox);
+  return { ...app, clock, listeners };
+}
+
+/* n steps of fake walking: a stretch at rest, then a peak, per step */
+function walk(app, n) {
+  const send = (mag) => {
+    app.clock.now += SAMPLE_MS;
+    const e = { timeStamp: app.clock.now, accelerationIncludingGravity: { x: 0, y: mag, z: 0 } };
+    [...app.listeners].forEach(fn => fn(e));
+  };
+  send(GRAVITY);
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < 8; k++) send(GRAVITY);
+    for (let k = 0; k < 4; k++) send(STEP_PEAK);
+  }
+  for (let k = 0; k < 8; k++) send(GRAVITY);
+}
+
+const CHAIR = { trackId: 1, cls: "chair", dir: "left", dist: "close", areaRatio: 0.2 };
+
+const CASES = [
+  {
+    name: "guiding, then recording",
+    async run(app, expect) {
+      const { Pedometer, Routes } = app;
+      await Pedometer.start();                                  // startRouteGuide
+      walk(app, 10);
+      await Pedometer.start();                                  // startRouteRecording...
+      Pedometer.stop();                                         // ...stopRouteGuide
+      const rec = Routes.createRecorder("kitchen", Pedometer.count());
+      walk(app, 6);
+      expect(app.listeners.size === 1, "the motion listener is still attached after the switch");
+      const landmark = rec.mark([CHAIR], app.clock.now, Pedometer.count());
+      expect(landmark && landmark.steps === 6, `the first landmark is 6 steps in, got ${landmark && landmark.steps}`);
+      Pedometer.stop();                                         // saveRoute
+      expect(app.listeners.size === 0, "the motion listener is removed once recording stops");
+    }
+  },
+  {
+    name: "recording, then guiding",
+    async run(app, expect) {
+      const { Pedometer } = app;
+      await Pedometer.start();                                  // startRouteRecording
+      walk(app, 4);
+      const guiding = Pedometer.start();                        // startRouteGuide...
+      Pedometer.stop();                                         // ...saveRoute
+      await guiding;
+      const steps0 = Pedometer.count();
+      walk(app, 5);
+      expect(app.listeners.size === 1, "the motion listener is still attached after the switch");
+      expect(Pedometer.count() - steps0 === 5, `5 steps counted while guiding, got ${Pedometer.count() - steps0}`);
+      Pedometer.stop();                                         // stopRouteGuide
+      expect(app.listeners.size === 0, "the motion listener is removed once guiding stops");
+    }
+  },
+  {
+    name: "recording from a standing start",
+    async run(app, expect) {
+      const { Pedometer, Routes } = app;
+      await Pedometer.start();
+      const rec = Routes.createRecorder("hall", Pedometer.count());
+      walk(app, 3);
+      const landmark = rec.mark([CHAIR], app.clock.now, Pedometer.count());
+      expect(landmark && landmark.steps === 3, `the first landmark is 3 steps in, got ${landmark && landmark.steps}`);
+      Pedometer.stop();
+    }
+  }
+];
+
+async function main() {
+  let failed = 0;
+  for (const c of CASES) {
+    const problems = [];
+    try {
+      await c.run(loadApp(), (ok, what) => { if (!ok) problems.push(what); });
+    } catch (err) {
+      problems.push(`threw ${err.stack || err}`);
+    }
+    console.log(`${problems.length ? "FAIL" : "ok  "} ${c.name}`);
+    problems.forEach(p => console.log(`  ${p}`));
+    if (problems.length) failed++;
+  }
+  return failed ? 1 : 0;
+}
+
+main().then(code => { process.exitCode = code; });
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * tools/sos-mock-server.js — stand-in for an SOS webhook (sos.js), to try alerts without bothering anyone
+ * - POST /sos takes the JSON an alert sends, prints it and keeps it; GET /sos lists what arrived
+ * - --out <dir> also writes each alert there as <id>.json, with the camera picture as <id>.jpg
+ * - --fail answers 503, to hear the app fall back to the next way of sending
+ *
+ *     node tools/sos-mock-server.js [--port 8090] [--out alerts/] [--fail]
+ *     then set the webhook address in the Emergency panel to http://localhost:8090/sos
+ *
+ * Browsers allow a plain-http localhost address from an https page. CORS headers are sent, since
+ * the app is served from another port (or origin). No dependencies.
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_PORT = 8090;
+const SOS_PATH = "/sos";
+const MAX_BODY_BYTES = 5 * 1024 * 1024;      // a 640-pixel JPEG as a data URL is well under 1 MB
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+  // Chrome asks before a public page may reach localhost
+  "Access-Control-Allow-Private-Network": "true"
+};
+
+function reply(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) { reject(new Error("body too large")); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/* "data:image/jpeg;base64,..." -> Buffer, or null */
+function decodeSnapshot(dataUrl) {
+  const m = /^data:image\/[\w.+-]+;base64,(.+)$/.exec(dataUrl || "");
+  return m ? Buffer.from(m[1], "base64") : null;
+}
+
+function summary(alert) {
+  const where = alert.position ? `${alert.position.lat}, ${alert.position.lon} (±${alert.position.accuracy} m)` : "no position";
+  return `${alert.test ? "TEST " : ""}${alert.reason} at ${alert.at}: ${where}, ${alert.snapshotBytes ? `${alert.snapshotBytes} byte picture` : "no picture"}`;
+}
+
+/* the request handler and what it received, so a script can start it and look afterwards */
+function createMock({ out = null, fail = false } = {}) {
+  const received = [];
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== SOS_PATH) { reply(res, 404, { error: `Only ${SOS_PATH} is served.` }); return; }
+    if (req.method === "OPTIONS") { res.writeHead(204, CORS_HEADERS).end(); return; }
+    if (req.method === "GET") { reply(res, 200, received); return; }
+    if (req.method !== "POST") { reply(res, 405, { error: "Use POST." }); return; }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (err) {
+      reply(res, 400, { error: `Not JSON: ${err.message}` });
+      return;
+    }
+    if (!body || body.type !== "sos") { reply(res, 400, { error: 'Expected { "type": "sos", ... }.' }); return; }
+
+    const id = `sos-${received.length + 1}`;
+    const picture = decodeSnapshot(body.snapshot);
+    const alert = {
+      id, reason: body.reason, test: !!body.test, at: body.at, message: body.message,
+      position: body.position || null, mapUrl: body.mapUrl || null,
+      snapshotBytes: picture ? picture.length : 0
+    };
+    received.push(alert);
+    console.log(`[sos-mock] ${id} ${summary(alert)}`);
+    console.log(`[sos-mock]   "${alert.message}"`);
+    if (out) {
+      fs.writeFileSync(path.join(out, `${id}.json`), JSON.stringify(alert, null, 2));
+      if (picture) fs.writeFileSync(path.join(out, `${id}.jpg`), picture);
+    }
+    if (fail) { reply(res, 503, { ok: false, id }); return; }
+    reply(res, 200, { ok: true, id });
+  }
+
+  return {
+    received,
+    handle: (req, res) => handle(req, res).catch(err => {
+      console.error("[sos-mock]", err);
+      if (!res.headersSent) reply(res, 500, { error: err.message });
+    })
+  };
+}
+
+function parseArgs(argv) {
+  const opts = { port: Number(process.env.PORT) || DEFAULT_PORT, out: null, fail: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") opts.port = Number(argv[++i]);
+    else if (argv[i] === "--out") opts.out = path.resolve(argv[++i]);
+    else if (argv[i] === "--fail") opts.fail = true;
+    else throw new Error(`unknown argument ${argv[i]}`);
+  }
+  if (!Number.isInteger(opts.port) || opts.port <= 0 || opts.port > 65535) throw new Error("--port must be 1-65535");
+  return opts;
+}
+
+function start({ port, out, fail }) {
+  if (out) fs.mkdirSync(out, { recursive: true });
+  const mock = createMock({ out, fail });
+  const server = http.createServer(mock.handle);
+  server.listen(port, () => {
+    console.log(`[sos-mock] waiting for alerts at http://localhost:${port}${SOS_PATH}${fail ? " (answering 503)" : ""}`);
+  });
+  server.received = mock.received;
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    start(parseArgs(process.argv.slice(2)));
+  } catch (err) {
+    console.error(`sos-mock-server: ${err.message}`);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = { start, createMock };
@@ -0,0 +1,151 @@
+/**
+ * tracker.js — frame-to-frame object tracking
+ * - Greedy IoU matching between detectLoop iterations, same class only
+ * - Persistent track IDs with a short history of areaRatio / horizontal position
+ * - Motion estimate: growth of the box area over time = approaching / receding
+ * - Announcement bookkeeping so static objects are not repeated every frame: getting very close or
+ *   starting to approach is news at once, other changes wait ANNOUNCE_MIN_GAP_MS, and an unchanged
+ *   object is repeated after reannounceMs(cls)
+ *
+ * Pure logic (no DOM). Boxes are [x, y, w, h] in pixels; cx and areaRatio are frame-relative.
+ */
+
+const TRACK_IOU_MIN = 0.3;
+const TRACK_MAX_MISSED = 8;          // detection passes a track survives without a match
+const TRACK_HISTORY_MS = 1500;
+const TRACK_MIN_HITS = 2;            // ignore single-frame flickers
+const MOTION_MIN_SPAN_MS = 400;
+const MOTION_GROWTH = 0.35;          // |d ln(area)/dt| per second before we call it moving
+const MOTION_LATERAL = 0.25;         // frame widths per second
+const REANNOUNCE_MS = 15000;
+const ANNOUNCE_MIN_GAP_MS = 4000;    // side / distance jitter on one object is not re-announced sooner
+
+const ObjectTracker = (() => {
+  const DIST_RANK = { far: 0, close: 1, veryClose: 2 };
+
+  function iou(a, b) {
+    const x1 = Math.max(a[0], b[0]), y1 = Math.max(a[1], b[1]);
+    const x2 = Math.min(a[0] + a[2], b[0] + b[2]), y2 = Math.min(a[1] + a[3], b[1] + b[3]);
+    const inter = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+    const union = a[2] * a[3] + b[2] * b[3] - inter;
+    return union > 0 ? inter / union : 0;
+  }
+
+  /* least-squares slope of ys over ts (ts in ms), per second */
+  function slope(ts, ys) {
+    const n = ts.length;
+    const mt = ts.reduce((s, v) => s + v, 0) / n;
+    const my = ys.reduce((s, v) => s + v, 0) / n;
+    let num = 0, den = 0;
+    for (let i = 0; i < n; i++) { num += (ts[i] - mt) * (ys[i] - my); den += (ts[i] - mt) ** 2; }
+    return den > 0 ? (num / den) * 1000 : 0;
+  }
+
+  function estimateMotion(history) {
+    if (history.length < 3 || history[history.length - 1].t - history[0].t < MOTION_MIN_SPAN_MS) {
+      return { motion: "static", lateral: "none", growth: 0 };
+    }
+    const ts = history.map(h => h.t);
+    const growth = slope(ts, history.map(h => Math.log(Math.max(h.areaRatio, 1e-6))));
+    const drift = slope(ts, history.map(h => h.cx));
+    let motion = "static";
+    if (growth > MOTION_GROWTH) motion = "approaching";
+    else if (growth < -MOTION_GROWTH) motion = "receding";
+    let lateral = "none";
+    if (drift > MOTION_LATERAL) lateral = "toRight";
+    else if (drift < -MOTION_LATERAL) lateral = "toLeft";
+    return { motion, lateral, growth };
+  }
+
+  /* reannounceMs(cls) -> how long an unchanged object stays unannounced (default REANNOUNCE_MS) */
+  function createTracker({ reannounceMs = () => REANNOUNCE_MS } = {}) {
+    let nextId = 1;
+    let tracks = [];
+
+    /**
+     * update(dets, now) — dets: [{ cls, bbox, cx, areaRatio, dir, dist }]
+     * Annotates each det in place with { trackId, motion, lateral, announce } and returns dets.
+     */
+    function update(dets, now = performance.now()) {
+      const pairs = [];
+      dets.forEach((d, di) => tracks.forEach((tr, ti) => {
+        if (tr.cls !== d.cls) return;
+        const v = iou(tr.bbox, d.bbox);
+        if (v >= TRACK_IOU_MIN) pairs.push({ di, ti, v });
+      }));
+      pairs.sort((a, b) => b.v - a.v);
+
+      const usedD = new Set(), usedT = new Set();
+      for (const { di, ti } of pairs) {
+        if (usedD.has(di) || usedT.has(ti)) continue;
+        usedD.add(di); usedT.add(ti);
+        const tr = tracks[ti], d = dets[di];
+        tr.bbox = d.bbox; tr.dir = d.dir; tr.dist = d.dist;
+        tr.hits++; tr.missed = 0;
+        tr.history.push({ t: now, areaRatio: d.areaRatio, cx: d.cx });
+        d.track = tr;
+      }
+      tracks.forEach((tr, ti) => { if (!usedT.has(ti)) tr.missed++; });
+      dets.forEach((d, di) => {
+        if (usedD.has(di)) return;
+        const tr = {
+          id: nextId++, cls: d.cls, bbox: d.bbox, dir: d.dir, dist: d.dist,
+          hits: 1, missed: 0, history: [{ t: now, areaRatio: d.areaRatio, cx: d.cx }], announced: null
+        };
+        tracks.push(tr);
+        d.track = tr;
+      });
+      tracks = tracks.filter(tr => tr.missed <= TRACK_MAX_MISSED);
+
+      for (const d of dets) {
+        const tr = d.track;
+        tr.history = tr.history.filter(h => now - h.t <= TRACK_HISTORY_MS);
+        Object.assign(tr, estimateMotion(tr.history));
+        d.trackId = tr.id;
+        d.motion = tr.motion;
+        d.lateral = tr.lateral;
+        d.announce = needsAnnouncement(tr, now);
+        delete d.track;
+      }
+      return dets;
+    }
+
+    /* has anything changed since this track was last spoken about? */
+    function needsAnnouncement(tr, now) {
+      if (tr.hits < TRACK_MIN_HITS) return false;
+      const a = tr.announced;
+      if (!a) return true;
+      if (tr.motion === "approaching" && a.motion !== "approaching") return true;
+      if (tr.dist === "veryClose" && a.dist !== "veryClose") return true;
+      const since = now - a.time;
+      if (since < ANNOUNCE_MIN_GAP_MS) return false;
+      if (DIST_RANK[tr.dist] > DIST_RANK[a.dist]) return true;
+      if (tr.dir !== a.dir) return true;
+      return since > reannounceMs(tr.cls);
+    }
+
+    function markAnnounced(ids, now = performance.now()) {
+      const set = new Set(ids);
+      tracks.forEach(tr => {
+        if (!set.has(tr.id)) return;
+        const previous = tr.announced && { ...tr.announced, previous: null };
+        tr.announced = { dir: tr.dir, dist: tr.dist, motion: tr.motion, time: now, previous };
+      });
+    }
+
+    /* the sentence marked at time `at` was never heard (dropped by the speech queue): back to what was,
+       unless the track has been announced again since */
+    function unmarkAnnounced(ids, at) {
+      const set = new Set(ids);
+      tracks.forEach(tr => {
+        if (set.has(tr.id) && tr.announced && tr.announced.time === at) tr.announced = tr.announced.previous;
+      });
+    }
+
+    function reset() { tracks = []; }
+
+    return { update, markAnnounced, unmarkAnnounced, reset, tracks: () => tracks.slice() };
+  }
+
+  return { createTracker, iou, estimateMotion };
+})();